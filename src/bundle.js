@@ -18,15 +18,68 @@
     transparentBackground: false,
     showDocumentation: true,
     documentationPosition: 'right',
+    referencePane: 'off', // Function reference pane in the documentation slot: off, replace, alongside
     editorProportion: 66,
     documentationProportion: 34,
     editorFontSize: 14, // Font size in pixels (10-24)
     editorLineHeight: 1.5, // Line height (1.0-2.5)
-    editorFontFamily: 'monospace', // Font family: monospace, fira-code, jetbrains-mono, source-code-pro, opendyslexic
-    editorTheme: 'light', // Editor theme: light, dark, sepia, high-contrast, protanopia, deuteranopia, tritanopia
+    editorFontFamily: 'monospace', // Font family: monospace, fira-code, jetbrains-mono, source-code-pro, opendyslexic, custom
+    customFontFamily: '', // Free-form font stack used when editorFontFamily is 'custom'
+    editorFontWeight: 400, // Font weight (100-900)
+    editorLetterSpacing: 0, // Letter spacing in pixels (-1 to 3)
+    editorLigatures: true, // Enable font ligatures (Fira Code, JetBrains Mono...)
+    editorTheme: 'light', // Editor theme: built-in or custom theme id, or "auto"
     showIndentGuides: true, // Show indent guide lines
     indentGuideStyle: 'dotted', // Style: solid, dotted, dashed
-    highlightActiveIndent: true, // Highlight current indent scope
+    highlightActiveIndent: true, // Highlight the indent scope containing the caret
+    indentUnit: 2, // Indent unit: 2, 4 (spaces) or 'tab'
+    indentGuidePalette: 'theme', // Guide palette id, or 'theme' for the active theme's palette
+    indentGuideWidth: 1, // Guide thickness in pixels (1-4)
+    indentGuideOpacity: 0.7, // Guide opacity (0.1-1)
+    customPalettes: {}, // User-defined guide palettes keyed by id ({ name, colors })
+    customThemes: {}, // User-defined themes keyed by id (same shape as BUILT_IN_THEMES entries)
+    autoThemeLight: 'light', // Theme used by "auto" in light mode
+    autoThemeDark: 'dark', // Theme used by "auto" in dark mode
+    autoThemeSource: 'coda', // What "auto" follows: coda, system, schedule
+    autoThemeDarkStart: '19:00', // Schedule: dark theme from (HH:MM)
+    autoThemeDarkEnd: '07:00', // Schedule: dark theme until (HH:MM)
+    syntaxHighlighting: true, // Color formula tokens with the theme palette
+    bracketPairColorization: true, // Color brackets by depth and highlight matching pairs
+    showLineNumbers: true, // Show a line number gutter next to the editor
+    codeFolding: true, // Fold markers next to the lines opening a multi-line bracket block
+    functionHoverDocs: true, // Show a function's offline docs when hovering its name
+    signatureHelp: true, // Show the signature of the call around the caret, current argument highlighted
+    showBreadcrumbs: true, // Show the chain of calls enclosing the caret above the editor
+    autoCloseBrackets: { // Insert the closing character while typing (see AUTO_CLOSE_PAIRS)
+      parentheses: true,
+      squareBrackets: true,
+      curlyBraces: true,
+      quotes: true
+    },
+    smartIndent: true, // Indent after Enter in brackets, Tab/Shift+Tab on lines, snap closers to their opener
+    keyBindings: {}, // Shortcut overrides by command id (see EDITOR_SHORTCUTS)
+    snippets: { // Snippets keyed by id ({ name, trigger, body }, see expandSnippetBody)
+      'filter-this-row': {
+        name: 'Filter rows matching this row',
+        trigger: 'filterrow',
+        body: 'thisTable.Filter(CurrentValue.${1:Column} = thisRow.${1:Column})$0'
+      },
+      'with-name': {
+        name: 'WithName',
+        trigger: 'withname',
+        body: 'WithName(${1:value}, ${2:Name},\n\t$0\n)'
+      }
+    },
+    historyMaxVersions: 20, // Versions kept per formula (see FormulaHistory): 10, 20, 50 or 100
+    historyRetentionDays: 30, // Versions older than this are dropped: 7, 30, 90 or 365 days
+    lintFormulas: true, // Check formulas while typing (squiggles and problems list)
+    lintRules: { // Lint rules by id (see LINT_RULES)
+      unbalancedBrackets: true,
+      unterminatedStrings: true,
+      extraCommas: true,
+      emptyArguments: true,
+      ifArgumentCount: true
+    },
     presets: {
       default: { modalWidth: 80, modalHeight: 80, editorProportion: 66 },
       medium: { modalWidth: 90, modalHeight: 90, editorProportion: 60 },
@@ -42,18 +95,92 @@
     if (config.modalTop < 0 || config.modalTop > 100) return false;
     const validPositions = ['left', 'right', 'top', 'bottom', 'none'];
     if (!validPositions.includes(config.documentationPosition)) return false;
+    const validReferencePanes = ['off', 'replace', 'alongside'];
+    if (config.referencePane && !validReferencePanes.includes(config.referencePane)) return false;
     if (config.editorProportion < 30 || config.editorProportion > 80) return false;
     if (config.editorFontSize && (config.editorFontSize < 10 || config.editorFontSize > 24)) return false;
     if (config.editorLineHeight && (config.editorLineHeight < 1.0 || config.editorLineHeight > 2.5)) return false;
-    const validFonts = ['monospace', 'fira-code', 'jetbrains-mono', 'source-code-pro', 'opendyslexic'];
+    const validFonts = ['monospace', 'fira-code', 'jetbrains-mono', 'source-code-pro', 'opendyslexic', 'custom'];
     if (config.editorFontFamily && !validFonts.includes(config.editorFontFamily)) return false;
-    const validThemes = ['light', 'dark', 'sepia', 'high-contrast', 'protanopia', 'deuteranopia', 'tritanopia'];
-    if (config.editorTheme && !validThemes.includes(config.editorTheme)) return false;
+    if (config.editorFontFamily === 'custom' && !isValidFontStack(config.customFontFamily)) return false;
+    if (config.editorFontWeight && (config.editorFontWeight < 100 || config.editorFontWeight > 900)) return false;
+    if (config.editorLetterSpacing && (config.editorLetterSpacing < -1 || config.editorLetterSpacing > 3)) return false;
+    const customThemes = config.customThemes || {};
+    if (!Object.values(customThemes).every(isValidTheme)) return false;
+    const validThemes = Object.keys(BUILT_IN_THEMES).concat(Object.keys(customThemes));
+    if (config.editorTheme && config.editorTheme !== 'auto' && !validThemes.includes(config.editorTheme)) return false;
+    if (config.autoThemeLight && !validThemes.includes(config.autoThemeLight)) return false;
+    if (config.autoThemeDark && !validThemes.includes(config.autoThemeDark)) return false;
+    const validAutoSources = ['coda', 'system', 'schedule'];
+    if (config.autoThemeSource && !validAutoSources.includes(config.autoThemeSource)) return false;
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (config.autoThemeDarkStart && !timePattern.test(config.autoThemeDarkStart)) return false;
+    if (config.autoThemeDarkEnd && !timePattern.test(config.autoThemeDarkEnd)) return false;
     const validIndentStyles = ['solid', 'dotted', 'dashed'];
     if (config.indentGuideStyle && !validIndentStyles.includes(config.indentGuideStyle)) return false;
+    const validIndentUnits = [2, 4, 'tab'];
+    if (config.indentUnit !== undefined && !validIndentUnits.includes(config.indentUnit)) return false;
+    const customPalettes = config.customPalettes || {};
+    if (!Object.values(customPalettes).every(isValidPalette)) return false;
+    const validPalettes = ['theme'].concat(Object.keys(GUIDE_PALETTES), Object.keys(customPalettes));
+    if (config.indentGuidePalette && !validPalettes.includes(config.indentGuidePalette)) return false;
+    if (config.indentGuideWidth && (config.indentGuideWidth < 1 || config.indentGuideWidth > 4)) return false;
+    if (config.indentGuideOpacity && (config.indentGuideOpacity < 0.1 || config.indentGuideOpacity > 1)) return false;
+    if (config.lintRules && !Object.values(config.lintRules).every(value => typeof value === 'boolean')) return false;
+    if (config.autoCloseBrackets && !Object.values(config.autoCloseBrackets).every(value => typeof value === 'boolean')) return false;
+    if (config.keyBindings && !Object.values(config.keyBindings).every(isValidShortcut)) return false;
+    if (config.snippets && !Object.values(config.snippets).every(isValidSnippet)) return false;
+    const validHistoryVersions = [10, 20, 50, 100];
+    if (config.historyMaxVersions !== undefined && !validHistoryVersions.includes(config.historyMaxVersions)) return false;
+    const validRetentionDays = [7, 30, 90, 365];
+    if (config.historyRetentionDays !== undefined && !validRetentionDays.includes(config.historyRetentionDays)) return false;
     return true;
   }
 
+  function isValidTheme(theme) {
+    return !!theme && typeof theme.name === 'string' && theme.name.trim() !== '' &&
+      typeof theme.background === 'string' && typeof theme.foreground === 'string';
+  }
+
+  function isValidFontStack(stack) {
+    return typeof stack === 'string' && stack.trim() !== '' && stack.length <= 200 && /^[^;{}<>\\\n]+$/.test(stack);
+  }
+
+  function isValidShortcut(shortcut) {
+    return typeof shortcut === 'string' && /^((Ctrl|Alt|Shift|Meta)\+)+[^+\s]+$/.test(shortcut);
+  }
+
+  function isValidSnippet(snippet) {
+    return !!snippet && typeof snippet.name === 'string' && snippet.name.trim() !== '' &&
+      typeof snippet.trigger === 'string' && /^([A-Za-z_]\w{0,29})?$/.test(snippet.trigger) &&
+      typeof snippet.body === 'string' && snippet.body !== '';
+  }
+
+  function isValidPalette(palette) {
+    return !!palette && typeof palette.name === 'string' && palette.name.trim() !== '' &&
+      Array.isArray(palette.colors) && palette.colors.length > 0 &&
+      palette.colors.every(color => typeof color === 'string');
+  }
+
+  /**
+   * Text of one indent level for an indentUnit setting
+   */
+  function getIndentUnitText(indentUnit) {
+    return indentUnit === 'tab' ? '\t' : ' '.repeat(indentUnit || 2);
+  }
+
+  /**
+   * Count the indent levels at the start of a line (a tab counts as one level)
+   */
+  function countIndentLevels(text, indentUnit) {
+    const leading = text.match(/^[ \t]*/)[0];
+    if (indentUnit === 'tab') {
+      return (leading.match(/\t/g) || []).length;
+    }
+    const size = indentUnit || 2;
+    return Math.floor(leading.replace(/\t/g, ' '.repeat(size)).length / size);
+  }
+
   function mergeConfig(userConfig) {
     return {
       ...DEFAULT_CONFIG,
@@ -67,6 +194,26 @@
   // ========================================
 
   const STORAGE_KEY = 'codaFormulaConfig';
+  const HISTORY_STORAGE_KEY = 'codaFormulaHistory'; // Formula versions, kept apart from the config
+  const LIBRARY_STORAGE_KEY = 'codaFormulaLibrary'; // Saved favorite formulas, shared across docs
+  const REFERENCE_FAVORITES_KEY = 'codaFormulaReferenceFavorites'; // Function names pinned in the reference pane
+
+  let historySaves = Promise.resolve(); // Last queued formula version save
+
+  /**
+   * Apply the retention settings to the formula history
+   * @param {Object} history - Versions ({ text, savedAt }) by formula key, oldest first
+   * @returns {Object} History without expired versions nor empty formulas
+   */
+  function pruneHistory(history, maxVersions, retentionDays, now = Date.now()) {
+    const oldest = now - retentionDays * 24 * 60 * 60 * 1000;
+    const pruned = {};
+    Object.entries(history).forEach(([formulaKey, versions]) => {
+      const kept = versions.filter(version => version.savedAt >= oldest).slice(-maxVersions);
+      if (kept.length > 0) pruned[formulaKey] = kept;
+    });
+    return pruned;
+  }
 
   class StorageManager {
     static async getConfig() {
@@ -116,8 +263,221 @@
       }
     }
 
+    static async saveCustomTheme(themeId, theme) {
+      try {
+        const currentConfig = await this.getConfig();
+        const customThemes = { ...currentConfig.customThemes, [themeId]: theme };
+        return await this.saveConfig({ ...currentConfig, customThemes, editorTheme: themeId });
+      } catch (error) {
+        console.error('[Coda Extension] Error saving theme:', error);
+        return false;
+      }
+    }
+
+    static async deleteCustomTheme(themeId) {
+      try {
+        const currentConfig = await this.getConfig();
+        const customThemes = { ...currentConfig.customThemes };
+        delete customThemes[themeId];
+        // Fall back to the defaults wherever the deleted theme was in use
+        const fallback = (key) => (currentConfig[key] === themeId ? DEFAULT_CONFIG[key] : currentConfig[key]);
+        return await this.saveConfig({
+          ...currentConfig,
+          customThemes,
+          editorTheme: fallback('editorTheme'),
+          autoThemeLight: fallback('autoThemeLight'),
+          autoThemeDark: fallback('autoThemeDark')
+        });
+      } catch (error) {
+        console.error('[Coda Extension] Error deleting theme:', error);
+        return false;
+      }
+    }
+
+    static async saveCustomPalette(paletteId, palette) {
+      try {
+        const currentConfig = await this.getConfig();
+        const customPalettes = { ...currentConfig.customPalettes, [paletteId]: palette };
+        return await this.saveConfig({ ...currentConfig, customPalettes, indentGuidePalette: paletteId });
+      } catch (error) {
+        console.error('[Coda Extension] Error saving palette:', error);
+        return false;
+      }
+    }
+
+    static async deleteCustomPalette(paletteId) {
+      try {
+        const currentConfig = await this.getConfig();
+        const customPalettes = { ...currentConfig.customPalettes };
+        delete customPalettes[paletteId];
+        const indentGuidePalette = currentConfig.indentGuidePalette === paletteId
+          ? DEFAULT_CONFIG.indentGuidePalette
+          : currentConfig.indentGuidePalette;
+        return await this.saveConfig({ ...currentConfig, customPalettes, indentGuidePalette });
+      } catch (error) {
+        console.error('[Coda Extension] Error deleting palette:', error);
+        return false;
+      }
+    }
+
+    static async saveSnippet(snippetId, snippet) {
+      try {
+        const currentConfig = await this.getConfig();
+        const snippets = { ...currentConfig.snippets, [snippetId]: snippet };
+        return await this.saveConfig({ ...currentConfig, snippets });
+      } catch (error) {
+        console.error('[Coda Extension] Error saving snippet:', error);
+        return false;
+      }
+    }
+
+    static async deleteSnippet(snippetId) {
+      try {
+        const currentConfig = await this.getConfig();
+        const snippets = { ...currentConfig.snippets };
+        delete snippets[snippetId];
+        return await this.saveConfig({ ...currentConfig, snippets });
+      } catch (error) {
+        console.error('[Coda Extension] Error deleting snippet:', error);
+        return false;
+      }
+    }
+
+    static async importSnippets(imported) {
+      try {
+        const currentConfig = await this.getConfig();
+        const snippets = { ...currentConfig.snippets, ...imported };
+        return await this.saveConfig({ ...currentConfig, snippets });
+      } catch (error) {
+        console.error('[Coda Extension] Error importing snippets:', error);
+        return false;
+      }
+    }
+
+    static async getHistory() {
+      try {
+        const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+        return result[HISTORY_STORAGE_KEY] || {};
+      } catch (error) {
+        console.error('[Coda Extension] Error getting history:', error);
+        return {};
+      }
+    }
+
+    /**
+     * Append a formula version (unless it repeats the latest one) and apply the retention
+     */
+    static saveFormulaVersion(formulaKey, text, config) {
+      // Each save rewrites the whole history: run them one after the other,
+      // or concurrent saves overwrite each other's versions
+      const saved = historySaves.then(() => this.writeFormulaVersion(formulaKey, text, config));
+      historySaves = saved;
+      return saved;
+    }
+
+    /**
+     * Read, append to and write back the history (queued by saveFormulaVersion)
+     */
+    static async writeFormulaVersion(formulaKey, text, config) {
+      try {
+        const history = await this.getHistory();
+        const versions = history[formulaKey] || [];
+        const latest = versions[versions.length - 1];
+        if (latest && latest.text === text) return true;
+
+        history[formulaKey] = versions.concat({ text, savedAt: Date.now() });
+        const pruned = pruneHistory(history, config.historyMaxVersions, config.historyRetentionDays);
+        await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: pruned });
+        return true;
+      } catch (error) {
+        console.error('[Coda Extension] Error saving formula version:', error);
+        return false;
+      }
+    }
+
+    static async clearHistory() {
+      try {
+        await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+        return true;
+      } catch (error) {
+        console.error('[Coda Extension] Error clearing history:', error);
+        return false;
+      }
+    }
+
+    static async getLibrary() {
+      try {
+        const result = await chrome.storage.local.get(LIBRARY_STORAGE_KEY);
+        return result[LIBRARY_STORAGE_KEY] || {};
+      } catch (error) {
+        console.error('[Coda Extension] Error getting library:', error);
+        return {};
+      }
+    }
+
+    static async saveLibraryFormula(formulaId, entry) {
+      try {
+        const library = await this.getLibrary();
+        await chrome.storage.local.set({ [LIBRARY_STORAGE_KEY]: { ...library, [formulaId]: entry } });
+        return true;
+      } catch (error) {
+        console.error('[Coda Extension] Error saving library formula:', error);
+        return false;
+      }
+    }
+
+    static async deleteLibraryFormula(formulaId) {
+      try {
+        const library = await this.getLibrary();
+        delete library[formulaId];
+        await chrome.storage.local.set({ [LIBRARY_STORAGE_KEY]: library });
+        return true;
+      } catch (error) {
+        console.error('[Coda Extension] Error deleting library formula:', error);
+        return false;
+      }
+    }
+
+    static async importLibrary(imported) {
+      try {
+        const library = await this.getLibrary();
+        await chrome.storage.local.set({ [LIBRARY_STORAGE_KEY]: { ...library, ...imported } });
+        return true;
+      } catch (error) {
+        console.error('[Coda Extension] Error importing library:', error);
+        return false;
+      }
+    }
+
+    static async getReferenceFavorites() {
+      try {
+        const result = await chrome.storage.local.get(REFERENCE_FAVORITES_KEY);
+        return result[REFERENCE_FAVORITES_KEY] || [];
+      } catch (error) {
+        console.error('[Coda Extension] Error getting reference favorites:', error);
+        return [];
+      }
+    }
+
+    static async saveReferenceFavorites(names) {
+      try {
+        await chrome.storage.local.set({ [REFERENCE_FAVORITES_KEY]: names });
+        return true;
+      } catch (error) {
+        console.error('[Coda Extension] Error saving reference favorites:', error);
+        return false;
+      }
+    }
+
     static async resetToDefaults() {
-      return await this.saveConfig(DEFAULT_CONFIG);
+      // User-defined themes, palettes and snippets are user data, not settings: keep them
+      const currentConfig = await this.getConfig();
+      return await this.saveConfig({
+        ...DEFAULT_CONFIG,
+        customThemes: currentConfig.customThemes,
+        customPalettes: currentConfig.customPalettes,
+        snippets: currentConfig.snippets
+      });
     }
 
     static async notifyConfigChange(config) {
@@ -146,6 +506,5823 @@
     }
   }
 
+  // ========================================
+  // Theme Registry
+  // ========================================
+
+  // Pastel rainbow colors for indent levels and bracket depths (darker versions)
+  const PASTEL_COLORS = [
+    'rgba(255, 120, 130, 0.8)', // Darker pastel red
+    'rgba(255, 180, 120, 0.8)', // Darker pastel orange
+    'rgba(240, 220, 100, 0.8)', // Darker pastel yellow
+    'rgba(120, 220, 150, 0.8)', // Darker pastel green
+    'rgba(120, 180, 255, 0.8)', // Darker pastel blue
+    'rgba(200, 140, 210, 0.8)', // Darker pastel purple
+    'rgba(255, 150, 190, 0.8)', // Darker pastel pink
+    'rgba(180, 130, 130, 0.8)'  // Darker pastel brown
+  ];
+
+  // Indent guide palettes (also used for bracket depths)
+  const GUIDE_PALETTES = {
+    rainbow: { name: 'Pastel rainbow', colors: PASTEL_COLORS },
+    'okabe-ito': { // Colorblind-safe for all common color vision deficiencies
+      name: 'Okabe-Ito (colorblind-safe)',
+      colors: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#999999']
+    },
+    'blue-orange': { // Protanopia / deuteranopia: no red-green pairs
+      name: 'Blue-orange (red-green safe)',
+      colors: ['#0072b2', '#e69f00', '#56b4e9', '#f0e442', '#004488', '#bb7700', '#99ddff', '#777777']
+    },
+    'red-teal': { // Tritanopia: no blue-yellow pairs
+      name: 'Red-teal (blue-yellow safe)',
+      colors: ['#c41e3a', '#009e9e', '#e377c2', '#555555', '#8c1c2c', '#00706e', '#f4a3b5', '#9e9e9e']
+    },
+    monochrome: {
+      name: 'Monochrome',
+      colors: ['#9e9e9e', '#7a7a7a', '#b5b5b5', '#5c5c5c', '#c9c9c9', '#8a8a8a', '#6b6b6b', '#adadad']
+    },
+    'high-contrast': {
+      name: 'High contrast',
+      colors: ['#ffff00', '#00ffff', '#ff00ff', '#00ff00', '#ff8000', '#ffffff', '#80a0ff', '#ff6060']
+    }
+  };
+
+  const BUILT_IN_THEMES = {
+    light: {
+      name: 'Light',
+      background: '#ffffff', foreground: '#000000', selection: '#add6ff', currentLine: '#f3f3f3',
+      tokens: { function: '#795e26', method: '#267f99', keyword: '#0000ff', reference: '#001080', string: '#a31515', number: '#098658', operator: '#af00db' },
+      indentGuides: PASTEL_COLORS,
+      docPanel: { background: '#ffffff', foreground: '#000000', border: '#f0f0f0' }
+    },
+    dark: {
+      name: 'Dark',
+      background: '#1e1e1e', foreground: '#d4d4d4', selection: '#264f78', currentLine: '#2a2d2e',
+      tokens: { function: '#dcdcaa', method: '#4ec9b0', keyword: '#569cd6', reference: '#9cdcfe', string: '#ce9178', number: '#b5cea8', operator: '#c586c0' },
+      indentGuides: PASTEL_COLORS,
+      docPanel: { background: '#252526', foreground: '#cccccc', border: '#3c3c3c' }
+    },
+    sepia: {
+      name: 'Sepia',
+      background: '#f4ecd8', foreground: '#5b4636', selection: '#e0d2b0', currentLine: '#ede3c9',
+      tokens: { function: '#8b4513', method: '#6b5b95', keyword: '#2f4f8f', reference: '#3e5c4a', string: '#9c3d2e', number: '#7a6a00', operator: '#8e3b6e' },
+      indentGuides: PASTEL_COLORS,
+      docPanel: { background: '#f8f1e3', foreground: '#5b4636', border: '#e0d2b0' }
+    },
+    'high-contrast': { // High contrast: black & white
+      name: 'High Contrast',
+      background: '#000000', foreground: '#ffffff', selection: '#1a4d8f', currentLine: '#1a1a1a',
+      tokens: { function: '#ffff00', method: '#00ffff', keyword: '#ff9900', reference: '#ffffff', string: '#00ff00', number: '#ff80ff', operator: '#ffffff' },
+      indentGuides: GUIDE_PALETTES['high-contrast'].colors,
+      docPanel: { background: '#000000', foreground: '#ffffff', border: '#6fc3df' }
+    },
+    protanopia: { // Red-green colorblind (uses blue)
+      name: 'Protanopia (Colorblind)',
+      background: '#f5f5f0', foreground: '#005a9c', selection: '#cce4f6', currentLine: '#ebebe4',
+      tokens: { function: '#0072b2', method: '#56b4e9', keyword: '#000000', reference: '#004466', string: '#e69f00', number: '#cc79a7', operator: '#555555' },
+      indentGuides: GUIDE_PALETTES['blue-orange'].colors,
+      docPanel: { background: '#fafaf5', foreground: '#005a9c', border: '#dcdcd2' }
+    },
+    deuteranopia: { // Red-green colorblind (uses brown/blue)
+      name: 'Deuteranopia (Colorblind)',
+      background: '#f0f0f5', foreground: '#8b4513', selection: '#d6d6ea', currentLine: '#e6e6ee',
+      tokens: { function: '#0072b2', method: '#56b4e9', keyword: '#000000', reference: '#5a3a1a', string: '#e69f00', number: '#cc79a7', operator: '#555555' },
+      indentGuides: GUIDE_PALETTES['blue-orange'].colors,
+      docPanel: { background: '#f7f7fa', foreground: '#8b4513', border: '#d8d8e4' }
+    },
+    tritanopia: { // Blue-yellow colorblind (uses red)
+      name: 'Tritanopia (Colorblind)',
+      background: '#fff5f0', foreground: '#c41e3a', selection: '#f8d5cc', currentLine: '#fbeae2',
+      tokens: { function: '#a50f15', method: '#d6604d', keyword: '#000000', reference: '#67001f', string: '#1b7837', number: '#762a83', operator: '#555555' },
+      indentGuides: GUIDE_PALETTES['red-teal'].colors,
+      docPanel: { background: '#fffaf7', foreground: '#c41e3a', border: '#f0dcd2' }
+    }
+  };
+
+  /**
+   * ThemeRegistry - Resolves built-in and user-defined themes and guide palettes
+   * Single Responsibility: Theme lookup and normalization
+   */
+  class ThemeRegistry {
+    constructor(customThemes = {}, customPalettes = {}) {
+      this.themes = { ...BUILT_IN_THEMES, ...customThemes };
+      this.palettes = { ...GUIDE_PALETTES, ...customPalettes };
+    }
+
+    /**
+     * Get the colors of a guide palette (null when unknown)
+     */
+    getPalette(paletteId) {
+      const palette = Object.prototype.hasOwnProperty.call(this.palettes, paletteId) ? this.palettes[paletteId] : null;
+      return palette && isValidPalette(palette) ? palette.colors : null;
+    }
+
+    /**
+     * Get a complete theme definition (falls back to light)
+     */
+    get(themeId) {
+      return ThemeRegistry.normalize(this.themes[themeId] || BUILT_IN_THEMES.light);
+    }
+
+    has(themeId) {
+      return Object.prototype.hasOwnProperty.call(this.themes, themeId);
+    }
+
+    /**
+     * Fill missing fields of a (possibly partial) user theme from the light theme
+     */
+    static normalize(theme) {
+      const base = BUILT_IN_THEMES.light;
+      return {
+        ...base,
+        ...theme,
+        tokens: { ...base.tokens, ...theme.tokens },
+        docPanel: { ...base.docPanel, ...theme.docPanel },
+        indentGuides: Array.isArray(theme.indentGuides) && theme.indentGuides.length > 0
+          ? theme.indentGuides
+          : base.indentGuides
+      };
+    }
+  }
+
+  // ========================================
+  // Formula Tokenizer
+  // ========================================
+
+  const FORMULA_KEYWORDS = [
+    'thisRow', 'thisTable', 'thisDocument', 'thisUser', 'thisPage',
+    'CurrentValue', 'true', 'false'
+  ];
+  const FORMULA_WORD_OPERATORS = ['AND', 'OR', 'NOT'];
+  const FORMULA_OPERATORS = ['<=', '>=', '!=', '<>', '==', '&&', '||', '+', '-', '*', '/', '^', '&', '=', '<', '>', '!', '%'];
+  const FORMULA_BRACKETS = '()[]{}';
+  const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+  const FORMULA_PUNCTUATION = ',.:;';
+
+  /**
+   * FormulaTokenizer - Splits Coda formula text into typed tokens
+   * Single Responsibility: Lexical analysis (no DOM access)
+   *
+   * Token types: function, method, keyword, identifier, reference, string,
+   * number, operator, bracket, punctuation, whitespace, unknown.
+   */
+  class FormulaTokenizer {
+    /**
+     * Tokenize formula text
+     * @param {string} text - Formula source
+     * @param {Array<{start: number, end: number}>} atoms - Ranges rendered as Coda objects (chips)
+     * @returns {Array<{type: string, value: string, start: number, end: number}>}
+     */
+    tokenize(text, atoms = []) {
+      const tokens = [];
+      const atomStarts = new Map(atoms.map(atom => [atom.start, atom]));
+      const isBoundary = (index) => atomStarts.has(index);
+      let i = 0;
+
+      while (i < text.length) {
+        const start = i;
+        const char = text[i];
+        const atom = atomStarts.get(i);
+
+        if (atom && atom.end > atom.start) {
+          i = atom.end;
+          tokens.push(this.createToken('reference', text, start, i));
+          continue;
+        }
+
+        if (/\s/.test(char)) {
+          i++;
+          while (i < text.length && /\s/.test(text[i]) && !isBoundary(i)) i++;
+          tokens.push(this.createToken('whitespace', text, start, i));
+          continue;
+        }
+
+        if (char === '"') {
+          const literal = this.readString(text, i, isBoundary);
+          i = literal.end;
+          const token = this.createToken('string', text, start, i);
+          token.terminated = literal.terminated;
+          tokens.push(token);
+          continue;
+        }
+
+        const number = this.matchNumber(text, i);
+        if (number) {
+          i += number.length;
+          tokens.push(this.createToken('number', text, start, i));
+          continue;
+        }
+
+        if (this.isIdentifierStart(char)) {
+          i++;
+          while (i < text.length && this.isIdentifierPart(text[i]) && !isBoundary(i)) i++;
+          tokens.push(this.createToken(this.classifyWord(text, start, i, tokens), text, start, i));
+          continue;
+        }
+
+        const operator = FORMULA_OPERATORS.find(op => text.startsWith(op, i));
+        if (operator) {
+          i += operator.length;
+          tokens.push(this.createToken('operator', text, start, i));
+          continue;
+        }
+
+        i++;
+        let type = 'unknown';
+        if (FORMULA_BRACKETS.includes(char)) type = 'bracket';
+        else if (FORMULA_PUNCTUATION.includes(char)) type = 'punctuation';
+        tokens.push(this.createToken(type, text, start, i));
+      }
+
+      return tokens;
+    }
+
+    createToken(type, text, start, end) {
+      return { type, value: text.slice(start, end), start, end };
+    }
+
+    /**
+     * Read a string literal starting at its opening quote
+     * @returns {{end: number, terminated: boolean}} Index after the literal
+     */
+    readString(text, index, isBoundary) {
+      let i = index + 1;
+      while (i < text.length && !isBoundary(i)) {
+        if (text[i] === '\\') {
+          i += 2;
+          continue;
+        }
+        if (text[i] === '"') return { end: i + 1, terminated: true };
+        i++;
+      }
+      return { end: Math.min(i, text.length), terminated: false };
+    }
+
+    matchNumber(text, index) {
+      const match = /^(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(index, index + 64));
+      if (!match) return null;
+      // "x.5" is a property access on x, not a number
+      if (text[index] === '.' && index > 0 && this.isIdentifierPart(text[index - 1])) return null;
+      return match[0];
+    }
+
+    isIdentifierStart(char) {
+      return /[A-Za-z_$\u00C0-\uFFEF]/.test(char) && char !== '\uFEFF';
+    }
+
+    isIdentifierPart(char) {
+      return /[\w$\u00C0-\uFFEF]/.test(char) && char !== '\uFEFF';
+    }
+
+    /**
+     * Decide whether a word is a call, a dot-chained call, a keyword or an operator
+     */
+    classifyWord(text, start, end, previousTokens) {
+      const word = text.slice(start, end);
+      let next = end;
+      while (next < text.length && /\s/.test(text[next])) next++;
+      const isCall = text[next] === '(';
+      const previous = this.lastSignificantToken(previousTokens);
+      const isChained = previous && previous.value === '.';
+
+      if (isCall) return isChained ? 'method' : 'function';
+      if (FORMULA_WORD_OPERATORS.includes(word)) return 'operator';
+      if (!isChained && FORMULA_KEYWORDS.includes(word)) return 'keyword';
+      return 'identifier';
+    }
+
+    lastSignificantToken(tokens) {
+      for (let i = tokens.length - 1; i >= 0; i--) {
+        if (tokens[i].type !== 'whitespace') return tokens[i];
+      }
+      return null;
+    }
+  }
+
+  // ========================================
+  // Formula Parser
+  // ========================================
+
+  const FORMULA_BINARY_PRECEDENCE = {
+    'OR': 1, '||': 1,
+    'AND': 2, '&&': 2,
+    '=': 3, '==': 3, '!=': 3, '<>': 3, '<': 3, '>': 3, '<=': 3, '>=': 3,
+    '&': 4,
+    '+': 5, '-': 5,
+    '*': 6, '/': 6, '%': 6,
+    '^': 7
+  };
+  const FORMULA_RIGHT_ASSOCIATIVE = ['^'];
+  const FORMULA_PREFIX_OPERATORS = ['-', '+', '!', 'NOT'];
+  const FORMULA_EXPRESSION_STARTS = ['number', 'string', 'reference', 'keyword', 'identifier', 'function', 'method'];
+
+  // Child fields of each node type, in source order
+  const FORMULA_NODE_CHILDREN = {
+    Formula: ['body'],
+    Call: ['object', 'callee', 'args'],
+    Member: ['object', 'property'],
+    Binary: ['left', 'right'],
+    Unary: ['argument'],
+    Group: ['expression'],
+    List: ['elements'],
+    NamedArgument: ['name', 'value']
+  };
+
+  /**
+   * FormulaParser - Builds an AST from formula tokens
+   * Single Responsibility: Syntax analysis (no DOM access)
+   *
+   * Node types: Formula, Call, Member, Binary, Unary, Group, List,
+   * NamedArgument, Identifier, Keyword, Reference, Number, String, Error.
+   * Every node carries the [start, end) offsets of its source text, so
+   * EditorTextModel.createRange(node.start, node.end) maps it to the DOM.
+   * Parsing never throws: problems are collected in `errors`, missing or
+   * unexpected parts become Error nodes and unclosed nodes get `closed: false`.
+   */
+  class FormulaParser {
+    /**
+     * Parse formula text
+     * @param {string} text - Formula source
+     * @param {Array<{start: number, end: number}>} atoms - Ranges rendered as Coda objects (chips)
+     * @returns {{type: string, body: Array<Object>, errors: Array<{message: string, start: number, end: number}>, start: number, end: number}}
+     */
+    parse(text, atoms = []) {
+      return this.parseTokens(new FormulaTokenizer().tokenize(text, atoms), text.length);
+    }
+
+    /**
+     * Parse already tokenized text (whitespace tokens are ignored)
+     */
+    parseTokens(tokens, length) {
+      this.tokens = tokens.filter(token => token.type !== 'whitespace');
+      this.position = 0;
+      this.closers = [];
+      this.errors = [];
+
+      const body = [];
+      while (this.position < this.tokens.length) {
+        const token = this.peek();
+        if (this.isClosingBracket(token)) {
+          this.error(`Unmatched '${token.value}'`, token);
+          this.position++;
+          continue;
+        }
+        if (body.length > 0) {
+          this.error(`Unexpected '${token.value}'`, token);
+          if (!this.canStartExpression(token)) {
+            this.position++;
+            continue;
+          }
+        }
+        body.push(this.parseExpression());
+      }
+
+      return { type: 'Formula', body, errors: this.errors, start: 0, end: length };
+    }
+
+    /**
+     * Binary expression by precedence climbing
+     */
+    parseExpression(minPrecedence = 1) {
+      let left = this.parseUnary();
+
+      for (;;) {
+        const token = this.peek();
+        const precedence = token && token.type === 'operator' ? FORMULA_BINARY_PRECEDENCE[token.value] : undefined;
+        if (!precedence || precedence < minPrecedence) return left;
+
+        this.position++;
+        const nextPrecedence = FORMULA_RIGHT_ASSOCIATIVE.includes(token.value) ? precedence : precedence + 1;
+        const right = this.parseExpression(nextPrecedence);
+        left = { type: 'Binary', operator: token.value, left, right, start: left.start, end: right.end };
+      }
+    }
+
+    parseUnary() {
+      const token = this.peek();
+      if (token && token.type === 'operator' && FORMULA_PREFIX_OPERATORS.includes(token.value)) {
+        this.position++;
+        const argument = this.parseUnary();
+        return { type: 'Unary', operator: token.value, argument, start: token.start, end: argument.end };
+      }
+      return this.parseChain(this.parsePrimary());
+    }
+
+    /**
+     * Dot-chaining: property access (thisRow.Name) and method calls (list.Filter(...))
+     */
+    parseChain(node) {
+      while (this.isToken(this.peek(), '.')) {
+        const dot = this.peek();
+        this.position++;
+        const name = this.peek();
+
+        if (name && (name.type === 'method' || name.type === 'function')) {
+          this.position++;
+          node = this.parseCall(name, node);
+          continue;
+        }
+
+        let property;
+        if (name && ['identifier', 'keyword', 'reference'].includes(name.type)) {
+          this.position++;
+          property = this.leaf(name);
+        } else {
+          property = this.missing(`Expected a name after '.'`, dot.end);
+        }
+        node = { type: 'Member', object: node, property, start: node.start, end: property.end };
+      }
+      return node;
+    }
+
+    parsePrimary() {
+      const token = this.peek();
+      if (!token || this.isClosingBracket(token) || this.isToken(token, ',')) {
+        return this.missing('Expected an expression');
+      }
+
+      this.position++;
+      if (token.type === 'function' || token.type === 'method') return this.parseCall(token, null);
+      if (token.value === '(' && token.type === 'bracket') return this.parseGroup(token);
+      if (BRACKET_PAIRS[token.value] && token.type === 'bracket') {
+        const list = this.parseDelimited(token, BRACKET_PAIRS[token.value], false);
+        return { type: 'List', open: token.value, elements: list.items, closed: list.closed, start: token.start, end: list.end };
+      }
+      if (FORMULA_EXPRESSION_STARTS.includes(token.type)) return this.leaf(token);
+
+      const message = `Unexpected '${token.value}'`;
+      this.error(message, token);
+      return { type: 'Error', message, start: token.start, end: token.end };
+    }
+
+    /**
+     * Call of a function (name token is followed by "("), optionally chained on an object
+     */
+    parseCall(name, object) {
+      const callee = this.leaf(name);
+      const open = this.peek();
+      if (!this.isToken(open, '(')) {
+        return object ? { type: 'Member', object, property: callee, start: object.start, end: callee.end } : callee;
+      }
+
+      this.position++;
+      const args = this.parseDelimited(open, ')', true);
+      return {
+        type: 'Call',
+        object,
+        callee,
+        args: args.items,
+        closed: args.closed,
+        start: object ? object.start : name.start,
+        end: args.end
+      };
+    }
+
+    parseGroup(open) {
+      const group = this.parseDelimited(open, ')', false);
+      group.items.slice(1).forEach(extra => this.error(`Expected ')'`, extra));
+      const expression = group.items[0] || this.missing('Expected an expression', open.end);
+      return { type: 'Group', expression, closed: group.closed, start: open.start, end: group.end };
+    }
+
+    /**
+     * Comma-separated items up to a closing bracket, with recovery on
+     * unexpected tokens and on a missing closing bracket
+     */
+    parseDelimited(open, closer, allowNamed) {
+      const items = [];
+      let closed = false;
+      this.closers.push(closer);
+
+      if (this.isToken(this.peek(), closer)) {
+        this.position++;
+        closed = true;
+      }
+
+      while (!closed) {
+        items.push(allowNamed ? this.parseArgument() : this.parseExpression());
+
+        let token = this.peek();
+        if (token && !this.isToken(token, ',') && !this.isToken(token, closer) && !this.isOuterCloser(token)) {
+          this.error(`Expected ',' or '${closer}'`, token);
+          this.synchronize();
+          token = this.peek();
+        }
+
+        if (this.isToken(token, ',')) {
+          this.position++;
+        } else if (this.isToken(token, closer)) {
+          this.position++;
+          closed = true;
+        } else {
+          break;
+        }
+      }
+
+      this.closers.pop();
+      if (!closed) this.error(`Missing '${closer}' for '${open.value}'`, open);
+      return { items, closed, end: this.previousEnd(open.end) };
+    }
+
+    /**
+     * Call argument, possibly named (Sequence(1, 10, by: 2))
+     */
+    parseArgument() {
+      const token = this.peek();
+      const next = this.tokens[this.position + 1];
+      if (!token || token.type !== 'identifier' || !this.isToken(next, ':')) return this.parseExpression();
+
+      this.position += 2;
+      const name = this.leaf(token);
+      const value = this.parseExpression();
+      return { type: 'NamedArgument', name, value, start: token.start, end: value.end };
+    }
+
+    /**
+     * Skip to the next "," or closing bracket expected by an enclosing construct
+     */
+    synchronize() {
+      let depth = 0;
+      while (this.position < this.tokens.length) {
+        const token = this.peek();
+        if (token.type === 'bracket') {
+          if (BRACKET_PAIRS[token.value]) depth++;
+          else if (depth > 0) depth--;
+          else if (this.closers.includes(token.value)) return;
+        } else if (depth === 0 && this.isToken(token, ',')) {
+          return;
+        }
+        this.position++;
+      }
+    }
+
+    leaf(token) {
+      const node = { start: token.start, end: token.end };
+      switch (token.type) {
+        case 'number':
+          return { type: 'Number', value: Number(token.value), ...node };
+        case 'string':
+          if (!token.terminated) this.error('Unterminated string', token);
+          return { type: 'String', value: this.unquote(token), terminated: token.terminated, ...node };
+        case 'reference':
+          return { type: 'Reference', name: token.value, ...node };
+        case 'keyword':
+          return { type: 'Keyword', name: token.value, ...node };
+        default:
+          return { type: 'Identifier', name: token.value, ...node };
+      }
+    }
+
+    unquote(token) {
+      const inner = token.value.slice(1, token.terminated ? -1 : undefined);
+      return inner.replace(/\\(.)/g, '$1');
+    }
+
+    /**
+     * Zero-width Error node where an expression is missing
+     */
+    missing(message, offset = this.previousEnd(0)) {
+      const node = { type: 'Error', message, start: offset, end: offset };
+      this.error(message, node);
+      return node;
+    }
+
+    error(message, range) {
+      this.errors.push({ message, start: range.start, end: range.end });
+    }
+
+    peek() {
+      return this.tokens[this.position] || null;
+    }
+
+    previousEnd(fallback) {
+      return this.position > 0 ? this.tokens[this.position - 1].end : fallback;
+    }
+
+    isToken(token, value) {
+      return !!token && token.value === value && (token.type === 'bracket' || token.type === 'punctuation');
+    }
+
+    isClosingBracket(token) {
+      return token.type === 'bracket' && !BRACKET_PAIRS[token.value];
+    }
+
+    isOuterCloser(token) {
+      return this.isClosingBracket(token) && this.closers.slice(0, -1).includes(token.value);
+    }
+
+    canStartExpression(token) {
+      return FORMULA_EXPRESSION_STARTS.includes(token.type) ||
+        (token.type === 'bracket' && !!BRACKET_PAIRS[token.value]) ||
+        (token.type === 'operator' && FORMULA_PREFIX_OPERATORS.includes(token.value));
+    }
+
+    /**
+     * Visit a node and its descendants depth-first, in source order
+     * @param {Object} node - Root node
+     * @param {Function} visit - Called with (node, parent)
+     */
+    static walk(node, visit, parent = null) {
+      if (!node) return;
+      visit(node, parent);
+      (FORMULA_NODE_CHILDREN[node.type] || []).forEach(field => {
+        const child = node[field];
+        if (Array.isArray(child)) child.forEach(item => FormulaParser.walk(item, visit, node));
+        else FormulaParser.walk(child, visit, node);
+      });
+    }
+
+    /**
+     * Nodes containing a text offset, outermost first
+     */
+    static pathAt(ast, offset) {
+      const path = [];
+      FormulaParser.walk(ast, (node, parent) => {
+        const inside = node.start <= offset && offset <= node.end;
+        if (inside && parent === (path[path.length - 1] || null)) path.push(node);
+      });
+      return path;
+    }
+  }
+
+  // ========================================
+  // Formula Formatting
+  // ========================================
+
+  const FORMAT_LINE_LENGTH = 60; // Calls longer than this put one argument per line
+
+  /**
+   * FormulaFormatter - Pretty-prints or minifies formula text
+   * Single Responsibility: Formula layout (no DOM access)
+   *
+   * Calls and lists stay on one line when they fit, otherwise each argument
+   * goes on its own line one indent unit deeper. Operators get one space on
+   * each side; names, numbers, strings and references keep their source text.
+   */
+  class FormulaFormatter {
+    /**
+     * @param {string} indentText - Text of one indent level (see getIndentUnitText)
+     */
+    constructor(indentText, lineLength = FORMAT_LINE_LENGTH) {
+      this.indentText = indentText;
+      this.indentWidth = indentText.replace(/\t/g, '    ').length;
+      this.lineLength = lineLength;
+    }
+
+    /**
+     * Format formula text
+     * @returns {string|null} Formatted text, or null when the formula has syntax errors
+     */
+    format(text, atoms = []) {
+      const ast = new FormulaParser().parse(text, atoms);
+      if (ast.errors.length > 0) return null;
+
+      this.text = text;
+      return ast.body.map(node => this.print(node, 0)).join('\n');
+    }
+
+    /**
+     * Collapse a formula to one line: whitespace outside strings is removed,
+     * except where joining two tokens would change how the text tokenizes
+     * (a AND b, 1 e5, < =)
+     */
+    minify(text, atoms = []) {
+      const tokenizer = new FormulaTokenizer();
+      let result = '';
+      let previous = null;
+      let spaced = false;
+
+      tokenizer.tokenize(text, atoms).forEach(token => {
+        if (token.type === 'whitespace') {
+          spaced = true;
+          return;
+        }
+
+        if (spaced && previous) {
+          const joined = tokenizer.tokenize(previous.value + token.value);
+          if (joined.length !== 2 || joined[0].value !== previous.value) result += ' ';
+        }
+        result += token.value;
+        previous = token;
+        spaced = false;
+      });
+
+      return result;
+    }
+
+    /**
+     * Print a node whose first line starts at the given indent level
+     * @param {boolean} flat - Keep everything on one line
+     */
+    print(node, level, flat = false) {
+      const print = child => this.print(child, level, flat);
+      switch (node.type) {
+        case 'Call':
+          return this.printItems(`${node.object ? `${print(node.object)}.` : ''}${node.callee.name}(`, node.args, ')', level, flat);
+        case 'List':
+          return this.printItems(node.open, node.elements, BRACKET_PAIRS[node.open], level, flat);
+        case 'Member':
+          return `${print(node.object)}.${print(node.property)}`;
+        case 'Binary':
+          return `${print(node.left)} ${node.operator} ${print(node.right)}`;
+        case 'Unary':
+          return `${node.operator}${/^[A-Z]/.test(node.operator) ? ' ' : ''}${print(node.argument)}`;
+        case 'Group':
+          return `(${print(node.expression)})`;
+        case 'NamedArgument':
+          return `${node.name.name}: ${print(node.value)}`;
+        default:
+          return this.text.slice(node.start, node.end);
+      }
+    }
+
+    /**
+     * Print bracketed items inline, or one per line when they do not fit
+     * @param {string} open - Opening bracket, preceded by the callee for calls
+     */
+    printItems(open, items, close, level, flat) {
+      const inline = `${open}${items.map(item => this.print(item, level, true)).join(', ')}${close}`;
+      if (flat || items.length === 0 || level * this.indentWidth + inline.length <= this.lineLength) return inline;
+
+      const indent = this.indentText.repeat(level);
+      const inner = indent + this.indentText;
+      const lines = items.map(item => inner + this.print(item, level + 1));
+      return `${open}\n${lines.join(',\n')}\n${indent}${close}`;
+    }
+  }
+
+  // ========================================
+  // Editor Text Model
+  // ========================================
+
+  const FORMULA_EDITOR_SELECTOR = '[data-coda-ui-id="formula-editor"]';
+  const EDITOR_LINE_SELECTOR = '.kr-line, .kr-paragraph';
+  const EDITOR_ATOM_SELECTOR = '.kr-object-e, [contenteditable="false"]';
+
+  /**
+   * EditorTextModel - Snapshot of the Slate editor text with offset mapping
+   * Single Responsibility: Translate between DOM positions and text offsets
+   *
+   * Lines are joined with "\n", so offsets match what the user sees.
+   * Slate zero-width placeholders are excluded from the text.
+   */
+  class EditorTextModel {
+    constructor(editor) {
+      this.editor = editor;
+      this.text = '';
+      this.lines = [];
+      this.segments = [];
+      this.atoms = [];
+      this.tokens = null;
+      this.ast = null;
+      this.build();
+    }
+
+    /**
+     * Find the Slate editors living inside formula dialogs
+     */
+    static findEditors(root = document) {
+      const editors = Array.from(root.querySelectorAll(`${FORMULA_EDITOR_SELECTOR} .kr-slate-editor`));
+      if (editors.length > 0) return editors;
+      return Array.from(root.querySelectorAll(`${FORMULA_EDITOR_SELECTOR} [contenteditable="true"]`));
+    }
+
+    build() {
+      const parts = [];
+      let offset = 0;
+
+      this.findLineElements().forEach((element, index) => {
+        if (index > 0) {
+          parts.push('\n');
+          offset += 1;
+        }
+
+        const line = { element, index, start: offset, end: offset, anchor: null };
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        let node;
+
+        while ((node = walker.nextNode())) {
+          const parent = node.parentElement;
+          if (parent && parent.closest('[data-slate-zero-width]')) {
+            if (!line.anchor) line.anchor = node;
+            continue;
+          }
+
+          const value = node.nodeValue;
+          if (!value) continue;
+
+          this.segments.push({ node, line: index, start: offset, end: offset + value.length });
+          this.trackAtom(parent, offset, offset + value.length);
+          parts.push(value);
+          offset += value.length;
+        }
+
+        line.end = offset;
+        this.lines.push(line);
+      });
+
+      this.text = parts.join('');
+    }
+
+    findLineElements() {
+      const lines = Array.from(this.editor.querySelectorAll(EDITOR_LINE_SELECTOR)).filter(line => {
+        const outer = line.parentElement && line.parentElement.closest(EDITOR_LINE_SELECTOR);
+        return !outer || !this.editor.contains(outer);
+      });
+      return lines.length > 0 ? lines : [this.editor];
+    }
+
+    /**
+     * Group text nodes rendered inside the same Coda object into one atom
+     */
+    trackAtom(parent, start, end) {
+      const atomElement = parent && parent.closest(EDITOR_ATOM_SELECTOR);
+      if (!atomElement || !this.editor.contains(atomElement) || atomElement === this.editor) return;
+
+      const last = this.atoms[this.atoms.length - 1];
+      if (last && last.element === atomElement && last.end === start) {
+        last.end = end;
+      } else {
+        this.atoms.push({ element: atomElement, start, end });
+      }
+    }
+
+    /**
+     * Tokens of the model text (computed once per snapshot)
+     */
+    getTokens() {
+      if (!this.tokens) {
+        this.tokens = new FormulaTokenizer().tokenize(this.text, this.atoms);
+      }
+      return this.tokens;
+    }
+
+    /**
+     * Syntax tree of the model text; node offsets are model offsets (see createRange)
+     */
+    getAst() {
+      if (!this.ast) {
+        this.ast = new FormulaParser().parseTokens(this.getTokens(), this.text.length);
+      }
+      return this.ast;
+    }
+
+    /**
+     * Whether [start, end) holds part of a Coda object, which a paste would turn into text
+     */
+    hasAtoms(start, end) {
+      return this.atoms.some(atom => atom.start < end && atom.end > start);
+    }
+
+    /**
+     * Index of the line containing a text offset
+     */
+    lineIndexAt(offset) {
+      for (let i = 0; i < this.lines.length; i++) {
+        if (offset <= this.lines[i].end) return i;
+      }
+      return Math.max(0, this.lines.length - 1);
+    }
+
+    /**
+     * Convert a text offset to a DOM point
+     * @param {number} offset - Text offset
+     * @param {boolean} preferEnd - On a segment boundary, use the end of the previous segment
+     * @returns {{node: Node, offset: number}|null}
+     */
+    pointAt(offset, preferEnd = false) {
+      const line = this.lines[this.lineIndexAt(offset)];
+      if (!line) return null;
+
+      const segments = this.segments.filter(segment => segment.line === line.index);
+      if (segments.length === 0) {
+        return { node: line.anchor || line.element, offset: 0 };
+      }
+
+      const clamped = Math.min(Math.max(offset, line.start), line.end);
+      const match = segments.find(segment => preferEnd
+        ? clamped > segment.start && clamped <= segment.end
+        : clamped >= segment.start && clamped < segment.end);
+      const segment = match || (clamped <= segments[0].start ? segments[0] : segments[segments.length - 1]);
+
+      return { node: segment.node, offset: Math.min(Math.max(clamped - segment.start, 0), segment.node.length) };
+    }
+
+    /**
+     * Create a DOM range covering [start, end)
+     */
+    createRange(start, end) {
+      const startPoint = this.pointAt(start, false);
+      const endPoint = this.pointAt(end, true);
+      if (!startPoint || !endPoint) return null;
+
+      const range = document.createRange();
+      range.setStart(startPoint.node, startPoint.offset);
+      range.setEnd(endPoint.node, endPoint.offset);
+      return range;
+    }
+
+    /**
+     * Convert a DOM point to a text offset
+     * @returns {number|null} Offset, or null when the point is outside the editor
+     */
+    offsetAt(node, offset) {
+      if (!node || !this.editor.contains(node)) return null;
+
+      if (node.nodeType === Node.TEXT_NODE) {
+        const segment = this.segments.find(s => s.node === node);
+        if (segment) return segment.start + Math.min(offset, segment.end - segment.start);
+      }
+
+      const line = this.lines.find(l => l.element.contains(node)) || this.lines[0];
+      if (!line) return null;
+
+      const point = document.createRange();
+      point.setStart(node, offset);
+      let result = line.start;
+      this.segments.forEach(segment => {
+        if (segment.line !== line.index) return;
+        if (point.comparePoint(segment.node, segment.node.length) < 0) {
+          result = segment.end;
+        }
+      });
+      return result;
+    }
+
+    /**
+     * Current selection expressed as text offsets
+     * @returns {{start: number, end: number, anchor: number, focus: number, collapsed: boolean}|null}
+     */
+    getSelection() {
+      const selection = window.getSelection();
+      if (!selection || selection.rangeCount === 0) return null;
+
+      const anchor = this.offsetAt(selection.anchorNode, selection.anchorOffset);
+      const focus = this.offsetAt(selection.focusNode, selection.focusOffset);
+      if (anchor === null || focus === null) return null;
+
+      return {
+        start: Math.min(anchor, focus),
+        end: Math.max(anchor, focus),
+        anchor,
+        focus,
+        collapsed: anchor === focus
+      };
+    }
+  }
+
+  // ========================================
+  // Syntax Highlighting
+  // ========================================
+
+  /**
+   * Check if the browser supports the CSS Custom Highlight API
+   */
+  function supportsHighlights() {
+    return typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight !== 'undefined';
+  }
+
+  /**
+   * Register a named highlight made of DOM ranges
+   */
+  function setHighlight(name, ranges, priority = 0) {
+    const highlight = new Highlight(...ranges);
+    highlight.priority = priority;
+    CSS.highlights.set(name, highlight);
+  }
+
+  /**
+   * Create or update a <style> element identified by id
+   */
+  function upsertStyleElement(id, css) {
+    let styleEl = document.getElementById(id);
+    if (!styleEl) {
+      styleEl = document.createElement('style');
+      styleEl.id = id;
+      document.head.appendChild(styleEl);
+    }
+    styleEl.textContent = css;
+  }
+
+  function removeStyleElement(id) {
+    const styleEl = document.getElementById(id);
+    if (styleEl) {
+      styleEl.remove();
+    }
+  }
+
+  /**
+   * SyntaxHighlighter - Colors formula tokens with the CSS Custom Highlight API
+   * Single Responsibility: Token highlighting
+   *
+   * Highlights are registered as ranges rather than DOM wrappers, so Slate
+   * keeps full control of the editor markup and can re-render freely.
+   */
+  class SyntaxHighlighter {
+    constructor() {
+      this.styleElementId = 'coda-syntax-highlight-styles';
+      this.highlightPrefix = 'coda-formula-';
+      this.tokenTypes = ['function', 'method', 'keyword', 'reference', 'string', 'number', 'operator'];
+    }
+
+    /**
+     * Inject ::highlight() rules for the theme token colors
+     */
+    applyColors(tokenColors) {
+      upsertStyleElement(this.styleElementId, this.tokenTypes
+        .filter(type => tokenColors[type])
+        .map(type => `::highlight(${this.highlightPrefix}${type}) { color: ${tokenColors[type]}; }`)
+        .join('\n'));
+    }
+
+    /**
+     * Recompute token highlights for all given editor models
+     */
+    highlight(models) {
+      if (!supportsHighlights()) return;
+
+      const rangesByType = {};
+      this.tokenTypes.forEach(type => {
+        rangesByType[type] = [];
+      });
+
+      models.forEach(model => {
+        model.getTokens().forEach(token => {
+          if (!rangesByType[token.type]) return;
+          const range = model.createRange(token.start, token.end);
+          if (range) rangesByType[token.type].push(range);
+        });
+      });
+
+      this.tokenTypes.forEach(type => {
+        setHighlight(`${this.highlightPrefix}${type}`, rangesByType[type]);
+      });
+    }
+
+    /**
+     * Remove all token highlights and their styles
+     */
+    clear() {
+      if (supportsHighlights()) {
+        this.tokenTypes.forEach(type => CSS.highlights.delete(`${this.highlightPrefix}${type}`));
+      }
+      removeStyleElement(this.styleElementId);
+    }
+  }
+
+  // ========================================
+  // Bracket Pair Colorization
+  // ========================================
+
+  const UNMATCHED_BRACKET_COLOR = '#e51400';
+
+  /**
+   * BracketHighlighter - Colors brackets by nesting depth and highlights
+   * the partner of the bracket next to the caret
+   * Single Responsibility: Bracket pairing and bracket decorations
+   */
+  class BracketHighlighter {
+    constructor() {
+      this.styleElementId = 'coda-bracket-pair-styles';
+      this.highlightPrefix = 'coda-bracket-';
+      this.depthCount = 0;
+    }
+
+    /**
+     * Pair bracket tokens (strings are already single tokens, so their
+     * content is never matched)
+     * @returns {{pairs: Array<{open: Object, close: Object, depth: number}>, unmatched: Array<Object>}}
+     */
+    static analyze(tokens) {
+      const pairs = [];
+      const unmatched = [];
+      const stack = [];
+
+      tokens.forEach(token => {
+        if (token.type !== 'bracket') return;
+
+        if (BRACKET_PAIRS[token.value]) {
+          stack.push(token);
+          return;
+        }
+
+        const open = stack[stack.length - 1];
+        if (open && BRACKET_PAIRS[open.value] === token.value) {
+          stack.pop();
+          pairs.push({ open, close: token, depth: stack.length });
+        } else {
+          unmatched.push(token);
+        }
+      });
+
+      return { pairs, unmatched: unmatched.concat(stack) };
+    }
+
+    /**
+     * Find the pair whose bracket touches the caret (the bracket after the
+     * caret wins over the one before it)
+     */
+    static findPairAtCaret(pairs, caret) {
+      const startingAt = (offset) => pairs.find(pair => pair.open.start === offset || pair.close.start === offset);
+      return startingAt(caret) || startingAt(caret - 1) || null;
+    }
+
+    /**
+     * Find the innermost pair enclosing the caret, optionally restricted by a filter
+     */
+    static findEnclosingPair(pairs, caret, filter = () => true) {
+      return pairs.reduce((innermost, pair) => {
+        if (pair.open.end > caret || pair.close.start < caret || !filter(pair)) return innermost;
+        return !innermost || pair.open.start > innermost.open.start ? pair : innermost;
+      }, null);
+    }
+
+    /**
+     * Inject ::highlight() rules for depth colors, matches and errors
+     */
+    applyColors(palette) {
+      this.depthCount = palette.length;
+
+      const rules = palette.map((color, depth) =>
+        `::highlight(${this.highlightPrefix}depth-${depth}) { color: ${color}; }`);
+      rules.push(`::highlight(${this.highlightPrefix}match) { background-color: rgba(120, 180, 255, 0.35); }`);
+      rules.push(`::highlight(${this.highlightPrefix}unmatched) { color: ${UNMATCHED_BRACKET_COLOR}; text-decoration: underline wavy ${UNMATCHED_BRACKET_COLOR}; }`);
+
+      upsertStyleElement(this.styleElementId, rules.join('\n'));
+    }
+
+    /**
+     * Recompute bracket colors and the caret match for all editor models
+     */
+    highlight(models) {
+      if (!supportsHighlights() || this.depthCount === 0) return;
+
+      const byDepth = Array.from({ length: this.depthCount }, () => []);
+      const unmatched = [];
+
+      models.forEach(model => {
+        const analysis = BracketHighlighter.analyze(model.getTokens());
+        analysis.pairs.forEach(pair => {
+          const ranges = byDepth[pair.depth % this.depthCount];
+          [pair.open, pair.close].forEach(token => {
+            const range = model.createRange(token.start, token.end);
+            if (range) ranges.push(range);
+          });
+        });
+        analysis.unmatched.forEach(token => {
+          const range = model.createRange(token.start, token.end);
+          if (range) unmatched.push(range);
+        });
+      });
+
+      byDepth.forEach((ranges, depth) => setHighlight(`${this.highlightPrefix}depth-${depth}`, ranges, 1));
+      setHighlight(`${this.highlightPrefix}unmatched`, unmatched, 3);
+      this.highlightMatch(models);
+    }
+
+    /**
+     * Highlight the bracket pair next to the caret
+     */
+    highlightMatch(models) {
+      if (!supportsHighlights()) return;
+
+      const ranges = [];
+      models.forEach(model => {
+        const selection = model.getSelection();
+        if (!selection || !selection.collapsed) return;
+
+        const pair = BracketHighlighter.findPairAtCaret(BracketHighlighter.analyze(model.getTokens()).pairs, selection.start);
+        if (!pair) return;
+
+        [pair.open, pair.close].forEach(token => {
+          const range = model.createRange(token.start, token.end);
+          if (range) ranges.push(range);
+        });
+      });
+
+      setHighlight(`${this.highlightPrefix}match`, ranges, 2);
+    }
+
+    /**
+     * Remove all bracket highlights and their styles
+     */
+    clear() {
+      if (supportsHighlights()) {
+        const names = [`${this.highlightPrefix}match`, `${this.highlightPrefix}unmatched`];
+        for (let depth = 0; depth < this.depthCount; depth++) {
+          names.push(`${this.highlightPrefix}depth-${depth}`);
+        }
+        names.forEach(name => CSS.highlights.delete(name));
+      }
+      removeStyleElement(this.styleElementId);
+    }
+  }
+
+  // ========================================
+  // Formula Linting
+  // ========================================
+
+  const LINT_PROBLEMS_CLASS = 'coda-lint-problems';
+
+  // Rule ids match the keys of config.lintRules
+  const LINT_RULES = {
+    unbalancedBrackets: 'Unbalanced brackets',
+    unterminatedStrings: 'Unterminated strings',
+    extraCommas: 'Doubled or trailing commas',
+    emptyArguments: 'Empty arguments',
+    ifArgumentCount: 'If with an even argument count'
+  };
+
+  /**
+   * FormulaLinter - Reports formula problems while typing
+   * Single Responsibility: Lint rules, squiggles and the problems list
+   */
+  class FormulaLinter {
+    constructor() {
+      this.styleElementId = 'coda-lint-styles';
+      this.highlightName = 'coda-lint-error';
+    }
+
+    /**
+     * Run the enabled rules on an editor model
+     * @param {Object} rules - config.lintRules (missing rules are enabled)
+     * @returns {Array<{rule: string, message: string, start: number, end: number}>} Sorted by offset
+     */
+    static check(model, rules = {}) {
+      const tokens = model.getTokens();
+      const significant = tokens.filter(token => token.type !== 'whitespace');
+      const enabled = rule => rules[rule] !== false;
+      const problems = [];
+      const report = (rule, message, range) => problems.push({ rule, message, start: range.start, end: range.end });
+
+      if (enabled('unbalancedBrackets')) {
+        BracketHighlighter.analyze(tokens).unmatched.forEach(token => {
+          report('unbalancedBrackets', BRACKET_PAIRS[token.value] ? `Unclosed '${token.value}'` : `Unmatched '${token.value}'`, token);
+        });
+      }
+
+      if (enabled('unterminatedStrings')) {
+        tokens.filter(token => token.type === 'string' && !token.terminated)
+          .forEach(token => report('unterminatedStrings', 'Unterminated string', token));
+      }
+
+      if (enabled('extraCommas')) {
+        significant.forEach((token, index) => {
+          const next = significant[index + 1];
+          if (token.value !== ',' || !next) return;
+          if (next.value === ',') report('extraCommas', 'Doubled comma', next);
+          // A comma after another one is already reported as doubled
+          else if (next.type === 'bracket' && !BRACKET_PAIRS[next.value] && !(index > 0 && significant[index - 1].value === ',')) {
+            report('extraCommas', 'Trailing comma', token);
+          }
+        });
+      }
+
+      const ast = model.getAst();
+
+      if (enabled('emptyArguments')) {
+        FormulaParser.walk(ast, (node, parent) => {
+          if (node.type !== 'Error' || node.start !== node.end || !parent) return;
+          if (!['Call', 'List', 'NamedArgument'].includes(parent.type)) return;
+
+          const before = significant.filter(token => token.end <= node.start).pop();
+          const after = significant.find(token => token.start >= node.start);
+          if (!before) return;
+          // A slot after a comma is still being typed at the end of the
+          // formula, or is a doubled or trailing comma already reported by extraCommas
+          if (before.value === ',' && (!after || enabled('extraCommas'))) return;
+
+          report('emptyArguments', parent.type === 'NamedArgument' ? `Missing value for '${parent.name.name}'` : 'Empty argument', after || before);
+        });
+      }
+
+      if (enabled('ifArgumentCount')) {
+        FormulaParser.walk(ast, node => {
+          if (node.type !== 'Call' || node.object || node.callee.name.toLowerCase() !== 'if') return;
+          // A call still being typed may not have all its arguments yet
+          const typing = !node.closed || tokens.some(token => token.type === 'string' && !token.terminated &&
+            token.start >= node.start && token.start < node.end);
+          if (!typing && node.args.length % 2 === 0) {
+            report('ifArgumentCount', `If expects an odd number of arguments (condition, value, ..., default), got ${node.args.length}`, node.callee);
+          }
+        });
+      }
+
+      return problems.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Inject the squiggle and problems list styles
+     */
+    applyStyles() {
+      upsertStyleElement(this.styleElementId, `
+        ::highlight(${this.highlightName}) {
+          text-decoration: underline wavy ${UNMATCHED_BRACKET_COLOR};
+          text-decoration-skip-ink: none;
+        }
+        .${LINT_PROBLEMS_CLASS} {
+          max-height: 7.5em;
+          overflow-y: auto;
+          padding: 4px 8px;
+          border-top: 1px solid rgba(128, 128, 128, 0.3);
+          font: 12px/1.5 system-ui, sans-serif;
+        }
+        .${LINT_PROBLEMS_CLASS}[hidden] {
+          display: none;
+        }
+        .${LINT_PROBLEMS_CLASS} div {
+          cursor: pointer;
+        }
+        .${LINT_PROBLEMS_CLASS} div:hover {
+          background: rgba(128, 128, 128, 0.12);
+        }
+        .${LINT_PROBLEMS_CLASS} span {
+          display: inline-block;
+          min-width: 4em;
+          margin-right: 8px;
+          color: ${UNMATCHED_BRACKET_COLOR};
+          font-family: monospace;
+        }
+      `);
+    }
+
+    /**
+     * Lint every editor: squiggles under problems and a list below each editor
+     */
+    update(models, config) {
+      const ranges = [];
+
+      models.forEach(model => {
+        const problems = FormulaLinter.check(model, config.lintRules);
+        problems.forEach(problem => {
+          const range = model.createRange(problem.start, problem.end);
+          if (range) ranges.push(range);
+        });
+        this.renderProblems(model, problems);
+      });
+
+      if (supportsHighlights()) {
+        setHighlight(this.highlightName, ranges, 4);
+      }
+    }
+
+    /**
+     * Fill the problems list of an editor (hidden when there is none)
+     */
+    renderProblems(model, problems) {
+      const container = model.editor.closest(FORMULA_EDITOR_SELECTOR) || model.editor.parentElement;
+      if (!container) return;
+
+      let list = container.querySelector(`:scope > .${LINT_PROBLEMS_CLASS}`);
+      if (!list) {
+        list = document.createElement('div');
+        list.className = LINT_PROBLEMS_CLASS;
+        list.addEventListener('mousedown', event => event.preventDefault());
+        list.addEventListener('click', event => this.revealProblem(model.editor, event));
+        container.appendChild(list);
+      }
+
+      list.hidden = problems.length === 0;
+      list.replaceChildren(...problems.map(problem => {
+        const line = model.lineIndexAt(problem.start);
+        const item = document.createElement('div');
+        const position = document.createElement('span');
+        position.textContent = `${line + 1}:${problem.start - model.lines[line].start + 1}`;
+        item.append(position, problem.message);
+        item.dataset.offset = String(problem.start);
+        item.title = LINT_RULES[problem.rule];
+        return item;
+      }));
+    }
+
+    /**
+     * Put the caret on the clicked problem
+     */
+    revealProblem(editor, event) {
+      const item = event.target.closest('[data-offset]');
+      if (!item) return;
+
+      const offset = Number(item.dataset.offset);
+      const range = new EditorTextModel(editor).createRange(offset, offset);
+      if (!range) return;
+
+      editor.focus();
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+
+    /**
+     * Remove squiggles, problems lists and styles
+     */
+    clear() {
+      if (supportsHighlights()) {
+        CSS.highlights.delete(this.highlightName);
+      }
+      document.querySelectorAll(`.${LINT_PROBLEMS_CLASS}`).forEach(list => list.remove());
+      removeStyleElement(this.styleElementId);
+    }
+  }
+
+  // ========================================
+  // Line Numbers
+  // ========================================
+
+  const LINE_GUTTER_CLASS = 'coda-line-gutter';
+  const LINE_GUTTER_PADDING = 12; // Space around the numbers, in pixels
+
+  /**
+   * LineNumberGutter - Numbers the lines of the formula editors
+   * Single Responsibility: Line number gutter
+   *
+   * The gutter sits next to the Slate editor, over its left padding, and is
+   * never inserted inside it. Numbers are positioned from the measured box of
+   * each line, so they stay aligned whatever the font size, line height or wrapping.
+   */
+  class LineNumberGutter {
+    constructor() {
+      this.styleId = 'coda-line-numbers-styles';
+      this.gutters = new Map();
+      this.resizeObserver = null;
+    }
+
+    /**
+     * Inject the gutter rules for the active theme
+     */
+    applyColors(theme) {
+      upsertStyleElement(this.styleId, `
+        ${FORMULA_EDITOR_SELECTOR} .kr-slate-editor[data-coda-line-numbers] {
+          padding-left: calc(var(--coda-line-gutter-width) + var(--coda-fold-gutter-width, 0px)) !important;
+        }
+
+        .${LINE_GUTTER_CLASS} {
+          position: absolute;
+          overflow: hidden;
+          box-sizing: border-box;
+          pointer-events: none;
+          user-select: none;
+          z-index: 1;
+          background-color: ${theme.background};
+          color: ${theme.foreground};
+          border-right: 1px solid ${theme.docPanel.border};
+        }
+
+        .${LINE_GUTTER_CLASS} > div {
+          position: absolute;
+          left: 0;
+          right: ${LINE_GUTTER_PADDING / 2}px;
+          text-align: right;
+          opacity: 0.45;
+        }
+
+        .${LINE_GUTTER_CLASS} > [data-coda-current-line] {
+          opacity: 1;
+        }
+      `);
+    }
+
+    /**
+     * Create, number and position a gutter for every editor model
+     */
+    render(models) {
+      const editors = new Set(models.map(model => model.editor));
+      this.gutters.forEach((gutter, editor) => {
+        if (!editors.has(editor)) this.removeGutter(editor);
+      });
+
+      models.forEach(model => {
+        const gutter = this.ensureGutter(model.editor);
+        if (!gutter) return;
+
+        this.syncNumbers(gutter, model.lines.length);
+        this.layout(model.editor, gutter);
+      });
+    }
+
+    /**
+     * Find or create the gutter of an editor
+     */
+    ensureGutter(editor) {
+      const existing = this.gutters.get(editor);
+      if (existing && existing.isConnected) return existing;
+
+      const parent = editor.parentElement;
+      if (!parent) return null;
+
+      // Adopt a gutter left by a previous processor before creating one
+      let gutter = Array.from(parent.children).find(child => child.classList.contains(LINE_GUTTER_CLASS));
+      if (!gutter) {
+        gutter = document.createElement('div');
+        gutter.className = LINE_GUTTER_CLASS;
+        gutter.setAttribute('aria-hidden', 'true');
+        parent.appendChild(gutter);
+      }
+
+      if (window.getComputedStyle(parent).position === 'static') {
+        parent.style.position = 'relative';
+      }
+      editor.setAttribute('data-coda-line-numbers', 'true');
+
+      // Wrapping and scrolling move the lines without any DOM mutation
+      const onScroll = () => this.layout(editor, gutter);
+      editor.addEventListener('scroll', onScroll, { passive: true });
+      gutter.codaScrollListener = onScroll;
+      this.observeResize(editor);
+
+      this.gutters.set(editor, gutter);
+      return gutter;
+    }
+
+    /**
+     * Keep one number element per line
+     */
+    syncNumbers(gutter, count) {
+      const total = Math.max(count, 1);
+      while (gutter.children.length < total) {
+        const number = document.createElement('div');
+        number.textContent = String(gutter.children.length + 1);
+        gutter.appendChild(number);
+      }
+      while (gutter.children.length > total) {
+        gutter.lastChild.remove();
+      }
+    }
+
+    /**
+     * Size the gutter and align each number with its line
+     */
+    layout(editor, gutter) {
+      const digits = String(gutter.children.length).length;
+      editor.style.setProperty('--coda-line-gutter-width', `calc(${digits}ch + ${LINE_GUTTER_PADDING}px)`);
+
+      // The fold marker column (see CodeFolder) sits between the numbers and the text
+      const editorStyle = window.getComputedStyle(editor);
+      const foldWidth = parseFloat(editorStyle.getPropertyValue('--coda-fold-gutter-width')) || 0;
+      gutter.style.left = `${editor.offsetLeft}px`;
+      gutter.style.top = `${editor.offsetTop}px`;
+      gutter.style.width = `${parseFloat(editorStyle.paddingLeft) - foldWidth}px`;
+      gutter.style.height = `${editor.offsetHeight}px`;
+
+      const editorTop = editor.getBoundingClientRect().top;
+      const lines = new EditorTextModel(editor).lines;
+      Array.from(gutter.children).forEach((number, index) => {
+        const line = lines[index];
+        const element = line && line.element !== editor ? line.element : null;
+        const folded = !!element && element.hasAttribute(FOLDED_LINE_ATTRIBUTE);
+        number.style.display = folded ? 'none' : '';
+        if (folded) return;
+
+        const lineHeight = window.getComputedStyle(element || editor).lineHeight;
+
+        number.style.top = element
+          ? `${element.getBoundingClientRect().top - editorTop}px`
+          : editorStyle.paddingTop;
+        number.style.height = lineHeight;
+        number.style.setProperty('line-height', lineHeight, 'important');
+      });
+    }
+
+    /**
+     * Re-layout gutters when their editor is resized (wrapping, font changes)
+     */
+    observeResize(editor) {
+      if (typeof ResizeObserver === 'undefined') return;
+
+      if (!this.resizeObserver) {
+        this.resizeObserver = new ResizeObserver(entries => {
+          entries.forEach(entry => {
+            const gutter = this.gutters.get(entry.target);
+            if (gutter) this.layout(entry.target, gutter);
+          });
+        });
+      }
+      this.resizeObserver.observe(editor);
+    }
+
+    /**
+     * Emphasize the number of the line containing the caret
+     */
+    markCurrentLine(models) {
+      models.forEach(model => {
+        const gutter = this.gutters.get(model.editor);
+        if (!gutter) return;
+
+        const selection = model.getSelection();
+        const current = selection ? model.lineIndexAt(selection.focus) : -1;
+        Array.from(gutter.children).forEach((number, index) => {
+          if (index === current) {
+            number.setAttribute('data-coda-current-line', 'true');
+          } else {
+            number.removeAttribute('data-coda-current-line');
+          }
+        });
+      });
+    }
+
+    removeGutter(editor) {
+      const gutter = this.gutters.get(editor);
+      if (gutter && gutter.codaScrollListener) {
+        editor.removeEventListener('scroll', gutter.codaScrollListener);
+      }
+      if (this.resizeObserver) {
+        this.resizeObserver.unobserve(editor);
+      }
+      this.gutters.delete(editor);
+    }
+
+    /**
+     * Stop following the editors, leaving the gutters in place
+     */
+    disconnect() {
+      Array.from(this.gutters.keys()).forEach(editor => this.removeGutter(editor));
+      if (this.resizeObserver) {
+        this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+      }
+    }
+
+    /**
+     * Remove every gutter and its styles
+     */
+    clear() {
+      this.disconnect();
+      document.querySelectorAll(`.${LINE_GUTTER_CLASS}`).forEach(gutter => gutter.remove());
+      document.querySelectorAll('[data-coda-line-numbers]').forEach(editor => {
+        editor.removeAttribute('data-coda-line-numbers');
+        editor.style.removeProperty('--coda-line-gutter-width');
+      });
+      removeStyleElement(this.styleId);
+    }
+  }
+
+  // ========================================
+  // Code Folding
+  // ========================================
+
+  const FOLD_GUTTER_CLASS = 'coda-fold-gutter';
+  const FOLD_GUTTER_WIDTH = 16; // Marker column, in pixels
+  const FOLDED_LINE_ATTRIBUTE = 'data-coda-folded';
+
+  /**
+   * CodeFolder - Collapses the multi-line bracket blocks of the formula editors
+   * Single Responsibility: Fold markers and folded line visibility
+   *
+   * Folding only hides line elements: the formula text never changes. Folds
+   * are kept on the editor element, so they last while the dialog stays open,
+   * across config reloads. The gutter covers the editor box without catching
+   * clicks: markers sit in a column left of the text, a `…` placeholder after
+   * each folded line.
+   */
+  class CodeFolder {
+    constructor() {
+      this.styleId = 'coda-code-folding-styles';
+      this.gutters = new Map();
+      this.resizeObserver = null;
+      this.onChange = null;
+    }
+
+    /**
+     * Foldable regions, one per line opening a bracket block that spans
+     * at least three lines (the line of the closing bracket stays visible)
+     * @returns {Array<{line: number, endLine: number, key: string}>} Regions in line order
+     */
+    static findRegions(model) {
+      const regions = new Map();
+      BracketHighlighter.analyze(model.getTokens()).pairs.forEach(pair => {
+        const line = model.lineIndexAt(pair.open.start);
+        const endLine = model.lineIndexAt(pair.close.start);
+        if (endLine - line < 2) return;
+
+        const existing = regions.get(line);
+        if (!existing || endLine > existing.endLine) regions.set(line, { line, endLine });
+      });
+
+      // Key folds by the text of their first line so they survive edits elsewhere
+      const seen = new Map();
+      return Array.from(regions.values()).sort((a, b) => a.line - b.line).map(region => {
+        const { start, end } = model.lines[region.line];
+        const text = model.text.slice(start, end);
+        const occurrence = (seen.get(text) || 0) + 1;
+        seen.set(text, occurrence);
+        return { ...region, key: `${occurrence}:${text}` };
+      });
+    }
+
+    /**
+     * Indexes of the lines hidden by the folded regions
+     */
+    static hiddenLines(regions, folds) {
+      const hidden = new Set();
+      regions.forEach(region => {
+        if (!folds.has(region.key)) return;
+        for (let index = region.line + 1; index < region.endLine; index++) hidden.add(index);
+      });
+      return hidden;
+    }
+
+    /**
+     * Inject the marker and placeholder rules for the active theme
+     */
+    applyColors(theme) {
+      upsertStyleElement(this.styleId, `
+        ${FORMULA_EDITOR_SELECTOR} .kr-slate-editor[data-coda-folding]:not([data-coda-line-numbers]) {
+          padding-left: var(--coda-fold-gutter-width) !important;
+        }
+
+        ${FORMULA_EDITOR_SELECTOR} [${FOLDED_LINE_ATTRIBUTE}] {
+          display: none !important;
+        }
+
+        .${FOLD_GUTTER_CLASS} {
+          position: absolute;
+          overflow: hidden;
+          pointer-events: none;
+          user-select: none;
+          z-index: 1;
+          color: ${theme.foreground};
+        }
+
+        .${FOLD_GUTTER_CLASS} > [data-coda-fold-marker] {
+          position: absolute;
+          width: ${FOLD_GUTTER_WIDTH}px;
+          text-align: center;
+          font: 11px system-ui, sans-serif;
+          opacity: 0;
+          cursor: pointer;
+          pointer-events: auto;
+          transition: opacity 0.15s;
+        }
+
+        .kr-slate-editor:hover ~ .${FOLD_GUTTER_CLASS} > [data-coda-fold-marker],
+        .${FOLD_GUTTER_CLASS}:hover > [data-coda-fold-marker] {
+          opacity: 0.5;
+        }
+
+        .${FOLD_GUTTER_CLASS} > [data-coda-fold-marker]:hover,
+        .${FOLD_GUTTER_CLASS} > [data-coda-folded-marker] {
+          opacity: 1 !important;
+        }
+
+        .${FOLD_GUTTER_CLASS} > [data-coda-fold-placeholder] {
+          position: absolute;
+          padding: 0 4px;
+          border-radius: 3px;
+          background-color: ${theme.selection};
+          line-height: 1.3;
+          cursor: pointer;
+          pointer-events: auto;
+        }
+      `);
+    }
+
+    /**
+     * Hide the folded lines and draw the markers of every editor model
+     */
+    render(models) {
+      const editors = new Set(models.map(model => model.editor));
+      this.gutters.forEach((gutter, editor) => {
+        if (!editors.has(editor)) this.removeGutter(editor);
+      });
+
+      models.forEach(model => {
+        const regions = model.lines.some(line => line.element === model.editor) ? [] : CodeFolder.findRegions(model);
+        const folds = this.getFolds(model.editor);
+
+        // A fold whose first line was edited or removed opens again
+        const keys = new Set(regions.map(region => region.key));
+        folds.forEach(key => {
+          if (!keys.has(key)) folds.delete(key);
+        });
+
+        const hidden = CodeFolder.hiddenLines(regions, folds);
+        model.lines.forEach((line, index) => {
+          if (line.element === model.editor) return;
+          if (hidden.has(index)) {
+            line.element.setAttribute(FOLDED_LINE_ATTRIBUTE, 'true');
+          } else {
+            line.element.removeAttribute(FOLDED_LINE_ATTRIBUTE);
+          }
+        });
+
+        const gutter = this.ensureGutter(model.editor);
+        if (!gutter) return;
+
+        gutter.codaRegions = regions.filter(region => !hidden.has(region.line));
+        this.syncMarkers(gutter, folds);
+        this.layout(model.editor, gutter);
+      });
+    }
+
+    /**
+     * Folded region keys of an editor, kept on the element itself
+     */
+    getFolds(editor) {
+      if (!editor.codaFolds) editor.codaFolds = new Set();
+      return editor.codaFolds;
+    }
+
+    /**
+     * Find or create the gutter of an editor
+     */
+    ensureGutter(editor) {
+      const existing = this.gutters.get(editor);
+      if (existing && existing.isConnected) return existing;
+
+      const parent = editor.parentElement;
+      if (!parent) return null;
+
+      // Adopt a gutter left by a previous processor before creating one
+      let gutter = Array.from(parent.children).find(child => child.classList.contains(FOLD_GUTTER_CLASS));
+      if (!gutter) {
+        gutter = document.createElement('div');
+        gutter.className = FOLD_GUTTER_CLASS;
+        gutter.setAttribute('aria-hidden', 'true');
+        parent.appendChild(gutter);
+      }
+
+      if (window.getComputedStyle(parent).position === 'static') {
+        parent.style.position = 'relative';
+      }
+      editor.setAttribute('data-coda-folding', 'true');
+      editor.style.setProperty('--coda-fold-gutter-width', `${FOLD_GUTTER_WIDTH}px`);
+
+      // Keep the caret in the editor while clicking a marker
+      const onMouseDown = (event) => event.preventDefault();
+      const onClick = (event) => this.handleClick(event, editor, gutter);
+      const onScroll = () => this.layout(editor, gutter);
+      gutter.addEventListener('mousedown', onMouseDown);
+      gutter.addEventListener('click', onClick);
+      editor.addEventListener('scroll', onScroll, { passive: true });
+      gutter.codaListeners = { onMouseDown, onClick, onScroll };
+      this.observeResize(editor);
+
+      this.gutters.set(editor, gutter);
+      return gutter;
+    }
+
+    /**
+     * Keep one marker per visible region, plus a placeholder per folded one
+     */
+    syncMarkers(gutter, folds) {
+      gutter.textContent = '';
+      gutter.codaRegions.forEach((region, index) => {
+        const folded = folds.has(region.key);
+        const marker = document.createElement('div');
+        marker.setAttribute('data-coda-fold-marker', index);
+        marker.textContent = folded ? '▸' : '▾';
+        marker.title = folded ? 'Unfold' : 'Fold';
+        if (folded) marker.setAttribute('data-coda-folded-marker', 'true');
+        gutter.appendChild(marker);
+
+        if (folded) {
+          const placeholder = document.createElement('div');
+          placeholder.setAttribute('data-coda-fold-placeholder', index);
+          placeholder.textContent = '…';
+          placeholder.title = `${region.endLine - region.line - 1} hidden lines`;
+          gutter.appendChild(placeholder);
+        }
+      });
+    }
+
+    /**
+     * Size the gutter over the editor and align markers and placeholders with their lines
+     */
+    layout(editor, gutter) {
+      const editorStyle = window.getComputedStyle(editor);
+      gutter.style.left = `${editor.offsetLeft}px`;
+      gutter.style.top = `${editor.offsetTop}px`;
+      gutter.style.width = `${editor.offsetWidth}px`;
+      gutter.style.height = `${editor.offsetHeight}px`;
+
+      const editorBox = editor.getBoundingClientRect();
+      const lines = new EditorTextModel(editor).lines;
+      const markerLeft = `calc(${editorStyle.paddingLeft} - ${FOLD_GUTTER_WIDTH}px)`;
+
+      Array.from(gutter.children).forEach(element => {
+        const isMarker = element.hasAttribute('data-coda-fold-marker');
+        const index = parseInt(element.getAttribute(isMarker ? 'data-coda-fold-marker' : 'data-coda-fold-placeholder'));
+        const region = gutter.codaRegions[index];
+        const line = region && lines[region.line];
+        if (!line || line.element === editor) return;
+
+        const lineHeight = window.getComputedStyle(line.element).lineHeight;
+        element.style.top = `${line.element.getBoundingClientRect().top - editorBox.top}px`;
+        element.style.setProperty('line-height', lineHeight, 'important');
+        if (isMarker) {
+          element.style.left = markerLeft;
+          element.style.height = lineHeight;
+          return;
+        }
+
+        // Placeholders follow the end of the line text (its last wrapped row)
+        const range = document.createRange();
+        range.selectNodeContents(line.element);
+        const rects = range.getClientRects();
+        const last = rects.length > 0 ? rects[rects.length - 1] : line.element.getBoundingClientRect();
+        element.style.top = `${last.top - editorBox.top}px`;
+        element.style.left = `${last.right - editorBox.left + 4}px`;
+      });
+    }
+
+    /**
+     * Re-layout gutters when their editor is resized (wrapping, line number width)
+     */
+    observeResize(editor) {
+      if (typeof ResizeObserver === 'undefined') return;
+
+      if (!this.resizeObserver) {
+        this.resizeObserver = new ResizeObserver(entries => {
+          entries.forEach(entry => {
+            const gutter = this.gutters.get(entry.target);
+            if (gutter) this.layout(entry.target, gutter);
+          });
+        });
+      }
+      this.resizeObserver.observe(editor);
+    }
+
+    /**
+     * Toggle the region of a clicked marker or placeholder
+     */
+    handleClick(event, editor, gutter) {
+      const target = event.target.closest('[data-coda-fold-marker], [data-coda-fold-placeholder]');
+      if (!target) return;
+
+      const index = target.getAttribute('data-coda-fold-marker') || target.getAttribute('data-coda-fold-placeholder');
+      const region = gutter.codaRegions[parseInt(index)];
+      if (!region) return;
+
+      const model = new EditorTextModel(editor);
+      if (this.getFolds(editor).has(region.key)) {
+        this.getFolds(editor).delete(region.key);
+        this.notifyChange();
+      } else {
+        this.fold(model, [region]);
+      }
+    }
+
+    /**
+     * Fold every region of an editor
+     */
+    foldAll(model) {
+      this.fold(model, CodeFolder.findRegions(model));
+    }
+
+    /**
+     * Unfold every region of an editor
+     */
+    unfoldAll(model) {
+      this.getFolds(model.editor).clear();
+      this.notifyChange();
+    }
+
+    /**
+     * Fold regions, moving a caret they would hide to the end of the outermost one's first line
+     */
+    fold(model, regions) {
+      const folds = this.getFolds(model.editor);
+      regions.forEach(region => folds.add(region.key));
+
+      const selection = model.getSelection();
+      if (selection) {
+        const caretLine = model.lineIndexAt(selection.focus);
+        const hiding = regions.find(region => caretLine > region.line && caretLine < region.endLine);
+        if (hiding) selectEditorRange(model, model.lines[hiding.line].end);
+      }
+      this.notifyChange();
+    }
+
+    /**
+     * Unfold the regions hiding the caret (e.g. after a find or a jump to a problem)
+     */
+    revealSelection(models) {
+      let changed = false;
+      models.forEach(model => {
+        const folds = model.editor.codaFolds;
+        const selection = folds && folds.size > 0 ? model.getSelection() : null;
+        if (!selection) return;
+
+        const caretLine = model.lineIndexAt(selection.focus);
+        CodeFolder.findRegions(model).forEach(region => {
+          if (folds.has(region.key) && caretLine > region.line && caretLine < region.endLine) {
+            folds.delete(region.key);
+            changed = true;
+          }
+        });
+      });
+      if (changed) this.notifyChange();
+    }
+
+    /**
+     * Ask the owner to render again: folding only changes attributes,
+     * which the editor observer ignores
+     */
+    notifyChange() {
+      if (this.onChange) this.onChange();
+    }
+
+    removeGutter(editor) {
+      const gutter = this.gutters.get(editor);
+      if (gutter && gutter.codaListeners) {
+        gutter.removeEventListener('mousedown', gutter.codaListeners.onMouseDown);
+        gutter.removeEventListener('click', gutter.codaListeners.onClick);
+        editor.removeEventListener('scroll', gutter.codaListeners.onScroll);
+      }
+      if (this.resizeObserver) {
+        this.resizeObserver.unobserve(editor);
+      }
+      this.gutters.delete(editor);
+    }
+
+    /**
+     * Stop following the editors, leaving gutters and folds in place
+     */
+    disconnect() {
+      Array.from(this.gutters.keys()).forEach(editor => this.removeGutter(editor));
+      if (this.resizeObserver) {
+        this.resizeObserver.disconnect();
+        this.resizeObserver = null;
+      }
+    }
+
+    /**
+     * Unfold everything and remove the gutters and their styles
+     */
+    clear() {
+      this.disconnect();
+      document.querySelectorAll(`.${FOLD_GUTTER_CLASS}`).forEach(gutter => gutter.remove());
+      document.querySelectorAll(`[${FOLDED_LINE_ATTRIBUTE}]`).forEach(line => line.removeAttribute(FOLDED_LINE_ATTRIBUTE));
+      document.querySelectorAll('[data-coda-folding]').forEach(editor => {
+        editor.removeAttribute('data-coda-folding');
+        editor.style.removeProperty('--coda-fold-gutter-width');
+        delete editor.codaFolds;
+      });
+      removeStyleElement(this.styleId);
+    }
+  }
+
+  // ========================================
+  // Font Loading
+  // ========================================
+
+  // Unicode ranges of the bundled woff2 subsets
+  const FONT_SUBSET_RANGES = {
+    latin: 'U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+0304, U+0308, U+0329, U+2000-206F, U+20AC, U+2122, U+2191, U+2193, U+2212, U+2215, U+FEFF, U+FFFD',
+    'latin-ext': 'U+0100-02BA, U+02BD-02C5, U+02C7-02CC, U+02CE-02D7, U+02DD-02FF, U+0304, U+0308, U+0329, U+1D00-1DBF, U+1E00-1E9F, U+1EF2-1EFF, U+2020, U+20A0-20AB, U+20AD-20C0, U+2113, U+2C60-2C7F, U+A720-A7FF'
+  };
+
+  // Fonts shipped in fonts/ and exposed through web_accessible_resources
+  const BUNDLED_FONTS = {
+    'fira-code': { family: 'Fira Code', faces: subsetFontFaces('fira-code', [400, 500, 600]) },
+    'jetbrains-mono': { family: 'JetBrains Mono', faces: subsetFontFaces('jetbrains-mono', [400, 500, 600]) },
+    'source-code-pro': { family: 'Source Code Pro', faces: subsetFontFaces('source-code-pro', [400, 500, 600]) },
+    'opendyslexic': {
+      family: 'OpenDyslexic',
+      faces: [
+        { weight: 400, file: 'opendyslexic/OpenDyslexic-Regular.woff', format: 'woff' },
+        { weight: 700, file: 'opendyslexic/OpenDyslexic-Bold.woff', format: 'woff' }
+      ]
+    }
+  };
+
+  /**
+   * List the faces of a font split into latin / latin-ext woff2 subsets
+   */
+  function subsetFontFaces(fontId, weights) {
+    return weights.flatMap(weight => Object.keys(FONT_SUBSET_RANGES).map(subset => ({
+      weight,
+      file: `${fontId}/${fontId}-${subset}-${weight}-normal.woff2`,
+      format: 'woff2',
+      unicodeRange: FONT_SUBSET_RANGES[subset]
+    })));
+  }
+
+  /**
+   * FontLoader - Declares the bundled fonts with @font-face
+   * Single Responsibility: Font loading
+   *
+   * Only the font selected in the config is declared, and the files come
+   * from the extension itself: no request leaves for a third-party CDN.
+   */
+  class FontLoader {
+    constructor() {
+      this.styleElementId = 'coda-formula-font-faces';
+    }
+
+    /**
+     * Declare a bundled font once per page (system fonts need nothing)
+     */
+    load(fontId) {
+      const font = BUNDLED_FONTS[fontId];
+      if (!font) return;
+
+      // Loaded fonts are tracked on the element, shared by every StyleManager
+      let styleEl = document.getElementById(this.styleElementId);
+      if (styleEl && styleEl.dataset.fonts.split(' ').includes(fontId)) return;
+
+      if (!styleEl) {
+        styleEl = document.createElement('style');
+        styleEl.id = this.styleElementId;
+        styleEl.dataset.fonts = '';
+        document.head.appendChild(styleEl);
+      }
+
+      const rules = font.faces.map(face => `
+        @font-face {
+          font-family: '${font.family}';
+          font-style: normal;
+          font-weight: ${face.weight};
+          font-display: swap;
+          src: url('${chrome.runtime.getURL(`fonts/${face.file}`)}') format('${face.format}');${face.unicodeRange ? `
+          unicode-range: ${face.unicodeRange};` : ''}
+        }`);
+
+      styleEl.textContent += rules.join('\n');
+      styleEl.dataset.fonts = `${styleEl.dataset.fonts} ${fontId}`.trim();
+    }
+  }
+
+  // ========================================
+  // Editor Commands
+  // ========================================
+
+  const FORMULA_TOOLBAR_CLASS = 'coda-formula-toolbar';
+  const COMMAND_MESSAGE_DURATION = 4000; // Display time of an error from a command without a button, in ms
+
+  // On macOS the page search opens with Cmd+F, which the find bar takes over
+  const IS_MAC = /Mac/.test(navigator.platform);
+
+  // Default shortcut of each command (config.keyBindings overrides them)
+  const EDITOR_SHORTCUTS = {
+    format: 'Shift+Alt+F',
+    minify: 'Shift+Alt+M',
+    duplicateLine: 'Shift+Alt+ArrowDown',
+    moveLineUp: 'Alt+ArrowUp',
+    moveLineDown: 'Alt+ArrowDown',
+    deleteLine: 'Ctrl+Shift+K',
+    joinLines: 'Ctrl+J',
+    find: IS_MAC ? 'Meta+F' : 'Ctrl+F',
+    insertSnippet: 'Shift+Alt+S',
+    history: 'Shift+Alt+H',
+    saveToLibrary: 'Shift+Alt+B',
+    insertFromLibrary: 'Shift+Alt+L',
+    foldAll: 'Shift+Alt+0',
+    unfoldAll: 'Shift+Alt+J'
+  };
+
+  /**
+   * Check a keydown event against a shortcut such as "Shift+Alt+F"
+   * (letters and digits are compared by physical key, so Alt on macOS still matches)
+   */
+  function matchesShortcut(event, shortcut) {
+    const parts = shortcut.split('+');
+    const key = parts.pop();
+    const modifiers = parts.map(part => part.toLowerCase());
+    const pressed = { ctrl: event.ctrlKey, alt: event.altKey, shift: event.shiftKey, meta: event.metaKey };
+    if (!Object.keys(pressed).every(name => pressed[name] === modifiers.includes(name))) return false;
+
+    if (/^[a-z]$/i.test(key)) return event.code === `Key${key.toUpperCase()}`;
+    if (/^\d$/.test(key)) return event.code === `Digit${key}`;
+    return event.key.toLowerCase() === key.toLowerCase();
+  }
+
+  /**
+   * Select [start, end) of an editor (a caret when end is omitted)
+   * @returns {boolean} False if the offsets could not be mapped to the DOM
+   */
+  function selectEditorRange(model, start, end = start) {
+    const range = model.createRange(start, end);
+    if (!range) return false;
+
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return true;
+  }
+
+  /**
+   * Resolve once Slate has rendered the last change
+   */
+  function afterEditorRender() {
+    return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+  }
+
+  /**
+   * String token containing the caret (strictly after its opening quote)
+   */
+  function stringTokenAt(model, caret) {
+    return model.getTokens().find(token => token.type === 'string' &&
+      token.start < caret && (caret < token.end || (caret === token.end && !token.terminated))) || null;
+  }
+
+  /**
+   * Focus an editor and select [start, end), once Slate has taken the selection
+   * @returns {Promise<boolean>} False if the offsets could not be mapped to the DOM
+   */
+  async function focusEditorRange(model, start, end) {
+    model.editor.focus();
+    if (!selectEditorRange(model, start, end)) return false;
+
+    // Slate copies the DOM selection into its own state on selectionchange
+    await new Promise(resolve => {
+      const done = () => {
+        document.removeEventListener('selectionchange', done);
+        clearTimeout(timer);
+        setTimeout(resolve, 0);
+      };
+      const timer = setTimeout(done, 50);
+      document.addEventListener('selectionchange', done);
+    });
+    return true;
+  }
+
+  /**
+   * Paste clipboard data over the editor selection
+   * @returns {boolean} True if the editor handled the paste
+   */
+  function dispatchEditorPaste(editor, data) {
+    const paste = new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true });
+    editor.dispatchEvent(paste);
+    return paste.defaultPrevented;
+  }
+
+  /**
+   * Copy [start, end) of an editor as Ctrl+C does, without touching the
+   * clipboard: the editor adds its own format, which keeps the reference
+   * chips when the data is pasted back
+   * @returns {Promise<DataTransfer|null>} Null if the editor provided no more than plain text
+   */
+  async function copyEditorRange(model, start, end) {
+    if (!(await focusEditorRange(model, start, end))) return null;
+
+    const data = new DataTransfer();
+    const copy = new ClipboardEvent('copy', { clipboardData: data, bubbles: true, cancelable: true });
+    model.editor.dispatchEvent(copy);
+    return copy.defaultPrevented && data.types.some(type => type !== 'text/plain') ? data : null;
+  }
+
+  /**
+   * Replace [start, end) of an editor through a paste, so Slate records
+   * the change in its history and Coda's undo reverts it
+   * @param {{start: number, end: number}} [selectAfter] - Offsets to select once the editor has rendered
+   * @returns {Promise<boolean>} True if the text was handed to the editor
+   */
+  async function replaceEditorText(model, start, end, text, selectAfter = null) {
+    if (!(await focusEditorRange(model, start, end))) return false;
+
+    const data = new DataTransfer();
+    data.setData('text/plain', text);
+    if (!dispatchEditorPaste(model.editor, data)) {
+      document.execCommand('insertText', false, text);
+    }
+
+    if (selectAfter) {
+      await afterEditorRender();
+      selectEditorRange(new EditorTextModel(model.editor), selectAfter.start, selectAfter.end);
+    }
+    return true;
+  }
+
+  /**
+   * Apply small edits ({start, end, text}, in document order, not
+   * overlapping) one at a time, bottom-up so the offsets above stay valid.
+   * Unlike a paste, reference chips outside the edited ranges are kept
+   * @returns {Promise<EditorTextModel|null>} Snapshot after the last edit, or null if one could not be applied
+   */
+  async function applyEditorEdits(model, edits) {
+    let current = model;
+    for (const edit of edits.slice().reverse()) {
+      if (edit.text.includes('\n')) {
+        // insertText does not split lines: paste the edit alone
+        if (!(await replaceEditorText(current, edit.start, edit.end, edit.text))) return null;
+      } else {
+        if (!selectEditorRange(current, edit.start, edit.end)) return null;
+        if (edit.text) {
+          document.execCommand('insertText', false, edit.text);
+        } else {
+          document.execCommand('delete');
+        }
+      }
+      await afterEditorRender();
+      current = new EditorTextModel(model.editor);
+    }
+    return current;
+  }
+
+  /**
+   * Join edits (in document order, not overlapping) with the text between
+   * them so that they apply as one change, with one undo step. Edits are
+   * not joined across a reference chip, which would become text
+   */
+  function mergeEditorEdits(model, edits) {
+    const merged = [];
+    edits.forEach(edit => {
+      const last = merged[merged.length - 1];
+      if (last && !model.hasAtoms(last.end, edit.start)) {
+        last.text += model.text.slice(last.end, edit.start) + edit.text;
+        last.end = edit.end;
+      } else {
+        merged.push({ ...edit });
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Edits turning the editor text into a re-spaced version of it. Only the
+   * whitespace between tokens is edited, so reference chips are kept
+   * @param {string} target - The model's tokens, in order, with other whitespace
+   * @returns {Array<{start: number, end: number, text: string}>|null} Null if the tokens differ
+   */
+  function whitespaceEdits(model, target) {
+    const edits = [];
+    let previousEnd = 0;
+    let position = 0;
+
+    for (const token of model.getTokens()) {
+      if (token.type === 'whitespace') continue;
+
+      const start = position + target.slice(position).search(/\S|$/);
+      if (!target.startsWith(token.value, start)) return null;
+
+      const gap = target.slice(position, start);
+      if (gap !== model.text.slice(previousEnd, token.start)) {
+        edits.push({ start: previousEnd, end: token.start, text: gap });
+      }
+      previousEnd = token.end;
+      position = start + token.value.length;
+    }
+
+    const tail = target.slice(position);
+    if (tail.trim()) return null;
+    if (tail !== model.text.slice(previousEnd)) {
+      edits.push({ start: previousEnd, end: model.text.length, text: tail });
+    }
+    return edits;
+  }
+
+  /**
+   * Where an offset lands once edits have been applied
+   */
+  function mapEditedOffset(offset, edits) {
+    return edits.reduce((moved, edit) => {
+      if (offset < edit.start) return moved;
+      return moved + edit.text.length - (Math.min(edit.end, offset) - edit.start);
+    }, offset);
+  }
+
+  /**
+   * Lines covered by a selection (a selection ending at the start of a
+   * line leaves that line out)
+   * @returns {{first: number, last: number}}
+   */
+  function selectedLineRange(model, selection) {
+    const first = model.lineIndexAt(selection.start);
+    let last = model.lineIndexAt(selection.end);
+    if (last > first && model.lines[last].start === selection.end) last--;
+    return { first, last };
+  }
+
+  // Auto-closed characters and the config.autoCloseBrackets switch of each
+  const AUTO_CLOSE_PAIRS = {
+    '(': { close: ')', setting: 'parentheses' },
+    '[': { close: ']', setting: 'squareBrackets' },
+    '{': { close: '}', setting: 'curlyBraces' },
+    '"': { close: '"', setting: 'quotes' }
+  };
+
+  /**
+   * BracketAutoCloser - Inserts the closing bracket or quote while typing,
+   * types over an existing closer and deletes empty pairs with Backspace
+   * Single Responsibility: Auto-pairing keystrokes
+   */
+  class BracketAutoCloser {
+    /**
+     * Handle a keydown in a formula editor
+     * @param {Object} settings - config.autoCloseBrackets (missing entries are enabled)
+     * @returns {boolean} True if the keystroke was handled
+     */
+    handleKeydown(event, editor, settings = {}) {
+      if (event.ctrlKey || event.metaKey || event.altKey || event.isComposing) return false;
+
+      const key = event.key;
+      const opening = AUTO_CLOSE_PAIRS[key];
+      const closing = Object.values(AUTO_CLOSE_PAIRS).find(pair => pair.close === key);
+      const enabled = pair => !!pair && settings[pair.setting] !== false;
+      if (key !== 'Backspace' && !enabled(opening) && !enabled(closing)) return false;
+
+      const model = new EditorTextModel(editor);
+      const selection = model.getSelection();
+      if (!selection || !selection.collapsed) return false;
+      const caret = selection.start;
+
+      if (key === 'Backspace') return this.deletePair(event, model, caret, settings);
+      if (enabled(closing) && this.typeOver(event, model, caret, key)) return true;
+      if (enabled(opening)) return this.insertPair(event, model, caret, key, opening.close);
+      return false;
+    }
+
+    /**
+     * Step over the closer right after the caret instead of inserting another one
+     */
+    typeOver(event, model, caret, key) {
+      if (model.text[caret] !== key) return false;
+
+      const string = stringTokenAt(model, caret);
+      if (key === '"' ? !string || string.end !== caret + 1 : string) return false;
+
+      event.preventDefault();
+      selectEditorRange(model, caret + 1);
+      return true;
+    }
+
+    insertPair(event, model, caret, open, close) {
+      const next = model.text[caret];
+      const previous = model.text[caret - 1];
+      if (stringTokenAt(model, caret)) return false;
+      if (next !== undefined && !/[\s)\]},]/.test(next)) return false;
+      if (open === '"' && previous !== undefined && /[\w"]/.test(previous)) return false;
+
+      event.preventDefault();
+      document.execCommand('insertText', false, open + close);
+      // Slate puts the caret after the inserted text once it has rendered
+      setTimeout(() => window.getSelection().modify('move', 'backward', 'character'), 0);
+      return true;
+    }
+
+    /**
+     * Backspace between an empty pair removes both characters
+     */
+    deletePair(event, model, caret, settings) {
+      const pair = AUTO_CLOSE_PAIRS[model.text[caret - 1]];
+      if (!pair || settings[pair.setting] === false || model.text[caret] !== pair.close) return false;
+
+      if (pair.close === '"') {
+        const string = stringTokenAt(model, caret);
+        if (!string || string.start !== caret - 1 || string.end !== caret + 1) return false;
+      } else if (stringTokenAt(model, caret)) {
+        return false;
+      }
+
+      if (!selectEditorRange(model, caret - 1, caret + 1)) return false;
+
+      event.preventDefault();
+      document.execCommand('delete');
+      return true;
+    }
+
+  }
+
+  // Coda lists autocomplete suggestions in a listbox, which owns Enter and Tab while open
+  const AUTOCOMPLETE_SELECTOR = '[role="listbox"]';
+
+  /**
+   * Whether Coda's autocomplete suggestions are showing
+   */
+  function isAutocompleteOpen() {
+    return Array.from(document.querySelectorAll(AUTOCOMPLETE_SELECTOR))
+      .some(element => element.getClientRects().length > 0);
+  }
+
+  /**
+   * SmartIndenter - Indents new lines inside brackets, shifts the selected
+   * lines with Tab / Shift+Tab and aligns a closer typed on a blank line
+   * Single Responsibility: Indentation keystrokes
+   */
+  class SmartIndenter {
+    /**
+     * Handle a keydown in a formula editor
+     * @returns {boolean} True if the keystroke was handled
+     */
+    handleKeydown(event, editor, config) {
+      if (config.smartIndent === false) return false;
+      if (event.ctrlKey || event.metaKey || event.altKey || event.isComposing) return false;
+
+      const key = event.key;
+      const isCloser = Object.values(BRACKET_PAIRS).includes(key);
+      if (key !== 'Enter' && key !== 'Tab' && !isCloser) return false;
+      if (!isCloser && isAutocompleteOpen()) return false;
+
+      const model = new EditorTextModel(editor);
+      const selection = model.getSelection();
+      if (!selection) return false;
+
+      const unit = getIndentUnitText(config.indentUnit);
+      if (key === 'Enter') return this.breakLine(event, model, selection, unit);
+      if (key === 'Tab') {
+        event.preventDefault();
+        event.stopPropagation();
+        this.shiftLines(model, selection, unit, event.shiftKey);
+        return true;
+      }
+      return this.alignCloser(event, model, selection, key);
+    }
+
+    /**
+     * Enter inside an open bracket: new line one unit deeper than the
+     * opener's line, and the closer on its own line when it follows the caret
+     */
+    breakLine(event, model, selection, unit) {
+      const opener = this.openerAt(model, selection.start);
+      if (!opener || stringTokenAt(model, selection.start)) return false;
+
+      // Spaces around the caret would end up as trailing or extra indentation
+      const text = model.text;
+      let start = selection.start;
+      let end = selection.end;
+      while (start > 0 && /[ \t]/.test(text[start - 1])) start--;
+      while (end < text.length && /[ \t]/.test(text[end])) end++;
+
+      const base = this.lineIndent(model, opener.start);
+      const inner = base + unit;
+      const split = text[end] === BRACKET_PAIRS[opener.value];
+
+      event.preventDefault();
+      event.stopPropagation();
+      const caret = start + 1 + inner.length;
+      replaceEditorText(model, start, end, `\n${inner}${split ? `\n${base}` : ''}`, { start: caret, end: caret });
+      return true;
+    }
+
+    /**
+     * Add or remove one indent unit at the start of every selected line
+     */
+    async shiftLines(model, selection, unit, outdent) {
+      const { first, last } = selectedLineRange(model, selection);
+
+      const edits = [];
+      for (let index = first; index <= last; index++) {
+        const line = model.lines[index];
+        const leading = this.lineIndent(model, line.start);
+
+        if (outdent) {
+          const spaces = leading.match(/^ */)[0].length;
+          const remove = leading[0] === '\t' ? 1 : Math.min(spaces, unit === '\t' ? 8 : unit.length);
+          if (remove > 0) edits.push({ start: line.start, end: line.start + remove, text: '' });
+        } else if (first === last || line.end > line.start + leading.length) {
+          edits.push({ start: line.start, end: line.start, text: unit });
+        }
+      }
+      if (edits.length === 0) return;
+
+      const current = await applyEditorEdits(model, edits);
+      if (current) {
+        selectEditorRange(current, mapEditedOffset(selection.start, edits), mapEditedOffset(selection.end, edits));
+      }
+    }
+
+    /**
+     * A closer typed on a blank line snaps to its opener's column
+     */
+    alignCloser(event, model, selection, key) {
+      if (!selection.collapsed) return false;
+
+      const line = model.lines[model.lineIndexAt(selection.start)];
+      const content = model.text.slice(line.start, line.end);
+      if (content.trim() !== '') return false;
+
+      const opener = this.openerAt(model, selection.start);
+      if (!opener || BRACKET_PAIRS[opener.value] !== key) return false;
+
+      // Tabs before the opener are kept so that the columns line up whatever their width
+      const openerLine = model.lines[model.lineIndexAt(opener.start)];
+      const indent = model.text.slice(openerLine.start, opener.start).replace(/[^\t]/g, ' ');
+      if (content === indent && selection.start === line.end) return false;
+      if (!selectEditorRange(model, line.start, line.end)) return false;
+
+      event.preventDefault();
+      document.execCommand('insertText', false, indent + key);
+      return true;
+    }
+
+    /**
+     * Innermost bracket opened before the offset and not closed by then
+     */
+    openerAt(model, offset) {
+      const stack = [];
+      model.getTokens().forEach(token => {
+        if (token.type !== 'bracket' || token.end > offset) return;
+        if (BRACKET_PAIRS[token.value]) {
+          stack.push(token);
+        } else if (stack.length > 0 && BRACKET_PAIRS[stack[stack.length - 1].value] === token.value) {
+          stack.pop();
+        }
+      });
+      return stack[stack.length - 1] || null;
+    }
+
+    /**
+     * Leading whitespace of the line containing an offset
+     */
+    lineIndent(model, offset) {
+      const line = model.lines[model.lineIndexAt(offset)];
+      return model.text.slice(line.start, line.end).match(/^[ \t]*/)[0];
+    }
+  }
+
+  /**
+   * EditorCommands - Formula editor commands run from keyboard shortcuts
+   * or from a toolbar injected into the dialog, plus typing aids
+   * Single Responsibility: Keyboard dispatch and editor rewriting
+   */
+  class EditorCommands {
+    /**
+     * @param {CodeFolder} codeFolder - Folder of the style manager, for the fold commands
+     */
+    constructor(codeFolder) {
+      this.config = null;
+      this.codeFolder = codeFolder;
+      this.styleElementId = 'coda-formula-toolbar-styles';
+      this.keyListener = null;
+      this.toolbars = new Set();
+      this.messageTimer = null;
+      this.autoCloser = new BracketAutoCloser();
+      this.indenter = new SmartIndenter();
+      this.findBar = new FindReplaceBar();
+      this.snippetExpander = new SnippetExpander();
+      this.snippetPalette = new SnippetPalette();
+      this.historyPanel = new HistoryPanel();
+      this.librarySaveForm = new LibrarySaveForm();
+      this.libraryPalette = new LibraryPalette();
+      this.commands = {
+        format: {
+          label: 'Format',
+          title: 'Format formula',
+          run: model => this.format(model)
+        },
+        minify: {
+          label: 'Minify',
+          title: 'Collapse formula to one line',
+          run: model => this.minify(model)
+        },
+        find: {
+          label: 'Find',
+          title: 'Find and replace',
+          run: model => this.find(model)
+        },
+        insertSnippet: {
+          label: 'Snippets',
+          title: 'Insert snippet',
+          run: model => this.openSnippets(model)
+        },
+        history: {
+          label: 'History',
+          title: 'Formula history',
+          run: model => this.openHistory(model)
+        },
+        saveToLibrary: {
+          label: 'Favorite',
+          title: 'Save to library',
+          run: model => this.saveToLibrary(model)
+        },
+        insertFromLibrary: {
+          label: 'Library',
+          title: 'Insert from library',
+          run: model => this.openLibrary(model)
+        },
+        // Line commands have no toolbar button
+        duplicateLine: {
+          title: 'Duplicate line',
+          run: model => this.duplicateLines(model)
+        },
+        moveLineUp: {
+          title: 'Move line up',
+          run: model => this.moveLines(model, -1)
+        },
+        moveLineDown: {
+          title: 'Move line down',
+          run: model => this.moveLines(model, 1)
+        },
+        deleteLine: {
+          title: 'Delete line',
+          run: model => this.deleteLines(model)
+        },
+        joinLines: {
+          title: 'Join lines',
+          run: model => this.joinLines(model)
+        },
+        foldAll: {
+          title: 'Fold all',
+          run: model => this.setAllFolded(model, true)
+        },
+        unfoldAll: {
+          title: 'Unfold all',
+          run: model => this.setAllFolded(model, false)
+        }
+      };
+    }
+
+    /**
+     * Add the toolbar to a formula dialog and listen for shortcuts
+     */
+    attach(formulaDiv, config) {
+      this.config = config;
+      this.injectStyles();
+      this.createToolbar(formulaDiv);
+
+      if (!this.keyListener) {
+        this.keyListener = (event) => this.handleKeydown(event);
+        document.addEventListener('keydown', this.keyListener, true);
+      }
+    }
+
+    injectStyles() {
+      upsertStyleElement(this.styleElementId, `
+        .${FORMULA_TOOLBAR_CLASS} {
+          position: absolute;
+          top: 4px;
+          right: 4px;
+          z-index: 2;
+          display: flex;
+          gap: 4px;
+        }
+        .${FORMULA_TOOLBAR_CLASS} button {
+          padding: 2px 8px;
+          border: 1px solid rgba(128, 128, 128, 0.4);
+          border-radius: 4px;
+          background: rgba(128, 128, 128, 0.12);
+          color: inherit;
+          font: 11px/1.6 system-ui, sans-serif;
+          opacity: 0.7;
+          cursor: pointer;
+        }
+        .${FORMULA_TOOLBAR_CLASS} button:hover {
+          opacity: 1;
+        }
+        .${FORMULA_TOOLBAR_CLASS} button[data-coda-command-error] {
+          border-color: ${UNMATCHED_BRACKET_COLOR};
+          color: ${UNMATCHED_BRACKET_COLOR};
+          opacity: 1;
+        }
+        .${FORMULA_TOOLBAR_CLASS} [data-coda-command-message] {
+          align-self: center;
+          color: ${UNMATCHED_BRACKET_COLOR};
+          font: 11px/1.6 system-ui, sans-serif;
+        }
+      `);
+    }
+
+    createToolbar(formulaDiv) {
+      let toolbar = formulaDiv.querySelector(`:scope > .${FORMULA_TOOLBAR_CLASS}`);
+      if (toolbar) toolbar.remove();
+
+      toolbar = document.createElement('div');
+      toolbar.className = FORMULA_TOOLBAR_CLASS;
+
+      Object.entries(this.commands).forEach(([name, command]) => {
+        if (!command.label) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = command.label;
+        button.title = this.describe(name);
+        button.dataset.codaCommand = name;
+        // Keep the caret in the editor
+        button.addEventListener('mousedown', event => event.preventDefault());
+        button.addEventListener('click', () => {
+          const editor = EditorTextModel.findEditors(formulaDiv)[0];
+          if (editor) this.run(name, editor, button);
+        });
+        toolbar.appendChild(button);
+      });
+
+      if (window.getComputedStyle(formulaDiv).position === 'static') {
+        formulaDiv.style.position = 'relative';
+      }
+      formulaDiv.appendChild(toolbar);
+      this.toolbars.add(toolbar);
+    }
+
+    handleKeydown(event) {
+      const target = event.target;
+      if (!target || !target.closest || !target.closest(FORMULA_EDITOR_SELECTOR)) return;
+
+      const editor = EditorTextModel.findEditors().find(candidate => candidate.contains(target));
+      if (!editor) return;
+
+      const name = Object.keys(this.commands).find(key => matchesShortcut(event, this.shortcutFor(key)));
+      if (!name) {
+        const handled = this.snippetExpander.handleKeydown(event, editor, this.config) ||
+          this.indenter.handleKeydown(event, editor, this.config);
+        if (!handled) {
+          this.autoCloser.handleKeydown(event, editor, this.config.autoCloseBrackets);
+        }
+        return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+      const button = this.findButton(editor, name);
+      this.run(name, editor, button);
+    }
+
+    /**
+     * Shortcut of a command, from config.keyBindings or EDITOR_SHORTCUTS
+     */
+    shortcutFor(name) {
+      const bindings = this.config.keyBindings || {};
+      return bindings[name] || EDITOR_SHORTCUTS[name];
+    }
+
+    describe(name) {
+      return `${this.commands[name].title} (${this.shortcutFor(name)})`;
+    }
+
+    findButton(editor, name) {
+      const formulaDiv = editor.closest(FORMULA_EDITOR_SELECTOR);
+      return formulaDiv ? formulaDiv.querySelector(`.${FORMULA_TOOLBAR_CLASS} [data-coda-command="${name}"]`) : null;
+    }
+
+    /**
+     * Run a command on a fresh snapshot of the editor; a command returns
+     * an error message when it cannot apply
+     */
+    async run(name, editor, button) {
+      const error = await this.commands[name].run(new EditorTextModel(editor));
+      if (!button) {
+        if (error) this.showMessage(editor, error);
+        return;
+      }
+
+      if (error) {
+        button.dataset.codaCommandError = 'true';
+        button.title = error;
+      } else {
+        delete button.dataset.codaCommandError;
+        button.title = this.describe(name);
+      }
+    }
+
+    /**
+     * Show the error of a command without a button before the toolbar buttons, for a few seconds
+     */
+    showMessage(editor, message) {
+      const formulaDiv = editor.closest(FORMULA_EDITOR_SELECTOR);
+      const toolbar = formulaDiv && formulaDiv.querySelector(`:scope > .${FORMULA_TOOLBAR_CLASS}`);
+      if (!toolbar) return;
+
+      let element = toolbar.querySelector('[data-coda-command-message]');
+      if (!element) {
+        element = document.createElement('span');
+        element.dataset.codaCommandMessage = 'true';
+        toolbar.prepend(element);
+      }
+      element.textContent = message;
+
+      clearTimeout(this.messageTimer);
+      this.messageTimer = setTimeout(() => element.remove(), COMMAND_MESSAGE_DURATION);
+    }
+
+    /**
+     * Reformat the whole formula with the configured indent unit
+     */
+    async format(model) {
+      const indentText = getIndentUnitText(this.config.indentUnit);
+      const formatted = new FormulaFormatter(indentText).format(model.text, model.atoms);
+      if (formatted === null) return 'Cannot format: the formula has syntax errors';
+
+      await this.respace(model, formatted);
+      return null;
+    }
+
+    /**
+     * Apply a formatter result as whitespace edits, keeping the selection
+     * on the same text
+     */
+    async respace(model, target) {
+      const edits = whitespaceEdits(model, target);
+      if (!edits || edits.length === 0) return;
+
+      const selection = model.getSelection();
+      const current = await applyEditorEdits(model, edits);
+      if (current && selection) {
+        selectEditorRange(current, mapEditedOffset(selection.start, edits), mapEditedOffset(selection.end, edits));
+      }
+    }
+
+    /**
+     * Collapse the whole formula to one compact line
+     */
+    async minify(model) {
+      await this.respace(model, new FormulaFormatter('').minify(model.text, model.atoms));
+      return null;
+    }
+
+    /**
+     * Open the find/replace bar of the editor
+     */
+    find(model) {
+      this.findBar.open(model.editor, this.shortcutFor('find'));
+      return null;
+    }
+
+    /**
+     * Open the snippet palette; the picked snippet replaces the selection
+     */
+    openSnippets(model) {
+      this.snippetPalette.open(model.editor, this.config.snippets, (snippet, selection) => {
+        const current = new EditorTextModel(model.editor);
+        const start = selection ? selection.start : current.text.length;
+        const end = selection ? selection.end : current.text.length;
+        this.snippetExpander.insert(current, snippet, start, end, getIndentUnitText(this.config.indentUnit));
+      });
+      return null;
+    }
+
+    /**
+     * Open the saved versions of the formula
+     */
+    openHistory(model) {
+      this.historyPanel.open(model.editor, this.config);
+      return null;
+    }
+
+    /**
+     * Open the form that saves the whole formula to the library
+     */
+    saveToLibrary(model) {
+      if (!model.text.trim()) return 'Nothing to save: the formula is empty';
+
+      this.librarySaveForm.open(model.editor, model.text);
+      return null;
+    }
+
+    /**
+     * Open the library palette; the picked formula replaces the selection,
+     * its lines after the first indented like the caret line
+     */
+    openLibrary(model) {
+      this.libraryPalette.open(model.editor, (entry, selection) => {
+        const current = new EditorTextModel(model.editor);
+        const start = selection ? selection.start : current.text.length;
+        const end = selection ? selection.end : current.text.length;
+        const line = current.lines[current.lineIndexAt(start)];
+        const indent = current.text.slice(line.start, line.end).match(/^[ \t]*/)[0];
+        replaceEditorText(current, start, end, entry.formula.split('\n').join(`\n${indent}`));
+      });
+      return null;
+    }
+
+    /**
+     * Copy the selected lines below themselves and select the copy
+     */
+    async duplicateLines(model) {
+      const selection = model.getSelection();
+      if (!selection) return null;
+
+      const { first, last } = selectedLineRange(model, selection);
+      const start = model.lines[first].start;
+      const end = model.lines[last].end;
+      const shift = end - start + 1;
+      const selectAfter = { start: selection.start + shift, end: selection.end + shift };
+      if (!model.hasAtoms(start, end)) {
+        await replaceEditorText(model, end, end, `\n${model.text.slice(start, end)}`, selectAfter);
+        return null;
+      }
+
+      // Pasted as text, the references would lose their chips: paste the
+      // editor's own copy of the lines on a new line instead
+      const data = await copyEditorRange(model, start, end);
+      if (!data) return 'Cannot duplicate: the editor did not copy the references of the lines';
+      const current = await applyEditorEdits(model, [{ start: end, end, text: '\n' }]);
+      if (!current || !(await focusEditorRange(current, end + 1, end + 1))) return null;
+      if (!dispatchEditorPaste(current.editor, data)) {
+        await applyEditorEdits(new EditorTextModel(current.editor), [{ start: end, end: end + 1, text: '' }]);
+        return 'Cannot duplicate: the editor did not paste the references of the lines';
+      }
+
+      await afterEditorRender();
+      selectEditorRange(new EditorTextModel(model.editor), selectAfter.start, selectAfter.end);
+      return null;
+    }
+
+    /**
+     * Swap the selected lines with the line above (-1) or below (1)
+     */
+    async moveLines(model, direction) {
+      const selection = model.getSelection();
+      if (!selection) return null;
+
+      const { first, last } = selectedLineRange(model, selection);
+      const neighbour = model.lines[direction < 0 ? first - 1 : last + 1];
+      if (!neighbour) return null;
+
+      const block = { start: model.lines[first].start, end: model.lines[last].end };
+      const above = direction < 0 ? neighbour : block;
+      const below = direction < 0 ? block : neighbour;
+      const textOf = range => model.text.slice(range.start, range.end);
+
+      // Swap by moving the side without references across the other: only
+      // plain text is pasted, the chips stay where they are
+      let edits;
+      if (!model.hasAtoms(above.start, above.end)) {
+        edits = [
+          { start: above.start, end: below.start, text: '' },
+          { start: below.end, end: below.end, text: `\n${textOf(above)}` }
+        ];
+      } else if (!model.hasAtoms(below.start, below.end)) {
+        edits = [
+          { start: above.start, end: above.start, text: `${textOf(below)}\n` },
+          { start: above.end, end: below.end, text: '' }
+        ];
+      } else {
+        return 'Cannot move: the lines on both sides contain references';
+      }
+
+      const shift = direction * (neighbour.end - neighbour.start + 1);
+      const current = await applyEditorEdits(model, edits);
+      if (current) {
+        selectEditorRange(current, selection.start + shift, selection.end + shift);
+      }
+      return null;
+    }
+
+    /**
+     * Delete the selected lines, line breaks included
+     */
+    async deleteLines(model) {
+      const selection = model.getSelection();
+      if (!selection) return null;
+
+      const { first, last } = selectedLineRange(model, selection);
+      let start = model.lines[first].start;
+      let end = model.lines[last].end;
+      if (last < model.lines.length - 1) {
+        end += 1;
+      } else if (first > 0) {
+        start -= 1;
+      }
+
+      await applyEditorEdits(model, [{ start, end, text: '' }]);
+      return null;
+    }
+
+    /**
+     * Join the selected lines (or the current line and the next one),
+     * replacing each line break and the indentation around it with a space
+     */
+    async joinLines(model) {
+      const selection = model.getSelection();
+      if (!selection) return null;
+
+      const text = model.text;
+      const range = selectedLineRange(model, selection);
+      const last = Math.max(range.last, Math.min(range.first + 1, model.lines.length - 1));
+
+      const edits = [];
+      for (let index = range.first; index < last; index++) {
+        const line = model.lines[index];
+        const next = model.lines[index + 1];
+        let start = line.end;
+        let end = next.start;
+        while (start > line.start && /[ \t]/.test(text[start - 1])) start--;
+        while (end < next.end && /[ \t]/.test(text[end])) end++;
+
+        // No space after an opener, before a closer or comma, or next to a blank line
+        const tight = start === line.start || end === next.end ||
+          /[([{]/.test(text[start - 1]) || /[)\]},]/.test(text[end]);
+        edits.push({ start, end, text: tight ? '' : ' ' });
+      }
+      if (edits.length === 0) return null;
+
+      const current = await applyEditorEdits(model, edits);
+      if (current) {
+        // A caret goes to the first join point
+        const target = selection.collapsed ? { start: edits[0].end, end: edits[0].end } : selection;
+        selectEditorRange(current, mapEditedOffset(target.start, edits), mapEditedOffset(target.end, edits));
+      }
+      return null;
+    }
+
+    /**
+     * Fold or unfold every multi-line block of the formula
+     */
+    setAllFolded(model, folded) {
+      if (!this.config.codeFolding) return null;
+
+      if (folded) {
+        this.codeFolder.foldAll(model);
+      } else {
+        this.codeFolder.unfoldAll(model);
+      }
+      return null;
+    }
+
+    /**
+     * Remove the find bar, panels, toolbars, styles and the shortcut listener
+     */
+    detach() {
+      this.findBar.detach();
+      this.snippetPalette.detach();
+      this.historyPanel.detach();
+      this.librarySaveForm.detach();
+      this.libraryPalette.detach();
+      this.toolbars.forEach(toolbar => toolbar.remove());
+      this.toolbars.clear();
+      clearTimeout(this.messageTimer);
+      removeStyleElement(this.styleElementId);
+      if (this.keyListener) {
+        document.removeEventListener('keydown', this.keyListener, true);
+        this.keyListener = null;
+      }
+    }
+  }
+
+  // ========================================
+  // Find and Replace
+  // ========================================
+
+  const FIND_BAR_CLASS = 'coda-find-bar';
+  const FIND_MATCH_LIMIT = 1000; // Highlight at most this many matches (Replace All still edits every one)
+
+  // Search toggles of the find bar, in display order
+  const FIND_OPTIONS = {
+    caseSensitive: { label: 'Aa', title: 'Match case' },
+    wholeWord: { label: 'W', title: 'Match whole word' },
+    regex: { label: '.*', title: 'Use regular expression' },
+    skipStrings: { label: '""', title: 'Ignore matches inside strings' }
+  };
+
+  /**
+   * FindReplaceBar - Find/replace bar docked at the top of a formula editor
+   * Single Responsibility: Searching, highlighting and replacing formula text
+   */
+  class FindReplaceBar {
+    constructor() {
+      this.styleElementId = 'coda-find-bar-styles';
+      this.matchHighlight = 'coda-find-match';
+      this.currentHighlight = 'coda-find-current';
+      this.options = { caseSensitive: false, wholeWord: false, regex: false, skipStrings: false };
+      this.bar = null;
+      this.editor = null;
+      this.elements = {};
+      this.matches = [];
+      this.current = -1;
+      this.origin = 0;
+      this.observer = null;
+      this.searchFrame = null;
+      this.shortcut = null;
+    }
+
+    /**
+     * Find the matches of a query in an editor model
+     * @returns {{matches: Array<{start: number, end: number, groups: Array}>, error: string|null}}
+     */
+    static findMatches(model, query, options) {
+      if (!query) return { matches: [], error: null };
+
+      let source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (options.wholeWord) source = `(?<!\\w)(?:${source})(?!\\w)`;
+
+      let pattern;
+      try {
+        pattern = new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+      } catch (error) {
+        return { matches: [], error: 'Invalid regular expression' };
+      }
+
+      const strings = options.skipStrings ? model.getTokens().filter(token => token.type === 'string') : [];
+      const matches = [];
+      for (const groups of model.text.matchAll(pattern)) {
+        const start = groups.index;
+        const end = start + groups[0].length;
+        if (start === end || strings.some(token => start < token.end && end > token.start)) continue;
+
+        matches.push({ start, end, groups });
+      }
+      return { matches, error: null };
+    }
+
+    /**
+     * Replacement text for a match ($&, $1, $<name> and $$ in regex mode)
+     */
+    static expandReplacement(replacement, match, regex) {
+      if (!regex) return replacement;
+      return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, reference, name) => {
+        if (reference === '$') return '$';
+        if (reference === '&') return match.groups[0];
+        if (name !== undefined) return (match.groups.groups && match.groups.groups[name]) || '';
+        const group = match.groups[Number(reference)];
+        return group === undefined ? token : group;
+      });
+    }
+
+    /**
+     * Show the bar above an editor (or focus it again), prefilled with
+     * the selected text when it fits on one line
+     */
+    open(editor, shortcut) {
+      this.shortcut = shortcut;
+      const model = new EditorTextModel(editor);
+      const selection = model.getSelection();
+      const selected = selection && !selection.collapsed ? model.text.slice(selection.start, selection.end) : '';
+
+      if (this.editor !== editor || !this.bar || !this.bar.isConnected) {
+        this.close(false);
+        const container = editor.closest(FORMULA_EDITOR_SELECTOR) || editor.parentElement;
+        if (!container) return;
+
+        this.injectStyles();
+        this.editor = editor;
+        this.createBar(container);
+        this.observer = new MutationObserver(() => this.scheduleSearch());
+        this.observer.observe(editor, { childList: true, subtree: true, characterData: true });
+      }
+
+      if (selected && !selected.includes('\n')) this.elements.query.value = selected;
+      this.origin = selection ? selection.start : 0;
+      this.elements.query.focus();
+      this.elements.query.select();
+      this.search();
+    }
+
+    injectStyles() {
+      upsertStyleElement(this.styleElementId, `
+        ::highlight(${this.matchHighlight}) {
+          background-color: rgba(255, 200, 0, 0.35);
+        }
+        ::highlight(${this.currentHighlight}) {
+          background-color: rgba(255, 140, 0, 0.65);
+        }
+        .${FIND_BAR_CLASS} {
+          position: sticky;
+          top: 0;
+          z-index: 1;
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          padding: 4px;
+          border-bottom: 1px solid rgba(128, 128, 128, 0.3);
+          background: inherit;
+          font: 12px/1.6 system-ui, sans-serif;
+        }
+        .${FIND_BAR_CLASS} > div {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+        }
+        .${FIND_BAR_CLASS} input {
+          flex: 1;
+          min-width: 0;
+          padding: 2px 6px;
+          border: 1px solid rgba(128, 128, 128, 0.4);
+          border-radius: 4px;
+          background: transparent;
+          color: inherit;
+          font: inherit;
+        }
+        .${FIND_BAR_CLASS} input[aria-invalid="true"] {
+          border-color: ${UNMATCHED_BRACKET_COLOR};
+        }
+        .${FIND_BAR_CLASS} button {
+          padding: 1px 6px;
+          border: 1px solid transparent;
+          border-radius: 4px;
+          background: none;
+          color: inherit;
+          font: inherit;
+          opacity: 0.7;
+          cursor: pointer;
+        }
+        .${FIND_BAR_CLASS} button:hover,
+        .${FIND_BAR_CLASS} button[aria-pressed="true"] {
+          border-color: rgba(128, 128, 128, 0.4);
+          background: rgba(128, 128, 128, 0.12);
+          opacity: 1;
+        }
+        .${FIND_BAR_CLASS} output {
+          min-width: 6em;
+          text-align: center;
+          opacity: 0.7;
+          white-space: nowrap;
+        }
+      `);
+    }
+
+    createBar(container) {
+      const button = (label, title, action) => {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.textContent = label;
+        element.title = title;
+        element.dataset.findAction = action;
+        return element;
+      };
+      const input = (placeholder) => {
+        const element = document.createElement('input');
+        element.type = 'text';
+        element.placeholder = placeholder;
+        element.spellcheck = false;
+        return element;
+      };
+
+      const query = input('Find');
+      const replacement = input('Replace');
+      const count = document.createElement('output');
+      const options = Object.entries(FIND_OPTIONS).map(([name, option]) => {
+        const element = button(option.label, option.title, 'option');
+        element.dataset.findOption = name;
+        element.setAttribute('aria-pressed', String(this.options[name]));
+        return element;
+      });
+
+      const findRow = document.createElement('div');
+      findRow.append(query, ...options, count,
+        button('↑', 'Previous match (Shift+Enter)', 'previous'),
+        button('↓', 'Next match (Enter)', 'next'),
+        button('×', 'Close (Escape)', 'close'));
+      const replaceRow = document.createElement('div');
+      replaceRow.append(replacement,
+        button('Replace', 'Replace this match (Enter)', 'replace'),
+        button('Replace all', 'Replace all matches', 'replaceAll'));
+
+      const bar = document.createElement('div');
+      bar.className = FIND_BAR_CLASS;
+      bar.append(findRow, replaceRow);
+      // Coda would otherwise move the focus back to the editor
+      bar.addEventListener('mousedown', event => event.stopPropagation());
+      bar.addEventListener('click', event => this.handleClick(event));
+      bar.addEventListener('keydown', event => this.handleKeydown(event));
+      query.addEventListener('input', () => this.search());
+
+      // Keep the first row clear of the command toolbar
+      const toolbar = container.querySelector(`:scope > .${FORMULA_TOOLBAR_CLASS}`);
+      if (toolbar) findRow.style.marginRight = `${toolbar.offsetWidth + 8}px`;
+
+      container.prepend(bar);
+      this.bar = bar;
+      this.elements = { query, replacement, count };
+    }
+
+    handleClick(event) {
+      const target = event.target.closest('[data-find-action]');
+      if (!target) return;
+
+      const actions = {
+        option: () => this.toggleOption(target),
+        previous: () => this.step(-1),
+        next: () => this.step(1),
+        replace: () => this.replaceCurrent(),
+        replaceAll: () => this.replaceAll(),
+        close: () => this.close(true)
+      };
+      actions[target.dataset.findAction]();
+    }
+
+    toggleOption(button) {
+      const name = button.dataset.findOption;
+      this.options[name] = !this.options[name];
+      button.setAttribute('aria-pressed', String(this.options[name]));
+      this.search();
+    }
+
+    handleKeydown(event) {
+      if (this.shortcut && matchesShortcut(event, this.shortcut)) {
+        this.elements.query.focus();
+        this.elements.query.select();
+      } else if (event.key === 'Escape') {
+        this.close(true);
+      } else if (event.key === 'Enter' && event.target === this.elements.query) {
+        this.step(event.shiftKey ? -1 : 1);
+      } else if (event.key === 'Enter' && event.target === this.elements.replacement) {
+        this.replaceCurrent();
+      } else {
+        return;
+      }
+      // Keep Escape and Enter away from Coda's dialog handlers
+      event.preventDefault();
+      event.stopPropagation();
+    }
+
+    scheduleSearch() {
+      if (this.searchFrame) return;
+      this.searchFrame = requestAnimationFrame(() => {
+        this.searchFrame = null;
+        if (this.bar) this.search();
+      });
+    }
+
+    /**
+     * Recompute the matches; the current match is the first one at or after this.origin
+     */
+    search() {
+      if (!this.editor || !this.editor.isConnected) {
+        this.close(false);
+        return;
+      }
+
+      const model = new EditorTextModel(this.editor);
+      const { matches, error } = FindReplaceBar.findMatches(model, this.elements.query.value, this.options);
+      this.matches = matches;
+      const next = matches.findIndex(match => match.start >= this.origin);
+      this.current = matches.length === 0 ? -1 : Math.max(next, 0);
+      if (this.current >= 0) this.origin = matches[this.current].start;
+      this.elements.query.setAttribute('aria-invalid', String(!!error));
+      this.render(model, error);
+    }
+
+    render(model, error) {
+      const { count } = this.elements;
+      if (error) {
+        count.textContent = error;
+      } else if (this.matches.length === 0) {
+        count.textContent = this.elements.query.value ? 'No results' : '';
+      } else {
+        count.textContent = `${this.current + 1} of ${this.matches.length}`;
+      }
+
+      if (!supportsHighlights()) return;
+      const ranges = this.matches.slice(0, FIND_MATCH_LIMIT)
+        .map(match => model.createRange(match.start, match.end))
+        .filter(Boolean);
+      const current = this.matches[this.current];
+      const currentRange = current ? model.createRange(current.start, current.end) : null;
+      setHighlight(this.matchHighlight, ranges, 5);
+      setHighlight(this.currentHighlight, currentRange ? [currentRange] : [], 6);
+    }
+
+    /**
+     * Move to the next (1) or previous (-1) match and scroll it into view
+     */
+    step(direction) {
+      if (this.matches.length === 0) return;
+
+      this.current = (this.current + direction + this.matches.length) % this.matches.length;
+      const match = this.matches[this.current];
+      this.origin = match.start;
+
+      const model = new EditorTextModel(this.editor);
+      this.render(model, null);
+      const range = model.createRange(match.start, match.end);
+      const element = range && range.startContainer.parentElement;
+      if (element) element.scrollIntoView({ block: 'nearest' });
+    }
+
+    async replaceCurrent() {
+      const match = this.matches[this.current];
+      if (!match) return;
+
+      const text = FindReplaceBar.expandReplacement(this.elements.replacement.value, match, this.options.regex);
+      await this.applyEdits([{ start: match.start, end: match.end, text }]);
+      this.origin = match.start + text.length;
+      this.search();
+    }
+
+    async replaceAll() {
+      if (this.matches.length === 0) return;
+
+      const replacement = this.elements.replacement.value;
+      const edits = this.matches.map(match => ({
+        start: match.start,
+        end: match.end,
+        text: FindReplaceBar.expandReplacement(replacement, match, this.options.regex)
+      }));
+      await this.applyEdits(mergeEditorEdits(new EditorTextModel(this.editor), edits));
+      this.search();
+    }
+
+    /**
+     * Edit through the editor (execCommand needs its focus), then come back to the bar
+     */
+    async applyEdits(edits) {
+      const focused = document.activeElement;
+      this.editor.focus();
+      await applyEditorEdits(new EditorTextModel(this.editor), edits);
+      if (focused && this.bar && this.bar.contains(focused)) focused.focus();
+    }
+
+    /**
+     * Remove the bar and its highlights, optionally selecting the current
+     * match in the editor
+     */
+    close(focusEditor) {
+      const match = this.matches[this.current];
+      if (focusEditor && match && this.editor) {
+        this.editor.focus();
+        selectEditorRange(new EditorTextModel(this.editor), match.start, match.end);
+      } else if (focusEditor && this.editor) {
+        this.editor.focus();
+      }
+
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+      }
+      if (this.searchFrame) {
+        cancelAnimationFrame(this.searchFrame);
+        this.searchFrame = null;
+      }
+      if (supportsHighlights()) {
+        CSS.highlights.delete(this.matchHighlight);
+        CSS.highlights.delete(this.currentHighlight);
+      }
+      if (this.bar) this.bar.remove();
+      this.bar = null;
+      this.editor = null;
+      this.matches = [];
+      this.current = -1;
+    }
+
+    /**
+     * Close the bar and remove its styles
+     */
+    detach() {
+      this.close(false);
+      removeStyleElement(this.styleElementId);
+    }
+  }
+
+  // ========================================
+  // Snippets
+  // ========================================
+
+  const SNIPPET_PALETTE_CLASS = 'coda-snippet-palette';
+
+  /**
+   * Expand a snippet body: $1, ${1} and ${1:default} are tab stops (a
+   * repeated number mirrors the first one), $0 is the final caret position
+   * and \$ a literal dollar sign. Lines after the first get the indent of
+   * the insertion line, leading tabs become indent units
+   * @returns {{text: string, stops: Array<{index: number, start: number, end: number}>}}
+   */
+  function expandSnippetBody(body, indent = '', unit = '\t') {
+    const source = body.split('\n')
+      .map((line, index) => index === 0 ? line : indent + line.replace(/^\t+/, tabs => unit.repeat(tabs.length)))
+      .join('\n');
+
+    const placeholders = Array.from(source.matchAll(/\\\$|\$(\d+)|\$\{(\d+)(?::([^}]*))?\}/g));
+    // First default of each stop, which a mirror placed before it shows too
+    const defaults = {};
+    placeholders.forEach(match => {
+      const index = Number(match[1] || match[2]);
+      if (match[3] !== undefined && !(index in defaults)) defaults[index] = match[3];
+    });
+
+    const stops = [];
+    let text = '';
+    let last = 0;
+    for (const match of placeholders) {
+      text += source.slice(last, match.index);
+      last = match.index + match[0].length;
+      if (match[0] === '\\$') {
+        text += '$';
+        continue;
+      }
+
+      const index = Number(match[1] || match[2]);
+      const value = defaults[index] || '';
+      stops.push({ index, start: text.length, end: text.length + value.length });
+      text += value;
+    }
+    return { text: text + source.slice(last), stops };
+  }
+
+  /**
+   * SnippetExpander - Expands a snippet trigger on Tab and walks its tab
+   * stops with Tab / Shift+Tab
+   * Single Responsibility: Snippet insertion and tab stop navigation
+   */
+  class SnippetExpander {
+    constructor() {
+      this.session = null;
+    }
+
+    /**
+     * Handle a keydown in a formula editor
+     * @returns {boolean} True if the keystroke was handled
+     */
+    handleKeydown(event, editor, config) {
+      if (event.key === 'Escape') this.session = null;
+      if (event.key !== 'Tab' || event.ctrlKey || event.metaKey || event.altKey || event.isComposing) return false;
+      // Tab accepts the highlighted suggestion, as in SmartIndenter
+      if (isAutocompleteOpen()) return false;
+
+      if (this.session && this.session.editor === editor) {
+        if (!this.move(editor, event.shiftKey ? -1 : 1)) return false;
+        event.preventDefault();
+        event.stopPropagation();
+        return true;
+      }
+      if (event.shiftKey) return false;
+
+      const model = new EditorTextModel(editor);
+      const selection = model.getSelection();
+      if (!selection || !selection.collapsed || stringTokenAt(model, selection.start)) return false;
+
+      const caret = selection.start;
+      const line = model.lines[model.lineIndexAt(caret)];
+      const word = (model.text.slice(line.start, caret).match(/[A-Za-z_]\w*$/) || [''])[0];
+      if (!word || /\w/.test(model.text[caret] || '')) return false;
+
+      const snippet = Object.values(config.snippets || {}).find(candidate => candidate.trigger === word);
+      if (!snippet) return false;
+
+      event.preventDefault();
+      event.stopPropagation();
+      this.insert(model, snippet, caret - word.length, caret, getIndentUnitText(config.indentUnit));
+      return true;
+    }
+
+    /**
+     * Replace [start, end) with a snippet and select its first tab stop
+     */
+    async insert(model, snippet, start, end, unit) {
+      const line = model.lines[model.lineIndexAt(start)];
+      const indent = model.text.slice(line.start, line.end).match(/^[ \t]*/)[0];
+      const { text, stops } = expandSnippetBody(snippet.body, indent, unit);
+
+      const absolute = stops.map(stop => ({ ...stop, start: stop.start + start, end: stop.end + start }));
+      const order = [...new Set(absolute.map(stop => stop.index))]
+        .sort((a, b) => (a === 0) - (b === 0) || a - b);
+      if (!order.includes(0)) {
+        absolute.push({ index: 0, start: start + text.length, end: start + text.length });
+        order.push(0);
+      }
+
+      const first = absolute.find(stop => stop.index === order[0]);
+      this.session = order.length > 1
+        ? { editor: model.editor, stops: absolute, order, position: 0, length: model.text.length - (end - start) + text.length }
+        : null;
+      await replaceEditorText(model, start, end, text, first);
+    }
+
+    /**
+     * Leave the current tab stop (copying its text to its mirrors) and
+     * select the next (1) or previous (-1) one
+     * @returns {boolean} False if the caret left the current tab stop, which ends the session
+     */
+    move(editor, direction) {
+      const session = this.session;
+      const model = new EditorTextModel(editor);
+      const selection = model.getSelection();
+      const current = session.stops.find(stop => stop.index === session.order[session.position]);
+      const delta = model.text.length - session.length;
+
+      if (!selection || selection.start < current.start || selection.end > current.end + delta) {
+        this.session = null;
+        return false;
+      }
+
+      // Text typed in the current stop moved everything after it
+      const oldEnd = current.end;
+      session.stops.forEach(stop => {
+        if (stop !== current && stop.start >= oldEnd) {
+          stop.start += delta;
+          stop.end += delta;
+        }
+      });
+      current.end += delta;
+
+      const value = model.text.slice(current.start, current.end);
+      const edits = session.stops
+        .filter(stop => stop !== current && stop.index === current.index && model.text.slice(stop.start, stop.end) !== value)
+        .map(stop => ({ start: stop.start, end: stop.end, text: value }));
+
+      const position = Math.max(session.position + direction, 0);
+      this.updateMirrors(model, edits).then(() => {
+        session.position = position;
+        const next = session.stops.find(stop => stop.index === session.order[position]);
+        session.length = new EditorTextModel(editor).text.length;
+        if (next.index === 0) this.session = null;
+        selectEditorRange(new EditorTextModel(editor), next.start, next.end);
+      });
+      return true;
+    }
+
+    /**
+     * Write the mirrored values and shift the tab stops accordingly
+     */
+    async updateMirrors(model, edits) {
+      if (edits.length === 0) return;
+
+      const stops = this.session.stops;
+      const moved = stops.map(stop => {
+        const shift = edits
+          .filter(edit => edit.end <= stop.start)
+          .reduce((sum, edit) => sum + edit.text.length - (edit.end - edit.start), 0);
+        const edited = edits.find(edit => edit.start === stop.start && edit.end === stop.end);
+        return { start: stop.start + shift, end: edited ? stop.start + shift + edited.text.length : stop.end + shift };
+      });
+      stops.forEach((stop, index) => Object.assign(stop, moved[index]));
+      await applyEditorEdits(model, edits);
+    }
+  }
+
+  /**
+   * SnippetPalette - Searchable list of snippets opened from the toolbar
+   * or its shortcut
+   * Single Responsibility: Picking a snippet
+   */
+  class SnippetPalette {
+    constructor() {
+      this.styleElementId = 'coda-snippet-palette-styles';
+      this.element = null;
+      this.editor = null;
+      this.selection = null;
+      this.snippets = [];
+      this.items = [];
+      this.active = 0;
+      this.onPick = null;
+      this.outsideListener = null;
+    }
+
+    /**
+     * Show the palette over an editor; onPick(snippet, selection) runs with
+     * the editor focused and its selection restored
+     */
+    open(editor, snippets, onPick) {
+      this.close(false);
+      const container = editor.closest(FORMULA_EDITOR_SELECTOR) || editor.parentElement;
+      if (!container) return;
+
+      this.injectStyles();
+      this.editor = editor;
+      this.selection = new EditorTextModel(editor).getSelection();
+      this.onPick = onPick;
+      this.snippets = Object.values(snippets || {});
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = this.snippets.length > 0 ? 'Search snippets' : 'No snippets yet: add some in the extension popup';
+      input.spellcheck = false;
+      const list = document.createElement('div');
+
+      this.element = document.createElement('div');
+      this.element.className = SNIPPET_PALETTE_CLASS;
+      this.element.append(input, list);
+      this.element.addEventListener('mousedown', event => event.stopPropagation());
+      input.addEventListener('input', () => this.filter(input.value));
+      input.addEventListener('keydown', event => this.handleKeydown(event));
+      list.addEventListener('click', event => {
+        const item = event.target.closest('[data-index]');
+        if (item) this.pick(Number(item.dataset.index));
+      });
+
+      this.outsideListener = (event) => {
+        if (this.element && !this.element.contains(event.target)) this.close(false);
+      };
+      document.addEventListener('mousedown', this.outsideListener, true);
+
+      if (window.getComputedStyle(container).position === 'static') {
+        container.style.position = 'relative';
+      }
+      container.appendChild(this.element);
+      this.filter('');
+      input.focus();
+    }
+
+    injectStyles() {
+      upsertStyleElement(this.styleElementId, `
+        .${SNIPPET_PALETTE_CLASS} {
+          position: absolute;
+          top: 32px;
+          right: 4px;
+          z-index: 3;
+          width: 280px;
+          padding: 4px;
+          border: 1px solid rgba(128, 128, 128, 0.4);
+          border-radius: 6px;
+          background: inherit;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+          font: 12px/1.6 system-ui, sans-serif;
+        }
+        .${SNIPPET_PALETTE_CLASS} input {
+          box-sizing: border-box;
+          width: 100%;
+          padding: 2px 6px;
+          border: 1px solid rgba(128, 128, 128, 0.4);
+          border-radius: 4px;
+          background: transparent;
+          color: inherit;
+          font: inherit;
+        }
+        .${SNIPPET_PALETTE_CLASS} > div {
+          max-height: 14em;
+          margin-top: 4px;
+          overflow-y: auto;
+        }
+        .${SNIPPET_PALETTE_CLASS} [data-index] {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+          padding: 2px 6px;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+        .${SNIPPET_PALETTE_CLASS} [data-active] {
+          background: rgba(128, 128, 128, 0.2);
+        }
+        .${SNIPPET_PALETTE_CLASS} [data-index] span {
+          opacity: 0.6;
+          font-family: monospace;
+        }
+      `);
+    }
+
+    filter(query) {
+      const needle = query.trim().toLowerCase();
+      this.items = this.snippets.filter(snippet =>
+        !needle || snippet.name.toLowerCase().includes(needle) || (snippet.trigger || '').toLowerCase().includes(needle));
+      this.active = 0;
+      this.render();
+    }
+
+    render() {
+      const list = this.element.lastElementChild;
+      list.replaceChildren(...this.items.map((snippet, index) => {
+        const item = document.createElement('div');
+        const trigger = document.createElement('span');
+        trigger.textContent = snippet.trigger || '';
+        item.append(snippet.name, trigger);
+        item.dataset.index = String(index);
+        item.title = snippet.body;
+        if (index === this.active) item.dataset.active = 'true';
+        return item;
+      }));
+      const active = list.querySelector('[data-active]');
+      if (active) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    handleKeydown(event) {
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        if (this.items.length > 0) {
+          const step = event.key === 'ArrowDown' ? 1 : -1;
+          this.active = (this.active + step + this.items.length) % this.items.length;
+          this.render();
+        }
+      } else if (event.key === 'Enter') {
+        this.pick(this.active);
+      } else if (event.key === 'Escape') {
+        this.close(true);
+      } else {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+    }
+
+    pick(index) {
+      const snippet = this.items[index];
+      if (!snippet) return;
+
+      const { onPick, selection } = this;
+      this.close(true);
+      onPick(snippet, selection);
+    }
+
+    /**
+     * Remove the palette, optionally giving the focus and selection back to the editor
+     */
+    close(focusEditor) {
+      if (this.outsideListener) {
+        document.removeEventListener('mousedown', this.outsideListener, true);
+        this.outsideListener = null;
+      }
+      if (this.element) this.element.remove();
+      this.element = null;
+
+      if (focusEditor && this.editor) {
+        this.editor.focus();
+        if (this.selection) selectEditorRange(new EditorTextModel(this.editor), this.selection.start, this.selection.end);
+      }
+      this.editor = null;
+    }
+
+    /**
+     * Close the palette and remove its styles
+     */
+    detach() {
+      this.close(false);
+      removeStyleElement(this.styleElementId);
+    }
+  }
+
+  // ========================================
+  // Formula History
+  // ========================================
+
+  const HISTORY_PANEL_CLASS = 'coda-history-panel';
+  const DIFF_CELL_LIMIT = 250000; // Above lines × lines, the diff replaces every line
+  const DIFF_CONTEXT_LINES = 2; // Unchanged lines shown around each change
+
+  /**
+   * Line diff between two texts (longest common subsequence)
+   * @returns {Array<{type: string, text: string}>} Lines typed 'same', 'removed' or 'added'
+   */
+  function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    if (a.length * b.length > DIFF_CELL_LIMIT) {
+      return a.map(text => ({ type: 'removed', text })).concat(b.map(text => ({ type: 'added', text })));
+    }
+
+    // common[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+      }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        diff.push({ type: 'same', text: a[i++] });
+        j++;
+      } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+        diff.push({ type: 'removed', text: a[i++] });
+      } else {
+        diff.push({ type: 'added', text: b[j++] });
+      }
+    }
+    return diff;
+  }
+
+  /**
+   * Edit turning a model's text into another text, limited to the part
+   * that differs: the common start and end, and the chips in them, stay.
+   * A chip cut by the changed part is replaced whole
+   * @returns {{start: number, end: number, text: string}}
+   */
+  function changedTextEdit(model, text) {
+    const current = model.text;
+    let prefix = 0;
+    while (prefix < current.length && prefix < text.length && current[prefix] === text[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < current.length - prefix && suffix < text.length - prefix &&
+      current[current.length - 1 - suffix] === text[text.length - 1 - suffix]) suffix++;
+
+    model.atoms.forEach(atom => {
+      if (atom.start < prefix && prefix < atom.end) prefix = atom.start;
+      const end = current.length - suffix;
+      if (atom.start < end && end < atom.end) suffix = current.length - atom.end;
+    });
+    return { start: prefix, end: current.length - suffix, text: text.slice(prefix, text.length - suffix) };
+  }
+
+  /**
+   * URL of the current doc, without the page path
+   */
+  function getDocUrl() {
+    const doc = window.location.pathname.match(/^\/d\/[^/]+/);
+    return `${window.location.origin}${doc ? doc[0] : window.location.pathname}`;
+  }
+
+  /**
+   * FormulaHistory - Saves a version of each formula when its dialog closes
+   * Single Responsibility: Formula snapshots
+   *
+   * Formulas are keyed by doc URL plus the dialog context (see
+   * DOMSelector.findDialogContext). The text found when a dialog opens is
+   * saved too, so that the first edit of a formula can be reverted.
+   */
+  class FormulaHistory {
+    constructor() {
+      this.config = null;
+      this.tracked = new Map();
+    }
+
+    /**
+     * History key of the formula edited in a dialog
+     * @returns {string|null} Null when the dialog cannot be told apart from the others
+     */
+    static keyFor(dialog) {
+      const context = new DOMSelector().findDialogContext(dialog);
+      return context ? `${getDocUrl()}|${context}` : null;
+    }
+
+    /**
+     * Follow the formula text of an open dialog
+     */
+    track(dialog, formulaDiv, config) {
+      this.config = config;
+      if (this.tracked.has(dialog)) return;
+
+      const editor = EditorTextModel.findEditors(formulaDiv)[0];
+      const key = FormulaHistory.keyFor(dialog);
+      if (!editor || !key) return;
+
+      const entry = { key, text: new EditorTextModel(editor).text, editor: null, observer: null };
+      this.observe(entry, editor);
+      this.tracked.set(dialog, entry);
+      this.save(entry.key, entry.text);
+    }
+
+    /**
+     * Keep the last text of a dialog's editor, as the dialog is gone once
+     * closed. Only the editor root is observed: the extension's panels
+     * around it change on every keystroke too
+     */
+    observe(entry, editor) {
+      if (entry.observer) entry.observer.disconnect();
+      entry.editor = editor;
+      entry.observer = new MutationObserver(() => {
+        entry.text = new EditorTextModel(editor).text;
+      });
+      entry.observer.observe(editor, { childList: true, subtree: true, characterData: true });
+    }
+
+    /**
+     * Save the last text of the dialogs that left the page, and follow
+     * the editors Slate re-mounted in the open ones
+     */
+    collectClosed() {
+      this.tracked.forEach((entry, dialog) => {
+        if (dialog.isConnected) {
+          if (entry.editor.isConnected) return;
+          const editor = EditorTextModel.findEditors(dialog)[0];
+          if (editor) {
+            entry.text = new EditorTextModel(editor).text;
+            this.observe(entry, editor);
+          }
+          return;
+        }
+
+        entry.observer.disconnect();
+        this.tracked.delete(dialog);
+        this.save(entry.key, entry.text);
+      });
+    }
+
+    save(formulaKey, text) {
+      if (!text.trim()) return;
+      StorageManager.saveFormulaVersion(formulaKey, text, this.config).then(saved => {
+        if (!saved) console.warn('[Coda Extension] Formula version lost for', formulaKey);
+      });
+    }
+  }
+
+  /**
+   * HistoryPanel - Saved versions of the formula being edited, with a diff
+   * against the current text and one-click restore
+   * Single Responsibility: Browsing and restoring formula versions
+   */
+  class HistoryPanel {
+    constructor() {
+      this.styleElementId = 'coda-history-panel-styles';
+      this.element = null;
+      this.editor = null;
+      this.config = null;
+      this.formulaKey = null;
+      this.versions = [];
+      this.active = -1;
+      this.outsideListener = null;
+    }
+
+    /**
+     * Show the versions of the formula edited in the editor's dialog, newest first
+     */
+    async open(editor, config) {
+      this.close(false);
+      const container = editor.closest(FORMULA_EDITOR_SELECTOR) || editor.parentElement;
+      const dialog = editor.closest('[data-coda-ui-id="dialog"]');
+      if (!container || !dialog) return;
+
+      const formulaKey = FormulaHistory.keyFor(dialog);
+      const history = formulaKey ? await StorageManager.getHistory() : {};
+      // Another panel may have opened while the history was loading
+      this.close(false);
+
+      this.injectStyles();
+      this.editor = editor;
+      this.config = config;
+      this.formulaKey = formulaKey;
+      this.versions = (history[formulaKey] || []).slice().reverse();
+      this.element = this.createPanel();
+
+      this.outsideListener = (event) => {
+        if (this.element && !this.element.contains(event.target)) this.close(false);
+      };
+      document.addEventListener('mousedown', this.outsideListener, true);
+
+      if (window.getComputedStyle(container).position === 'static') {
+        container.style.position = 'relative';
+      }
+      container.appendChild(this.element);
+      this.select(this.versions.length > 0 ? 0 : -1);
+      this.element.focus();
+    }
+
+    createPanel() {
+      const panel = document.createElement('div');
+      panel.className = HISTORY_PANEL_CLASS;
+      panel.tabIndex = -1;
+
+      const header = document.createElement('header');
+      const title = document.createElement('strong');
+      title.textContent = 'Formula history';
+      const closeButton = document.createElement('button');
+      closeButton.type = 'button';
+      closeButton.textContent = '×';
+      closeButton.title = 'Close (Escape)';
+      closeButton.addEventListener('click', () => this.close(true));
+      header.append(title, closeButton);
+
+      const list = document.createElement('ul');
+      if (this.versions.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = this.formulaKey
+          ? 'No saved version yet: a version is saved each time the formula dialog closes'
+          : 'No history for this dialog: it has no title to identify the formula';
+        list.appendChild(empty);
+      }
+      const current = new EditorTextModel(this.editor).text;
+      this.versions.forEach((version, index) => {
+        const item = document.createElement('li');
+        const size = document.createElement('span');
+        const lineCount = version.text.split('\n').length;
+        size.textContent = version.text === current ? 'current' : `${lineCount} line${lineCount > 1 ? 's' : ''}`;
+        item.append(new Date(version.savedAt).toLocaleString(), size);
+        item.dataset.index = String(index);
+        list.appendChild(item);
+      });
+      list.addEventListener('click', event => {
+        const item = event.target.closest('[data-index]');
+        if (item) this.select(Number(item.dataset.index));
+      });
+
+      const diff = document.createElement('pre');
+      const warning = document.createElement('p');
+      warning.hidden = true;
+      const restoreButton = document.createElement('button');
+      restoreButton.type = 'button';
+      restoreButton.textContent = 'Restore this version';
+      restoreButton.addEventListener('click', () => this.restore());
+
+      panel.append(header, list, diff, warning, restoreButton);
+      panel.addEventListener('mousedown', event => event.stopPropagation());
+      panel.addEventListener('keydown', event => this.handleKeydown(event));
+      return panel;
+    }
+
+    injectStyles() {
+      upsertStyleElement(this.styleElementId, `
+        .${HISTORY_PANEL_CLASS} {
+          position: absolute;
+          top: 32px;
+          right: 4px;
+          z-index: 3;
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          width: 420px;
+          max-width: calc(100% - 8px);
+          padding: 6px;
+          border: 1px solid rgba(128, 128, 128, 0.4);
+          border-radius: 6px;
+          background: inherit;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+          font: 12px/1.6 system-ui, sans-serif;
+          outline: none;
+        }
+        .${HISTORY_PANEL_CLASS} header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+        .${HISTORY_PANEL_CLASS} button {
+          padding: 0 8px;
+          border: 1px solid rgba(128, 128, 128, 0.4);
+          border-radius: 4px;
+          background: rgba(128, 128, 128, 0.12);
+          color: inherit;
+          font: inherit;
+          cursor: pointer;
+        }
+        .${HISTORY_PANEL_CLASS} button:disabled {
+          opacity: 0.5;
+          cursor: default;
+        }
+        .${HISTORY_PANEL_CLASS} ul {
+          max-height: 9em;
+          margin: 0;
+          padding: 0;
+          overflow-y: auto;
+          list-style: none;
+        }
+        .${HISTORY_PANEL_CLASS} li {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+          padding: 0 6px;
+          border-radius: 4px;
+        }
+        .${HISTORY_PANEL_CLASS} li[data-index] {
+          cursor: pointer;
+        }
+        .${HISTORY_PANEL_CLASS} li[data-active] {
+          background: rgba(128, 128, 128, 0.2);
+        }
+        .${HISTORY_PANEL_CLASS} li span {
+          opacity: 0.6;
+        }
+        .${HISTORY_PANEL_CLASS} pre {
+          max-height: 16em;
+          margin: 0;
+          overflow: auto;
+          font: 12px/1.5 monospace;
+        }
+        .${HISTORY_PANEL_CLASS} pre:empty {
+          display: none;
+        }
+        .${HISTORY_PANEL_CLASS} p {
+          margin: 0;
+          color: ${UNMATCHED_BRACKET_COLOR};
+        }
+        .${HISTORY_PANEL_CLASS} p[hidden] {
+          display: none;
+        }
+        .${HISTORY_PANEL_CLASS} pre > div[data-diff="added"] {
+          background: rgba(46, 160, 67, 0.2);
+        }
+        .${HISTORY_PANEL_CLASS} pre > div[data-diff="removed"] {
+          background: rgba(248, 81, 73, 0.2);
+        }
+        .${HISTORY_PANEL_CLASS} pre > div[data-diff="skipped"] {
+          opacity: 0.6;
+          font-style: italic;
+        }
+      `);
+    }
+
+    /**
+     * Select a version and show what restoring it would change
+     */
+    select(index) {
+      this.active = index;
+      this.element.querySelectorAll('li[data-index]').forEach(item => {
+        if (Number(item.dataset.index) === index) {
+          item.dataset.active = 'true';
+          item.scrollIntoView({ block: 'nearest' });
+        } else {
+          delete item.dataset.active;
+        }
+      });
+
+      const version = this.versions[index];
+      const view = this.element.querySelector('pre');
+      const restoreButton = this.element.lastElementChild;
+      const model = new EditorTextModel(this.editor);
+      const current = model.text;
+      restoreButton.disabled = !version || version.text === current;
+      view.replaceChildren(...(version ? this.renderDiff(diffLines(current, version.text)) : []));
+
+      // Versions are plain text: the chips of the replaced part cannot come back
+      const edit = version && version.text !== current ? changedTextEdit(model, version.text) : null;
+      const warning = this.element.querySelector('p');
+      warning.textContent = 'Restoring turns the references of the changed part into plain text';
+      warning.hidden = !edit || !model.hasAtoms(edit.start, edit.end);
+    }
+
+    /**
+     * Diff lines, long unchanged runs folded into a "… unchanged lines" row
+     */
+    renderDiff(diff) {
+      const changed = diff.map(line => line.type !== 'same');
+      const nearChange = (index) => changed.slice(Math.max(0, index - DIFF_CONTEXT_LINES), index + DIFF_CONTEXT_LINES + 1).includes(true);
+      if (!changed.includes(true)) {
+        const same = document.createElement('div');
+        same.dataset.diff = 'skipped';
+        same.textContent = 'Same as the current formula';
+        return [same];
+      }
+
+      const rows = [];
+      let skipped = 0;
+      const flushSkipped = () => {
+        if (skipped === 0) return;
+        const row = document.createElement('div');
+        row.dataset.diff = 'skipped';
+        row.textContent = `… ${skipped} unchanged line${skipped > 1 ? 's' : ''}`;
+        rows.push(row);
+        skipped = 0;
+      };
+      const prefixes = { same: '  ', removed: '- ', added: '+ ' };
+      diff.forEach((line, index) => {
+        if (line.type === 'same' && !nearChange(index)) {
+          skipped++;
+          return;
+        }
+        flushSkipped();
+        const row = document.createElement('div');
+        row.dataset.diff = line.type;
+        row.textContent = `${prefixes[line.type]}${line.text}`;
+        rows.push(row);
+      });
+      flushSkipped();
+      return rows;
+    }
+
+    handleKeydown(event) {
+      if (event.key === 'Escape') {
+        this.close(true);
+      } else if ((event.key === 'ArrowDown' || event.key === 'ArrowUp') && this.versions.length > 0) {
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        this.select((this.active + step + this.versions.length) % this.versions.length);
+      } else if (event.key === 'Enter' && event.target === this.element) {
+        this.restore();
+      } else {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+    }
+
+    /**
+     * Replace the part of the formula that differs from the selected
+     * version; the current text is saved first, and Coda's undo reverts the restore
+     */
+    async restore() {
+      const version = this.versions[this.active];
+      const editor = this.editor;
+      if (!version || !editor) return;
+
+      const model = new EditorTextModel(editor);
+      if (model.text === version.text) return;
+      // Without a saved copy, the restore would be the only way back
+      if (model.text.trim() && !await StorageManager.saveFormulaVersion(this.formulaKey, model.text, this.config)) {
+        if (!this.element) return;
+        const warning = this.element.querySelector('p');
+        warning.textContent = 'Could not save the current formula: nothing was restored';
+        warning.hidden = false;
+        return;
+      }
+
+      this.close(true);
+      const current = new EditorTextModel(editor);
+      await applyEditorEdits(current, [changedTextEdit(current, version.text)]);
+    }
+
+    /**
+     * Remove the panel, optionally giving the focus back to the editor
+     */
+    close(focusEditor) {
+      if (this.outsideListener) {
+        document.removeEventListener('mousedown', this.outsideListener, true);
+        this.outsideListener = null;
+      }
+      if (this.element) this.element.remove();
+      this.element = null;
+
+      if (focusEditor && this.editor) this.editor.focus();
+      this.editor = null;
+    }
+
+    /**
+     * Close the panel and remove its styles
+     */
+    detach() {
+      this.close(false);
+      removeStyleElement(this.styleElementId);
+    }
+  }
+
+  // ========================================
+  // Formula Library
+  // ========================================
+
+  const LIBRARY_FORM_CLASS = 'coda-library-form';
+  const LIBRARY_PALETTE_CLASS = 'coda-library-palette';
+  // Search weight of each library field: a name match ranks first
+  const LIBRARY_SEARCH_FIELDS = { name: 3, tags: 2, description: 1, formula: 1 };
+
+  /**
+   * Fuzzy match: every character of the query appears in order in the
+   * text. A substring scores highest, then characters starting words.
+   * Characters are compared one code point at a time, as lowercasing may
+   * change the length of a string
+   * @returns {{score: number, indices: number[]}|null} Matched code point offsets (as in Array.from(text)), null without a match
+   */
+  function fuzzyMatch(query, text) {
+    const needle = Array.from(query, char => char.toLowerCase());
+    const chars = Array.from(text);
+    const haystack = chars.map(char => char.toLowerCase());
+    const substring = haystack.findIndex((_, start) => needle.every((char, offset) => haystack[start + offset] === char));
+    if (substring !== -1) {
+      const indices = needle.map((_, offset) => substring + offset);
+      return { score: needle.length * 4 - (substring === 0 ? 0 : 1), indices };
+    }
+
+    const indices = [];
+    let score = 0;
+    let from = 0;
+    for (const char of needle) {
+      const index = haystack.indexOf(char, from);
+      if (index === -1) return null;
+
+      const wordStart = index === 0 || /[^a-z0-9]/i.test(chars[index - 1]) ||
+        (chars[index] !== haystack[index] && chars[index - 1] === haystack[index - 1]);
+      if (index === indices[indices.length - 1] + 1) score += 3;
+      else score += wordStart ? 2 : 1;
+      indices.push(index);
+      from = index + 1;
+    }
+    return { score, indices };
+  }
+
+  /**
+   * Rank library entries for a query; each word of the query must match
+   * one field (name, tags, description or formula)
+   * @returns {Array<{entry: Object, nameIndices: number[]}>} Best matches first, newest first without a query
+   */
+  function searchLibrary(entries, query) {
+    const terms = query.trim().split(/\s+/).filter(Boolean);
+    const results = [];
+    entries.forEach(entry => {
+      const fields = {
+        name: entry.name,
+        tags: (entry.tags || []).join(' '),
+        description: entry.description || '',
+        formula: entry.formula
+      };
+      let score = 0;
+      const nameIndices = [];
+      const matched = terms.every(term => {
+        let best = null;
+        Object.entries(LIBRARY_SEARCH_FIELDS).forEach(([field, weight]) => {
+          const match = fuzzyMatch(term, fields[field]);
+          if (match && (!best || match.score * weight > best.score)) {
+            best = { score: match.score * weight, field, indices: match.indices };
+          }
+        });
+        if (!best) return false;
+        score += best.score;
+        if (best.field === 'name') nameIndices.push(...best.indices);
+        return true;
+      });
+      if (matched) results.push({ entry, score, nameIndices });
+    });
+    return results.sort((a, b) => b.score - a.score || (b.entry.savedAt || 0) - (a.entry.savedAt || 0));
+  }
+
+  /**
+   * Split a comma-separated tag list, without blanks nor duplicates
+   */
+  function parseLibraryTags(value) {
+    return [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))];
+  }
+
+  /**
+   * LibrarySaveForm - Name, tags and description of a formula saved to the library
+   * Single Responsibility: Adding formulas to the library
+   *
+   * Saving under the name of an existing entry replaces that entry.
+   */
+  class LibrarySaveForm {
+    constructor() {
+      this.styleElementId = 'coda-library-form-styles';
+      this.element = null;
+      this.editor = null;
+      this.formula = '';
+      this.sourceUrl = '';
+      this.library = {};
+      this.outsideListener = null;
+    }
+
+    /**
+     * Show the form over an editor, named after the dialog's column or control
+     */
+    async open(editor, formula) {
+      this.close(false);
+      const container = editor.closest(FORMULA_EDITOR_SELECTOR) || editor.parentElement;
+      if (!container) return;
+
+      const library = await StorageManager.getLibrary();
+      // Another form may have opened while the library was loading
+      this.close(false);
+
+      const dialog = editor.closest('[data-coda-ui-id="dialog"]');
+      this.injectStyles();
+      this.editor = editor;
+      this.formula = formula;
+      this.sourceUrl = getDocUrl();
+      this.library = library;
+      this.element = this.createForm(dialog && new DOMSelector().findDialogContext(dialog));
+
+      this.outsideListener = (event) => {
+        if (this.element && !this.element.contains(event.target)) this.close(false);
+      };
+      document.addEventListener('mousedown', this.outsideListener, true);
+
+      if (window.getComputedStyle(container).position === 'static') {
+        container.style.position = 'relative';
+      }
+      container.appendChild(this.element);
+      this.updateSaveButton();
+      const nameInput = this.element.querySelector('[name="name"]');
+      nameInput.focus();
+      nameInput.select();
+    }
+
+    createForm(defaultName) {
+      const form = document.createElement('form');
+      form.className = LIBRARY_FORM_CLASS;
+      form.noValidate = true;
+
+      const title = document.createElement('strong');
+      title.textContent = 'Save to library';
+      const field = (labelText, control) => {
+        const label = document.createElement('label');
+        label.append(labelText, control);
+        return label;
+      };
+
+      const name = document.createElement('input');
+      name.name = 'name';
+      name.maxLength = 80;
+      name.value = defaultName || '';
+      name.addEventListener('input', () => this.updateSaveButton());
+      const tags = document.createElement('input');
+      tags.name = 'tags';
+      tags.placeholder = 'comma, separated';
+      tags.spellcheck = false;
+      const description = document.createElement('textarea');
+      description.name = 'description';
+      description.rows = 2;
+
+      const source = document.createElement('span');
+      source.textContent = this.sourceUrl;
+      source.title = 'Source doc';
+      const status = document.createElement('span');
+      status.dataset.status = 'true';
+
+      const actions = document.createElement('div');
+      const cancelButton = document.createElement('button');
+      cancelButton.type = 'button';
+      cancelButton.textContent = 'Cancel';
+      cancelButton.addEventListener('click', () => this.close(true));
+      const saveButton = document.createElement('button');
+      saveButton.type = 'submit';
+      actions.append(status, cancelButton, saveButton);
+
+      form.append(title, field('Name', name), field('Tags', tags), field('Description', description), source, actions);
+      form.addEventListener('submit', event => {
+        event.preventDefault();
+        this.save();
+      });
+      form.addEventListener('mousedown', event => event.stopPropagation());
+      form.addEventListener('keydown', event => {
+        // Keys typed in the form are not meant for Coda's dialog
+        event.stopPropagation();
+        if (event.key === 'Escape') {
+          event.preventDefault();
+          this.close(true);
+        }
+      });
+      return form;
+    }
+
+    injectStyles() {
+      upsertStyleElement(this.styleElementId, `
+        .${LIBRARY_FORM_CLASS} {
+          position: absolute;
+          top: 32px;
+          right: 4px;
+          z-index: 3;
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          width: 320px;
+          max-width: calc(100% - 8px);
+          margin: 0;
+          padding: 6px;
+          border: 1px solid rgba(128, 128, 128, 0.4);
+          border-radius: 6px;
+          background: inherit;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+          font: 12px/1.6 system-ui, sans-serif;
+        }
+        .${LIBRARY_FORM_CLASS} label {
+          display: flex;
+          flex-direction: column;
+        }
+        .${LIBRARY_FORM_CLASS} input,
+        .${LIBRARY_FORM_CLASS} textarea {
+          box-sizing: border-box;
+          width: 100%;
+          padding: 2px 6px;
+          border: 1px solid rgba(128, 128, 128, 0.4);
+          border-radius: 4px;
+          background: transparent;
+          color: inherit;
+          font: inherit;
+          resize: vertical;
+        }
+        .${LIBRARY_FORM_CLASS} > span {
+          overflow: hidden;
+          opacity: 0.6;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        .${LIBRARY_FORM_CLASS} > div {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+        }
+        .${LIBRARY_FORM_CLASS} [data-status] {
+          flex: 1;
+          color: ${UNMATCHED_BRACKET_COLOR};
+        }
+        .${LIBRARY_FORM_CLASS} button {
+          padding: 0 8px;
+          border: 1px solid rgba(128, 128, 128, 0.4);
+          border-radius: 4px;
+          background: rgba(128, 128, 128, 0.12);
+          color: inherit;
+          font: inherit;
+          cursor: pointer;
+        }
+      `);
+    }
+
+    findEntryId(name) {
+      return Object.keys(this.library).find(id => this.library[id].name === name);
+    }
+
+    updateSaveButton() {
+      const name = this.element.querySelector('[name="name"]').value.trim();
+      this.element.querySelector('[type="submit"]').textContent = this.findEntryId(name) ? 'Replace' : 'Save';
+    }
+
+    async save() {
+      const form = this.element;
+      const name = form.querySelector('[name="name"]').value.trim();
+      const status = form.querySelector('[data-status]');
+      if (!name) {
+        status.textContent = 'Give the formula a name';
+        return;
+      }
+
+      const formulaId = this.findEntryId(name) || `formula-${Date.now().toString(36)}`;
+      const success = await StorageManager.saveLibraryFormula(formulaId, {
+        name,
+        tags: parseLibraryTags(form.querySelector('[name="tags"]').value),
+        description: form.querySelector('[name="description"]').value.trim(),
+        formula: this.formula,
+        sourceUrl: this.sourceUrl,
+        savedAt: Date.now()
+      });
+      // The form may have been closed while saving
+      if (this.element !== form) return;
+
+      if (success) {
+        this.close(true);
+      } else {
+        status.textContent = 'Could not save the formula';
+      }
+    }
+
+    /**
+     * Remove the form, optionally giving the focus back to the editor
+     */
+    close(focusEditor) {
+      if (this.outsideListener) {
+        document.removeEventListener('mousedown', this.outsideListener, true);
+        this.outsideListener = null;
+      }
+      if (this.element) this.element.remove();
+      this.element = null;
+
+      if (focusEditor && this.editor) this.editor.focus();
+      this.editor = null;
+    }
+
+    /**
+     * Close the form and remove its styles
+     */
+    detach() {
+      this.close(false);
+      removeStyleElement(this.styleElementId);
+    }
+  }
+
+  /**
+   * LibraryPalette - Fuzzy search over the library, opened from the toolbar
+   * or its shortcut
+   * Single Responsibility: Picking a library formula
+   */
+  class LibraryPalette {
+    constructor() {
+      this.styleElementId = 'coda-library-palette-styles';
+      this.element = null;
+      this.editor = null;
+      this.selection = null;
+      this.entries = [];
+      this.results = [];
+      this.active = 0;
+      this.onPick = null;
+      this.outsideListener = null;
+    }
+
+    /**
+     * Show the palette over an editor; onPick(entry, selection) runs with
+     * the editor focused and its selection restored
+     */
+    async open(editor, onPick) {
+      this.close(false);
+      const container = editor.closest(FORMULA_EDITOR_SELECTOR) || editor.parentElement;
+      if (!container) return;
+
+      const selection = new EditorTextModel(editor).getSelection();
+      const library = await StorageManager.getLibrary();
+      // Another palette may have opened while the library was loading
+      this.close(false);
+
+      this.injectStyles();
+      this.editor = editor;
+      this.selection = selection;
+      this.onPick = onPick;
+      this.entries = Object.values(library);
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = this.entries.length > 0
+        ? 'Search the library (name, tags, description, formula)'
+        : 'Library empty: save a formula with Favorite first';
+      input.spellcheck = false;
+      const list = document.createElement('div');
+
+      this.element = document.createElement('div');
+      this.element.className = LIBRARY_PALETTE_CLASS;
+      this.element.append(input, list);
+      this.element.addEventListener('mousedown', event => event.stopPropagation());
+      input.addEventListener('input', () => this.filter(input.value));
+      input.addEventListener('keydown', event => this.handleKeydown(event));
+      list.addEventListener('click', event => {
+        const item = event.target.closest('[data-index]');
+        if (item) this.pick(Number(item.dataset.index));
+      });
+
+      this.outsideListener = (event) => {
+        if (this.element && !this.element.contains(event.target)) this.close(false);
+      };
+      document.addEventListener('mousedown', this.outsideListener, true);
+
+      if (window.getComputedStyle(container).position === 'static') {
+        container.style.position = 'relative';
+      }
+      container.appendChild(this.element);
+      this.filter('');
+      input.focus();
+    }
+
+    injectStyles() {
+      upsertStyleElement(this.styleElementId, `
+        .${LIBRARY_PALETTE_CLASS} {
+          position: absolute;
+          top: 32px;
+          right: 4px;
+          z-index: 3;
+          width: 340px;
+          max-width: calc(100% - 8px);
+          padding: 4px;
+          border: 1px solid rgba(128, 128, 128, 0.4);
+          border-radius: 6px;
+          background: inherit;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+          font: 12px/1.6 system-ui, sans-serif;
+        }
+        .${LIBRARY_PALETTE_CLASS} input {
+          box-sizing: border-box;
+          width: 100%;
+          padding: 2px 6px;
+          border: 1px solid rgba(128, 128, 128, 0.4);
+          border-radius: 4px;
+          background: transparent;
+          color: inherit;
+          font: inherit;
+        }
+        .${LIBRARY_PALETTE_CLASS} > div {
+          max-height: 18em;
+          margin-top: 4px;
+          overflow-y: auto;
+        }
+        .${LIBRARY_PALETTE_CLASS} [data-index] {
+          padding: 2px 6px;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+        .${LIBRARY_PALETTE_CLASS} [data-active] {
+          background: rgba(128, 128, 128, 0.2);
+        }
+        .${LIBRARY_PALETTE_CLASS} mark {
+          background: none;
+          color: inherit;
+          font-weight: 600;
+          text-decoration: underline;
+        }
+        .${LIBRARY_PALETTE_CLASS} [data-index] span {
+          margin-left: 6px;
+          opacity: 0.6;
+        }
+        .${LIBRARY_PALETTE_CLASS} code {
+          display: block;
+          overflow: hidden;
+          opacity: 0.6;
+          font: 11px/1.5 monospace;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+      `);
+    }
+
+    filter(query) {
+      this.results = searchLibrary(this.entries, query);
+      this.active = 0;
+      this.render();
+    }
+
+    /**
+     * Name with its matched characters (code point offsets) marked
+     */
+    renderName(name, indices) {
+      const marked = new Set(indices);
+      const parts = [];
+      let plain = '';
+      Array.from(name).forEach((char, index) => {
+        if (!marked.has(index)) {
+          plain += char;
+          return;
+        }
+        if (plain) parts.push(plain);
+        plain = '';
+        const mark = document.createElement('mark');
+        mark.textContent = char;
+        parts.push(mark);
+      });
+      if (plain) parts.push(plain);
+      return parts;
+    }
+
+    render() {
+      const list = this.element.lastElementChild;
+      list.replaceChildren(...this.results.map(({ entry, nameIndices }, index) => {
+        const item = document.createElement('div');
+        item.append(...this.renderName(entry.name, nameIndices));
+        if (entry.tags && entry.tags.length > 0) {
+          const tags = document.createElement('span');
+          tags.textContent = entry.tags.map(tag => `#${tag}`).join(' ');
+          item.appendChild(tags);
+        }
+        const preview = document.createElement('code');
+        preview.textContent = entry.formula.replace(/\s+/g, ' ');
+        item.appendChild(preview);
+        item.dataset.index = String(index);
+        item.title = [entry.description, entry.sourceUrl && `From ${entry.sourceUrl}`].filter(Boolean).join('\n');
+        if (index === this.active) item.dataset.active = 'true';
+        return item;
+      }));
+      const active = list.querySelector('[data-active]');
+      if (active) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    handleKeydown(event) {
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        if (this.results.length > 0) {
+          const step = event.key === 'ArrowDown' ? 1 : -1;
+          this.active = (this.active + step + this.results.length) % this.results.length;
+          this.render();
+        }
+      } else if (event.key === 'Enter') {
+        this.pick(this.active);
+      } else if (event.key === 'Escape') {
+        this.close(true);
+      } else {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+    }
+
+    pick(index) {
+      const result = this.results[index];
+      if (!result) return;
+
+      const { onPick, selection } = this;
+      this.close(true);
+      onPick(result.entry, selection);
+    }
+
+    /**
+     * Remove the palette, optionally giving the focus and selection back to the editor
+     */
+    close(focusEditor) {
+      if (this.outsideListener) {
+        document.removeEventListener('mousedown', this.outsideListener, true);
+        this.outsideListener = null;
+      }
+      if (this.element) this.element.remove();
+      this.element = null;
+
+      if (focusEditor && this.editor) {
+        this.editor.focus();
+        if (this.selection) selectEditorRange(new EditorTextModel(this.editor), this.selection.start, this.selection.end);
+      }
+      this.editor = null;
+    }
+
+    /**
+     * Close the palette and remove its styles
+     */
+    detach() {
+      this.close(false);
+      removeStyleElement(this.styleElementId);
+    }
+  }
+
+  // ========================================
+  // Function Reference
+  // ========================================
+
+  const FUNCTION_REFERENCE_FILE = 'data/formula-functions.json'; // Shipped in web_accessible_resources
+  const FUNCTION_DOCS_CLASS = 'coda-function-docs';
+  const SIGNATURE_HELP_CLASS = 'coda-signature-help';
+
+  let functionReferenceRequest = null;
+
+  /**
+   * Load the offline function dataset once per page
+   * @returns {Promise<Map<string, Object>>} Functions keyed by lowercase name (empty if the file failed)
+   */
+  function loadFunctionReference() {
+    if (!functionReferenceRequest) {
+      functionReferenceRequest = fetch(chrome.runtime.getURL(FUNCTION_REFERENCE_FILE))
+        .then(response => response.json())
+        .then(data => new Map(data.functions.map(entry => [entry.name.toLowerCase(), entry])))
+        .catch(error => {
+          console.error('[Coda Extension] Error loading the function reference:', error);
+          return new Map();
+        });
+    }
+    return functionReferenceRequest;
+  }
+
+  /**
+   * Parameter documenting an argument: past the last parameter, the
+   * repeating ones (column, value, column, value...) cycle
+   * @returns {number} Index in entry.parameters, or -1
+   */
+  function parameterIndexFor(entry, argumentIndex) {
+    const parameters = entry.parameters;
+    if (argumentIndex < parameters.length) return argumentIndex;
+
+    const first = parameters.findIndex(parameter => parameter.repeating);
+    if (first === -1) return -1;
+    const size = parameters.length - first;
+    return first + (argumentIndex - first) % size;
+  }
+
+  /**
+   * Argument of a call holding an offset, counted from the top-level
+   * commas between the opening parenthesis and the offset
+   * @param {Array<Object>} tokens - Tokens of the formula
+   * @param {Object} call - Call node
+   * @returns {{index: number, node: Object|null}|null} null outside the parentheses
+   */
+  function callArgumentAt(tokens, call, offset) {
+    const open = tokens.find(token => token.start >= call.callee.end && token.value === '(');
+    if (!open || offset < open.end || (call.closed && offset >= call.end)) return null;
+
+    let depth = 0;
+    let index = 0;
+    tokens.forEach(token => {
+      if (token.start < open.end || token.end > offset) return;
+      if (token.type === 'bracket') depth += BRACKET_PAIRS[token.value] ? 1 : -1;
+      else if (depth === 0 && token.value === ',' && token.type === 'punctuation') index++;
+    });
+    return { index, node: call.args[index] || null };
+  }
+
+  /**
+   * Name(parameter, [optional], repeating…) with one span per parameter
+   */
+  function createSignatureElement(entry, activeIndex = -1) {
+    const line = document.createElement('div');
+    line.dataset.signature = 'true';
+    const name = document.createElement('b');
+    name.textContent = entry.name;
+    line.append(name, '(');
+
+    entry.parameters.forEach((parameter, index) => {
+      if (index > 0) line.append(', ');
+      const part = document.createElement('span');
+      const label = parameter.repeating ? `${parameter.name}…` : parameter.name;
+      part.textContent = parameter.optional ? `[${label}]` : label;
+      if (index === activeIndex) part.dataset.active = 'true';
+      line.appendChild(part);
+    });
+
+    line.append(')');
+    return line;
+  }
+
+  /**
+   * Paragraph starting with a code span
+   */
+  function createCodeLine(code, text) {
+    const line = document.createElement('p');
+    const span = document.createElement('code');
+    span.textContent = code;
+    line.append(span, text);
+    return line;
+  }
+
+  /**
+   * Description, parameters and examples of a function
+   * @returns {Array<HTMLElement>} One paragraph each
+   */
+  function createFunctionDetails(entry) {
+    const description = document.createElement('p');
+    description.textContent = entry.description;
+
+    const parameters = entry.parameters.map(parameter => {
+      const line = createCodeLine(parameter.name, ` ${parameter.description}`);
+      line.dataset.parameter = parameter.name;
+      return line;
+    });
+    const examples = entry.examples.map(example => createCodeLine(example.formula, ` → ${example.result}`));
+    return [description, ...parameters, ...examples];
+  }
+
+  /**
+   * FunctionDocs - Function docs on hover and signature help while typing
+   * Single Responsibility: Offline function reference popups
+   *
+   * Both popups live in the formula editor container, positioned from the
+   * client rects of the text: the dialog is transformed, so position: fixed
+   * would not follow the viewport.
+   */
+  class FunctionDocs {
+    constructor() {
+      this.styleId = 'coda-function-docs-styles';
+      this.functions = null;
+      this.tooltip = null;
+      this.signature = null;
+      this.hoverKey = null;
+      this.signatureKey = null;
+      this.dismissedKey = null;
+      this.hoverListener = null;
+      this.hoverFrame = null;
+      this.keyListener = null;
+    }
+
+    /**
+     * Inject the popup rules for the active theme
+     */
+    applyColors(theme) {
+      upsertStyleElement(this.styleId, `
+        .${FUNCTION_DOCS_CLASS},
+        .${SIGNATURE_HELP_CLASS} {
+          position: absolute;
+          z-index: 4;
+          box-sizing: border-box;
+          max-width: min(440px, calc(100% - 8px));
+          padding: 6px 10px;
+          border: 1px solid ${theme.docPanel.border};
+          border-radius: 6px;
+          background: ${theme.docPanel.background};
+          color: ${theme.docPanel.foreground};
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+          font: 12px/1.5 system-ui, sans-serif;
+          pointer-events: none;
+        }
+        .${FUNCTION_DOCS_CLASS} p,
+        .${SIGNATURE_HELP_CLASS} p {
+          margin: 4px 0 0;
+        }
+        .${FUNCTION_DOCS_CLASS} code,
+        .${SIGNATURE_HELP_CLASS} code {
+          font-family: monospace;
+        }
+        .${FUNCTION_DOCS_CLASS} [data-signature],
+        .${SIGNATURE_HELP_CLASS} [data-signature] {
+          font-family: monospace;
+          overflow-wrap: anywhere;
+        }
+        .${FUNCTION_DOCS_CLASS} [data-signature] b,
+        .${SIGNATURE_HELP_CLASS} [data-signature] b {
+          color: ${theme.tokens.function};
+          font-weight: 600;
+        }
+        .${SIGNATURE_HELP_CLASS} [data-active] {
+          font-weight: 700;
+          text-decoration: underline;
+        }
+        .${FUNCTION_DOCS_CLASS} [data-category] {
+          float: right;
+          margin-left: 12px;
+          opacity: 0.6;
+        }
+        .${FUNCTION_DOCS_CLASS} [data-parameter] code {
+          color: ${theme.tokens.reference};
+        }
+      `);
+    }
+
+    /**
+     * Listen for the hover docs and the signature help dismissal
+     * @param {Object} config - Uses functionHoverDocs and signatureHelp
+     */
+    attach(config) {
+      this.disconnect();
+      loadFunctionReference().then(functions => {
+        this.functions = functions;
+      });
+
+      if (config.functionHoverDocs) {
+        this.hoverListener = (event) => {
+          const { target, clientX, clientY } = event;
+          if (this.hoverFrame) cancelAnimationFrame(this.hoverFrame);
+          this.hoverFrame = requestAnimationFrame(() => {
+            this.hoverFrame = null;
+            this.updateHover(target, clientX, clientY);
+          });
+        };
+        document.addEventListener('mousemove', this.hoverListener, { passive: true });
+      }
+
+      if (config.signatureHelp) {
+        // Escape closes the signature help before Coda's dialog sees it
+        this.keyListener = (event) => {
+          if (event.key !== 'Escape' || !this.signature || !this.signature.isConnected) return;
+          event.preventDefault();
+          event.stopPropagation();
+          this.dismissedKey = this.signatureKey;
+          this.hideSignature();
+        };
+        document.addEventListener('keydown', this.keyListener, true);
+      }
+    }
+
+    /**
+     * Show the docs of the function name under the pointer
+     */
+    updateHover(target, x, y) {
+      const span = this.functions && target instanceof Element ? target.closest('.kr-span') : null;
+      const editor = span && EditorTextModel.findEditors().find(candidate => candidate.contains(span));
+      if (!editor) {
+        this.hideTooltip();
+        return;
+      }
+
+      const model = new EditorTextModel(editor);
+      const segments = model.segments.filter(segment => span.contains(segment.node));
+      if (segments.length === 0) {
+        this.hideTooltip();
+        return;
+      }
+
+      const start = segments[0].start;
+      const end = segments[segments.length - 1].end;
+      let hovered = null;
+      model.getTokens().some(token => {
+        if (token.end <= start || token.start >= end) return false;
+        if (token.type !== 'function' && token.type !== 'method') return false;
+        if (!this.functions.has(token.value.toLowerCase())) return false;
+
+        const range = model.createRange(token.start, token.end);
+        const rect = range && Array.from(range.getClientRects()).find(box =>
+          x >= box.left && x <= box.right && y >= box.top && y <= box.bottom);
+        if (rect) hovered = { token, rect };
+        return !!rect;
+      });
+
+      if (!hovered) {
+        this.hideTooltip();
+        return;
+      }
+
+      const key = `${hovered.token.start}:${hovered.token.value}`;
+      if (this.tooltip && this.tooltip.isConnected && this.hoverKey === key) return;
+
+      const entry = this.functions.get(hovered.token.value.toLowerCase());
+      const signature = createSignatureElement(entry);
+      const category = document.createElement('span');
+      category.dataset.category = 'true';
+      category.textContent = entry.category;
+      signature.prepend(category);
+      const content = [signature, ...createFunctionDetails(entry)];
+
+      this.tooltip = this.showPopup(this.tooltip, FUNCTION_DOCS_CLASS, editor, content, hovered.rect, true);
+      this.hoverKey = key;
+    }
+
+    /**
+     * Show the signature of the call around the caret, with the current
+     * argument highlighted
+     */
+    updateSignature(models) {
+      if (!this.functions) return;
+
+      for (const model of models) {
+        const selection = model.getSelection();
+        if (!selection || !selection.collapsed) continue;
+
+        const call = FunctionDocs.findCall(model, selection.focus);
+        const entry = call && this.functions.get(call.name.toLowerCase());
+        if (!entry) continue;
+
+        const key = `${call.start}:${call.name}`;
+        this.signatureKey = key;
+        if (this.dismissedKey === key) {
+          this.hideSignature();
+          return;
+        }
+        this.dismissedKey = null;
+
+        const index = call.argumentName
+          ? entry.parameters.findIndex(parameter => parameter.name.toLowerCase() === call.argumentName.toLowerCase())
+          : parameterIndexFor(entry, call.argumentIndex + (call.method ? 1 : 0));
+        const content = [createSignatureElement(entry, index)];
+        if (index !== -1) {
+          const parameter = entry.parameters[index];
+          content.push(createCodeLine(parameter.name, ` ${parameter.description}`));
+        }
+
+        const range = model.createRange(selection.focus, selection.focus);
+        const rect = range && range.getBoundingClientRect();
+        if (!rect) continue;
+        this.signature = this.showPopup(this.signature, SIGNATURE_HELP_CLASS, model.editor, content, rect, false);
+        return;
+      }
+
+      this.signatureKey = null;
+      this.dismissedKey = null;
+      this.hideSignature();
+    }
+
+    /**
+     * Innermost call whose parentheses contain the caret
+     * @returns {{name: string, method: boolean, start: number, argumentIndex: number, argumentName: string|null}|null}
+     */
+    static findCall(model, caret) {
+      const tokens = model.getTokens();
+      const path = FormulaParser.pathAt(model.getAst(), caret);
+
+      for (let index = path.length - 1; index >= 0; index--) {
+        const node = path[index];
+        if (node.type !== 'Call') continue;
+
+        const argument = callArgumentAt(tokens, node, caret);
+        if (!argument) continue;
+
+        const named = argument.node && argument.node.type === 'NamedArgument' && caret > argument.node.name.end;
+        return {
+          name: node.callee.name,
+          method: !!node.object,
+          start: node.callee.start,
+          argumentIndex: argument.index,
+          argumentName: named ? argument.node.name.name : null
+        };
+      }
+      return null;
+    }
+
+    /**
+     * Fill a popup and place it below (or above) a text rect, inside the
+     * formula editor container
+     * @returns {HTMLElement|null} The popup
+     */
+    showPopup(popup, className, editor, content, rect, below) {
+      const container = editor.closest(FORMULA_EDITOR_SELECTOR) || editor.parentElement;
+      if (!container) return popup;
+
+      if (!popup) {
+        popup = document.createElement('div');
+        popup.className = className;
+        popup.setAttribute('role', 'tooltip');
+      }
+      popup.replaceChildren(...content);
+      if (popup.parentElement !== container) {
+        if (window.getComputedStyle(container).position === 'static') {
+          container.style.position = 'relative';
+        }
+        container.appendChild(popup);
+      }
+
+      const bounds = container.getBoundingClientRect();
+      const left = Math.max(0, Math.min(rect.left - bounds.left, bounds.width - popup.offsetWidth));
+      let top = below ? rect.bottom - bounds.top + 4 : rect.top - bounds.top - popup.offsetHeight - 4;
+      // Flip when the preferred side leaves the container
+      if (below && top + popup.offsetHeight > bounds.height && rect.top - bounds.top - popup.offsetHeight - 4 >= 0) {
+        top = rect.top - bounds.top - popup.offsetHeight - 4;
+      } else if (!below && top < 0) {
+        top = rect.bottom - bounds.top + 4;
+      }
+      popup.style.left = `${left}px`;
+      popup.style.top = `${top}px`;
+      return popup;
+    }
+
+    hideTooltip() {
+      if (this.tooltip) this.tooltip.remove();
+      this.hoverKey = null;
+    }
+
+    hideSignature() {
+      if (this.signature) this.signature.remove();
+    }
+
+    /**
+     * Remove the listeners and hide both popups
+     */
+    disconnect() {
+      if (this.hoverListener) {
+        document.removeEventListener('mousemove', this.hoverListener);
+        this.hoverListener = null;
+      }
+      if (this.hoverFrame) {
+        cancelAnimationFrame(this.hoverFrame);
+        this.hoverFrame = null;
+      }
+      if (this.keyListener) {
+        document.removeEventListener('keydown', this.keyListener, true);
+        this.keyListener = null;
+      }
+      this.hideTooltip();
+      this.hideSignature();
+      this.signatureKey = null;
+      this.dismissedKey = null;
+    }
+
+    /**
+     * Disconnect and remove the styles
+     */
+    clear() {
+      this.disconnect();
+      removeStyleElement(this.styleId);
+    }
+  }
+
+  // ========================================
+  // Function Reference Pane
+  // ========================================
+
+  const REFERENCE_PANE_CLASS = 'coda-reference-pane';
+
+  // Weight of each searched field, for ranking
+  const REFERENCE_SEARCH_FIELDS = { name: 4, category: 2, description: 2, parameters: 1, examples: 1 };
+
+  /**
+   * Full-text search: every word of the query must appear in one of the
+   * fields of a function; names starting with a word rank first
+   * @returns {Array<Object>} Matching functions, best first
+   */
+  function searchFunctions(entries, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return entries.slice();
+
+    return entries.map(entry => {
+      const fields = {
+        name: entry.name.toLowerCase(),
+        category: entry.category.toLowerCase(),
+        description: entry.description.toLowerCase(),
+        parameters: entry.parameters.map(parameter => `${parameter.name} ${parameter.description}`).join(' ').toLowerCase(),
+        examples: entry.examples.map(example => example.formula).join(' ').toLowerCase()
+      };
+
+      let score = 0;
+      for (const term of terms) {
+        const weights = Object.keys(fields).filter(field => fields[field].includes(term))
+          .map(field => REFERENCE_SEARCH_FIELDS[field]);
+        if (weights.length === 0) return null;
+        score += Math.max(...weights) + (fields.name.startsWith(term) ? 2 : 0);
+      }
+      return { entry, score };
+    }).filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name))
+      .map(result => result.entry);
+  }
+
+  /**
+   * ReferencePane - Searchable function reference in the documentation slot
+   * Single Responsibility: Browse the offline function catalogue and insert calls
+   *
+   * One pane per dialog, placed by LayoutManager; favorites are stored
+   * apart from the config so pinning one does not re-process the dialogs.
+   */
+  class ReferencePane {
+    constructor(formulaDiv) {
+      this.formulaDiv = formulaDiv;
+      this.styleElementId = 'coda-reference-pane-styles';
+      this.element = null;
+      this.search = null;
+      this.category = null;
+      this.list = null;
+      this.functions = [];
+      this.favorites = [];
+      this.expanded = null;
+      this.selection = null;
+    }
+
+    /**
+     * Build the pane; the catalogue and favorites fill it once loaded
+     * @param {Object} theme - Active editor theme
+     * @param {{family: string, size: number}} font - Editor font
+     * @returns {HTMLElement}
+     */
+    create(theme, font) {
+      this.injectStyles(theme, font);
+
+      this.search = document.createElement('input');
+      this.search.type = 'search';
+      this.search.placeholder = 'Search functions';
+      this.search.spellcheck = false;
+      this.category = document.createElement('select');
+      this.category.title = 'Category';
+      this.list = document.createElement('div');
+      this.list.textContent = 'Loading…';
+
+      const header = document.createElement('div');
+      header.append(this.search, this.category);
+      this.element = document.createElement('div');
+      this.element.className = REFERENCE_PANE_CLASS;
+      this.element.append(header, this.list);
+
+      this.search.addEventListener('input', () => this.render());
+      this.category.addEventListener('change', () => this.render());
+      // Keys typed in the pane are not meant for Coda's dialog
+      this.element.addEventListener('keydown', event => event.stopPropagation());
+      this.element.addEventListener('mousedown', event => this.handleMousedown(event), true);
+      this.list.addEventListener('click', event => this.handleClick(event));
+
+      Promise.all([loadFunctionReference(), StorageManager.getReferenceFavorites()]).then(([functions, favorites]) => {
+        this.functions = Array.from(functions.values());
+        this.favorites = favorites;
+        this.renderCategories();
+        this.render();
+      });
+      return this.element;
+    }
+
+    injectStyles(theme, font) {
+      upsertStyleElement(this.styleElementId, `
+        .${REFERENCE_PANE_CLASS} {
+          display: flex;
+          flex-direction: column;
+          box-sizing: border-box;
+          min-width: 0;
+          min-height: 0;
+          overflow: hidden;
+          background: ${theme.background};
+          color: ${theme.foreground};
+          font: ${font.size}px/1.5 system-ui, sans-serif;
+        }
+        .${REFERENCE_PANE_CLASS} > div:first-child {
+          display: flex;
+          gap: 4px;
+          padding: 6px;
+          border-bottom: 1px solid ${theme.docPanel.border};
+        }
+        .${REFERENCE_PANE_CLASS} input,
+        .${REFERENCE_PANE_CLASS} select {
+          min-width: 0;
+          padding: 2px 6px;
+          border: 1px solid ${theme.docPanel.border};
+          border-radius: 4px;
+          background: transparent;
+          color: inherit;
+          font: inherit;
+        }
+        .${REFERENCE_PANE_CLASS} input {
+          flex: 1;
+        }
+        .${REFERENCE_PANE_CLASS} select option {
+          background: ${theme.background};
+        }
+        .${REFERENCE_PANE_CLASS} > div:last-child {
+          flex: 1;
+          overflow-y: auto;
+          padding: 4px 6px;
+        }
+        .${REFERENCE_PANE_CLASS} [data-name] {
+          padding: 4px 6px;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+        .${REFERENCE_PANE_CLASS} [data-name]:hover,
+        .${REFERENCE_PANE_CLASS} [data-name][data-expanded] {
+          background: ${theme.currentLine};
+        }
+        .${REFERENCE_PANE_CLASS} [data-signature],
+        .${REFERENCE_PANE_CLASS} code {
+          font-family: ${font.family};
+          overflow-wrap: anywhere;
+        }
+        .${REFERENCE_PANE_CLASS} [data-signature] {
+          display: inline;
+        }
+        .${REFERENCE_PANE_CLASS} [data-signature] b {
+          color: ${theme.tokens.function};
+          font-weight: 600;
+        }
+        .${REFERENCE_PANE_CLASS} [data-signature]:hover {
+          text-decoration: underline;
+        }
+        .${REFERENCE_PANE_CLASS} [data-parameter] code {
+          color: ${theme.tokens.reference};
+        }
+        .${REFERENCE_PANE_CLASS} p {
+          margin: 2px 0 0;
+        }
+        .${REFERENCE_PANE_CLASS} button {
+          margin-right: 4px;
+          padding: 0;
+          border: none;
+          background: none;
+          color: inherit;
+          font: inherit;
+          opacity: 0.4;
+          cursor: pointer;
+        }
+        .${REFERENCE_PANE_CLASS} button[aria-pressed="true"],
+        .${REFERENCE_PANE_CLASS} button:hover {
+          opacity: 1;
+        }
+        .${REFERENCE_PANE_CLASS} [data-empty] {
+          padding: 4px 6px;
+          opacity: 0.6;
+        }
+      `);
+    }
+
+    /**
+     * All functions, favorites, then the categories in catalogue order
+     */
+    renderCategories() {
+      const categories = Array.from(new Set(this.functions.map(entry => entry.category)));
+      const options = [['', 'All functions'], ['favorites', 'Favorites']]
+        .concat(categories.map(category => [category, category]));
+      this.category.replaceChildren(...options.map(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+      }));
+    }
+
+    /**
+     * List the functions of the category matching the search; without a
+     * search, favorites are pinned to the top
+     */
+    render() {
+      const category = this.category.value;
+      const query = this.search.value.trim();
+      let entries = this.functions.filter(entry => {
+        if (category === 'favorites') return this.favorites.includes(entry.name);
+        return !category || entry.category === category;
+      });
+
+      if (query) {
+        entries = searchFunctions(entries, query);
+      } else {
+        entries.sort((a, b) => Number(this.favorites.includes(b.name)) - Number(this.favorites.includes(a.name)) ||
+          a.name.localeCompare(b.name));
+      }
+
+      if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.dataset.empty = 'true';
+        empty.textContent = category === 'favorites' && !query
+          ? 'No favorites yet: pin a function with ☆'
+          : 'No function found';
+        this.list.replaceChildren(empty);
+        return;
+      }
+      this.list.replaceChildren(...entries.map(entry => this.renderItem(entry)));
+    }
+
+    renderItem(entry) {
+      const item = document.createElement('div');
+      item.dataset.name = entry.name;
+
+      const favorite = this.favorites.includes(entry.name);
+      const pin = document.createElement('button');
+      pin.type = 'button';
+      pin.dataset.action = 'favorite';
+      pin.textContent = favorite ? '★' : '☆';
+      pin.title = favorite ? 'Unpin' : 'Pin to favorites';
+      pin.setAttribute('aria-pressed', String(favorite));
+
+      const signature = createSignatureElement(entry);
+      signature.dataset.action = 'insert';
+      signature.title = 'Insert at the caret';
+      item.append(pin, signature);
+
+      if (this.expanded === entry.name) {
+        item.dataset.expanded = 'true';
+        item.append(...createFunctionDetails(entry));
+      } else {
+        const description = document.createElement('p');
+        description.textContent = entry.description;
+        item.appendChild(description);
+      }
+      return item;
+    }
+
+    /**
+     * Remember the editor selection before the pane takes the focus;
+     * clicks outside the inputs leave the focus in the editor
+     */
+    handleMousedown(event) {
+      const editor = EditorTextModel.findEditors(this.formulaDiv)[0];
+      const selection = editor && new EditorTextModel(editor).getSelection();
+      if (selection) this.selection = selection;
+      if (!event.target.closest('input, select')) event.preventDefault();
+    }
+
+    handleClick(event) {
+      const item = event.target.closest('[data-name]');
+      if (!item) return;
+
+      const entry = this.functions.find(candidate => candidate.name === item.dataset.name);
+      const action = event.target.closest('[data-action]');
+      if (action && action.dataset.action === 'favorite') {
+        this.toggleFavorite(entry.name);
+      } else if (action && action.dataset.action === 'insert') {
+        this.insert(entry);
+      } else {
+        this.expanded = this.expanded === entry.name ? null : entry.name;
+        this.render();
+      }
+    }
+
+    async toggleFavorite(name) {
+      this.favorites = this.favorites.includes(name)
+        ? this.favorites.filter(favorite => favorite !== name)
+        : this.favorites.concat(name);
+      this.render();
+      await StorageManager.saveReferenceFavorites(this.favorites);
+    }
+
+    /**
+     * Insert Name() at the editor caret, the caret between the parentheses
+     */
+    insert(entry) {
+      const editor = EditorTextModel.findEditors(this.formulaDiv)[0];
+      if (!editor) return;
+
+      const model = new EditorTextModel(editor);
+      const selection = model.getSelection() || this.selection;
+      const start = selection ? Math.min(selection.start, model.text.length) : model.text.length;
+      const end = selection ? Math.min(selection.end, model.text.length) : start;
+      const caret = start + entry.name.length + (entry.parameters.length > 0 ? 1 : 2);
+      replaceEditorText(model, start, end, `${entry.name}()`, { start: caret, end: caret });
+    }
+  }
+
+  // ========================================
+  // Breadcrumbs
+  // ========================================
+
+  const BREADCRUMB_BAR_CLASS = 'coda-breadcrumbs';
+
+  /**
+   * BreadcrumbBar - Chain of the calls enclosing the caret
+   * Single Responsibility: Breadcrumb strip above each formula editor
+   *
+   * The strip stays in place (empty outside any call) while enabled, so
+   * the editor below does not move and the gutters stay aligned.
+   */
+  class BreadcrumbBar {
+    constructor() {
+      this.styleId = 'coda-breadcrumbs-styles';
+    }
+
+    /**
+     * Crumbs at an offset, outermost first: one per enclosing call, then
+     * the argument holding the offset (numbered like the parameters, so a
+     * method call counts its object as argument 1)
+     * @returns {Array<{label: string, start: number, end: number, call: boolean}>}
+     */
+    static crumbsAt(model, offset) {
+      const tokens = model.getTokens();
+      const calls = FormulaParser.pathAt(model.getAst(), offset)
+        .filter(node => node.type === 'Call' && !(node.closed && offset >= node.end));
+      const crumbs = calls.map(node => ({ label: node.callee.name, start: node.start, end: node.end, call: true }));
+
+      const innermost = calls[calls.length - 1];
+      const argument = innermost && callArgumentAt(tokens, innermost, offset);
+      if (argument) {
+        const node = argument.node;
+        const label = node && node.type === 'NamedArgument'
+          ? `${node.name.name}:`
+          : `arg ${argument.index + 1 + (innermost.object ? 1 : 0)}`;
+        crumbs.push({ label, start: node ? node.start : offset, end: node ? node.end : offset, call: false });
+      }
+      return crumbs;
+    }
+
+    /**
+     * Inject the strip rules for the active theme and editor font
+     */
+    applyColors(theme, fontFamily) {
+      upsertStyleElement(this.styleId, `
+        .${BREADCRUMB_BAR_CLASS} {
+          box-sizing: border-box;
+          min-height: 28px;
+          padding: 4px 8px;
+          overflow: hidden;
+          border-bottom: 1px solid ${theme.docPanel.border};
+          font: 12px/20px ${fontFamily};
+          white-space: nowrap;
+          text-overflow: ellipsis;
+        }
+        .${BREADCRUMB_BAR_CLASS} button {
+          padding: 0 2px;
+          border: none;
+          border-radius: 3px;
+          background: none;
+          color: inherit;
+          font: inherit;
+          cursor: pointer;
+        }
+        .${BREADCRUMB_BAR_CLASS} button[data-call] {
+          color: ${theme.tokens.function};
+        }
+        .${BREADCRUMB_BAR_CLASS} button:hover {
+          background: rgba(128, 128, 128, 0.2);
+        }
+        .${BREADCRUMB_BAR_CLASS} span {
+          margin: 0 4px;
+          opacity: 0.5;
+        }
+      `);
+    }
+
+    /**
+     * Make sure every editor has its strip, and fill the strip of the
+     * editor holding the selection
+     */
+    update(models) {
+      models.forEach(model => {
+        const bar = this.ensureBar(model.editor);
+        if (!bar) return;
+
+        const selection = model.getSelection();
+        const crumbs = selection ? BreadcrumbBar.crumbsAt(model, selection.start) : [];
+        const key = crumbs.map(crumb => `${crumb.label}@${crumb.start}-${crumb.end}`).join('|');
+        if (bar.dataset.crumbs === key) return;
+
+        bar.dataset.crumbs = key;
+        bar.replaceChildren(...crumbs.flatMap((crumb, index) => {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.textContent = crumb.label;
+          button.title = crumb.call ? `Select the ${crumb.label} call` : 'Select the argument';
+          button.dataset.start = String(crumb.start);
+          button.dataset.end = String(crumb.end);
+          if (crumb.call) button.dataset.call = 'true';
+          if (index === 0) return [button];
+
+          const separator = document.createElement('span');
+          separator.textContent = '›';
+          return [separator, button];
+        }));
+      });
+    }
+
+    /**
+     * Find or create the strip at the top of an editor's formula container
+     */
+    ensureBar(editor) {
+      const container = editor.closest(FORMULA_EDITOR_SELECTOR) || editor.parentElement;
+      if (!container) return null;
+
+      let bar = container.querySelector(`:scope > .${BREADCRUMB_BAR_CLASS}`);
+      if (!bar) {
+        bar = document.createElement('div');
+        bar.className = BREADCRUMB_BAR_CLASS;
+        // Keep the caret in the editor
+        bar.addEventListener('mousedown', event => event.preventDefault());
+        bar.addEventListener('click', event => this.selectCrumb(editor, event));
+        container.prepend(bar);
+      }
+      return bar;
+    }
+
+    /**
+     * Select the sub-expression of the clicked crumb
+     */
+    selectCrumb(editor, event) {
+      const crumb = event.target.closest('[data-start]');
+      if (!crumb) return;
+
+      editor.focus();
+      selectEditorRange(new EditorTextModel(editor), Number(crumb.dataset.start), Number(crumb.dataset.end));
+    }
+
+    /**
+     * Remove the strips and styles
+     */
+    clear() {
+      document.querySelectorAll(`.${BREADCRUMB_BAR_CLASS}`).forEach(bar => bar.remove());
+      removeStyleElement(this.styleId);
+    }
+  }
+
   // ========================================
   // Style Management
   // ========================================
@@ -165,7 +6342,21 @@
       };
       this.styleElementId = 'coda-formula-editor-styles';
       this.indentGuideId = 'coda-indent-guides-styles';
-      this.indentObserver = null;
+      this.themeStyleId = 'coda-formula-theme-styles';
+      this.indentMetrics = { char: '0.6em', unit: '1.2em' };
+      this.indentGuideDepth = 0;
+      this.editorObserver = null;
+      this.selectionListener = null;
+      this.refreshFrame = null;
+      this.selectionFrame = null;
+      this.syntaxHighlighter = new SyntaxHighlighter();
+      this.bracketHighlighter = new BracketHighlighter();
+      this.formulaLinter = new FormulaLinter();
+      this.lineNumberGutter = new LineNumberGutter();
+      this.codeFolder = new CodeFolder();
+      this.functionDocs = new FunctionDocs();
+      this.breadcrumbBar = new BreadcrumbBar();
+      this.fontLoader = new FontLoader();
     }
 
     /**
@@ -179,6 +6370,16 @@
       this.applyToEditorElements(formulaDiv, config);
       this.applyTheme(formulaDiv, config);
       this.applyIndentGuides(config);
+      this.applySyntaxHighlighting(config);
+      this.applyBracketColorization(config);
+      this.applyLinting(config);
+      // The strip shifts the editor down: add it before the gutters measure it
+      this.toggleBreadcrumbs(formulaDiv, config);
+      this.startEditorObserver(config);
+      // Restarting the observer disconnects the gutters and popups: attach them afterwards
+      this.toggleCodeFolding(formulaDiv, config);
+      this.toggleLineNumbers(formulaDiv, config);
+      this.applyFunctionDocs(config);
     }
 
     /**
@@ -190,17 +6391,23 @@
         existingStyle.remove();
       }
 
+      this.fontLoader.load(config.editorFontFamily);
+
       const styleEl = document.createElement('style');
       styleEl.id = this.styleElementId;
 
-      const fontFamily = this.fontMap[config.editorFontFamily] || 'monospace';
+      const fontFamily = this.getFontFamily(config);
       const fontSize = config.editorFontSize || 14;
       const lineHeight = config.editorLineHeight || 1.5;
+      const fontWeight = config.editorFontWeight || 400;
+      const letterSpacing = config.editorLetterSpacing || 0;
+      const ligatures = config.editorLigatures !== false;
 
       styleEl.textContent = `
         /* Coda Formula Editor Customization */
+        /* Editor text only: the extension's panels in the container keep their own fonts */
         [data-coda-ui-id="formula-editor"],
-        [data-coda-ui-id="formula-editor"] *,
+        [data-coda-ui-id="formula-editor"] .kr-slate-editor *,
         [data-coda-ui-id="formula-editor"] .kr-slate-editor,
         [data-coda-ui-id="formula-editor"] .kr-line,
         [data-coda-ui-id="formula-editor"] .kr-span,
@@ -210,6 +6417,10 @@
           font-family: ${fontFamily} !important;
           font-size: ${fontSize}px !important;
           line-height: ${lineHeight} !important;
+          font-weight: ${fontWeight} !important;
+          letter-spacing: ${letterSpacing}px !important;
+          font-variant-ligatures: ${ligatures ? 'normal' : 'none'} !important;
+          font-feature-settings: ${ligatures ? 'normal' : '"liga" 0, "calt" 0'} !important;
         }
 
         /* Ensure Coda objects inside editor don't break */
@@ -223,11 +6434,22 @@
       document.head.appendChild(styleEl);
     }
 
+    /**
+     * Resolve the CSS font stack (a custom stack always ends with a generic fallback)
+     */
+    getFontFamily(config) {
+      if (config.editorFontFamily === 'custom' && isValidFontStack(config.customFontFamily)) {
+        const stack = config.customFontFamily.trim().replace(/,\s*$/, '');
+        return /(^|,)\s*(monospace|serif|sans-serif)\s*$/.test(stack) ? stack : `${stack}, monospace`;
+      }
+      return this.fontMap[config.editorFontFamily] || 'monospace';
+    }
+
     /**
      * Apply inline styles to formula div
      */
     applyInlineStyles(formulaDiv, config) {
-      const fontFamily = this.fontMap[config.editorFontFamily] || 'monospace';
+      const fontFamily = this.getFontFamily(config);
 
       if (config.editorFontSize) {
         formulaDiv.style.setProperty('font-size', `${config.editorFontSize}px`, 'important');
@@ -246,7 +6468,7 @@
      * Apply styles to all editor elements (Monaco/Slate)
      */
     applyToEditorElements(formulaDiv, config) {
-      const fontFamily = this.fontMap[config.editorFontFamily] || 'monospace';
+      const fontFamily = this.getFontFamily(config);
       const editorSelectors = [
         '.monaco-editor', '.view-lines', '.view-line', '.mtk1',
         '.monaco-editor .view-line span', '.monaco-editor-background',
@@ -271,30 +6493,108 @@
       });
     }
 
+    /**
+     * Get the active theme definition from the registry
+     */
+    getTheme(config) {
+      return new ThemeRegistry(config.customThemes).get(config.editorTheme);
+    }
+
+    /**
+     * Get the indent guide colors: the selected palette, or the theme's own
+     */
+    getGuidePalette(config) {
+      const registry = new ThemeRegistry(config.customThemes, config.customPalettes);
+      return registry.getPalette(config.indentGuidePalette) || registry.get(config.editorTheme).indentGuides;
+    }
+
     /**
      * Apply theme (background and text colors)
      */
     applyTheme(formulaDiv, config) {
-      const themes = {
-        light: { bg: '#ffffff', color: '#000000' },
-        dark: { bg: '#1e1e1e', color: '#d4d4d4' },
-        sepia: { bg: '#f4ecd8', color: '#5b4636' },
-        'high-contrast': { bg: '#000000', color: '#ffffff' }, // High contrast: black & white
-        protanopia: { bg: '#f5f5f0', color: '#005a9c' }, // Red-green colorblind (uses blue)
-        deuteranopia: { bg: '#f0f0f5', color: '#8b4513' }, // Red-green colorblind (uses brown/blue)
-        tritanopia: { bg: '#fff5f0', color: '#c41e3a' } // Blue-yellow colorblind (uses red)
-      };
+      const theme = this.getTheme(config);
 
-      const theme = themes[config.editorTheme] || themes.light;
-
-      formulaDiv.style.setProperty('background-color', theme.bg, 'important');
-      formulaDiv.style.setProperty('color', theme.color, 'important');
+      formulaDiv.style.setProperty('background-color', theme.background, 'important');
+      formulaDiv.style.setProperty('color', theme.foreground, 'important');
 
       // Apply to Monaco editor background
       const monacoBackground = formulaDiv.querySelector('.monaco-editor-background');
       if (monacoBackground) {
-        monacoBackground.style.setProperty('background-color', theme.bg, 'important');
+        monacoBackground.style.setProperty('background-color', theme.background, 'important');
+      }
+
+      upsertStyleElement(this.themeStyleId, `
+        ${FORMULA_EDITOR_SELECTOR} ::selection {
+          background-color: ${theme.selection} !important;
+        }
+
+        ${FORMULA_EDITOR_SELECTOR} [data-coda-current-line] {
+          background-color: ${theme.currentLine} !important;
+        }
+      `);
+    }
+
+    /**
+     * Mark the line containing the caret so the theme can color it
+     */
+    updateCurrentLine(models) {
+      document.querySelectorAll(`${FORMULA_EDITOR_SELECTOR} [data-coda-current-line]`).forEach(line => {
+        line.removeAttribute('data-coda-current-line');
+      });
+
+      models.forEach(model => {
+        const selection = model.getSelection();
+        if (!selection) return;
+
+        const line = model.lines[model.lineIndexAt(selection.focus)];
+        if (line && line.element !== model.editor) {
+          line.element.setAttribute('data-coda-current-line', 'true');
+        }
+      });
+    }
+
+    /**
+     * Show or hide the fold markers (unfolding everything when disabled);
+     * runs before the line numbers, which skip folded lines
+     */
+    toggleCodeFolding(formulaDiv, config) {
+      if (!config.codeFolding) {
+        this.codeFolder.clear();
+        return;
+      }
+
+      const models = EditorTextModel.findEditors(formulaDiv).map(editor => new EditorTextModel(editor));
+      this.codeFolder.applyColors(this.getTheme(config));
+      this.codeFolder.render(models);
+    }
+
+    /**
+     * Show or hide the line number gutter
+     */
+    toggleLineNumbers(formulaDiv, config) {
+      if (!config.showLineNumbers) {
+        this.lineNumberGutter.clear();
+        return;
+      }
+
+      const models = EditorTextModel.findEditors(formulaDiv).map(editor => new EditorTextModel(editor));
+      this.lineNumberGutter.applyColors(this.getTheme(config));
+      this.lineNumberGutter.render(models);
+      this.lineNumberGutter.markCurrentLine(models);
+    }
+
+    /**
+     * Show or hide the breadcrumb strip above the editors
+     */
+    toggleBreadcrumbs(formulaDiv, config) {
+      if (!config.showBreadcrumbs) {
+        this.breadcrumbBar.clear();
+        return;
       }
+
+      const models = EditorTextModel.findEditors(formulaDiv).map(editor => new EditorTextModel(editor));
+      this.breadcrumbBar.applyColors(this.getTheme(config), this.getFontFamily(config));
+      this.breadcrumbBar.update(models);
     }
 
     /**
@@ -307,28 +6607,39 @@
         if (existingStyle) {
           existingStyle.remove();
         }
-        // Stop observing
-        this.stopIndentObserver();
         // Remove data attributes
-        const lines = document.querySelectorAll('[data-indent-level], [data-indent-guides]');
+        const lines = document.querySelectorAll('[data-indent-level], [data-indent-guides], [data-coda-active-indent]');
         lines.forEach(line => {
           line.removeAttribute('data-indent-level');
           line.removeAttribute('data-indent-guides');
+          line.removeAttribute('data-coda-active-indent');
         });
         return;
       }
 
-      // Pastel rainbow colors for indent levels (darker versions)
-      const pastelColors = [
-        'rgba(255, 120, 130, 0.8)', // Darker pastel red
-        'rgba(255, 180, 120, 0.8)', // Darker pastel orange
-        'rgba(240, 220, 100, 0.8)', // Darker pastel yellow
-        'rgba(120, 220, 150, 0.8)', // Darker pastel green
-        'rgba(120, 180, 255, 0.8)', // Darker pastel blue
-        'rgba(200, 140, 210, 0.8)', // Darker pastel purple
-        'rgba(255, 150, 190, 0.8)', // Darker pastel pink
-        'rgba(180, 130, 130, 0.8)'  // Darker pastel brown
-      ];
+      this.indentMetrics = this.measureIndentUnit(config);
+      const depth = this.updateIndentLevels(config);
+      this.renderIndentGuides(config, depth);
+      this.updateActiveIndent(config.highlightActiveIndent ? this.createEditorModels() : [], config);
+
+      // Web fonts change the character width once loaded: measure again
+      if (document.fonts && document.fonts.status === 'loading') {
+        document.fonts.ready.then(() => {
+          if (!this.editorObserver) return;
+          this.indentMetrics = this.measureIndentUnit(config);
+          this.renderIndentGuides(config, this.indentGuideDepth);
+        });
+      }
+    }
+
+    /**
+     * Build the guide CSS for every indent level up to depth
+     * (at least one palette cycle; colors repeat beyond it)
+     */
+    renderIndentGuides(config, depth) {
+      const pastelColors = this.getGuidePalette(config);
+      const guideWidth = config.indentGuideWidth || 1;
+      this.indentGuideDepth = Math.max(depth, pastelColors.length);
 
       // Map style option to CSS border-style
       const styleMap = {
@@ -359,35 +6670,43 @@
         }
       `;
 
-      // Generate CSS for each indent level (up to 8 levels)
-      for (let i = 0; i < pastelColors.length; i++) {
-        const color = pastelColors[i];
+      // Generate CSS for each indent level
+      for (let i = 0; i < this.indentGuideDepth; i++) {
+        const color = pastelColors[i % pastelColors.length];
         const indentLevel = i + 1;
 
-        // Create visual guides for each indent level
-        // Each indent level is 2 spaces, and each character is roughly 0.6em in monospace
+        // Create visual guides for each indent level, one per enclosing level
         const guides = [];
-        const offset = -0.4; // Offset to shift guides 4px to the left (roughly -0.24em)
         for (let j = 1; j <= indentLevel; j++) {
-          const position = (j * 2 - 1) * 0.6 + offset; // Position at 1st, 3rd, 5th space etc, shifted left
-          guides.push(`linear-gradient(to right, transparent ${position}em, ${pastelColors[j-1]} ${position}em, ${pastelColors[j-1]} calc(${position}em + 1px), transparent calc(${position}em + 1px))`);
+          const guideColor = pastelColors[(j - 1) % pastelColors.length];
+          const position = this.getGuidePosition(j);
+          guides.push(`linear-gradient(to right, transparent ${position}, ${guideColor} ${position}, ${guideColor} calc(${position} + ${guideWidth}px), transparent calc(${position} + ${guideWidth}px))`);
         }
 
         css += `
-        /* Indent level ${indentLevel} (${indentLevel * 2} spaces) */
+        /* Indent level ${indentLevel} */
         .kr-slate-editor .kr-line[data-indent-level="${indentLevel}"]::before,
         .kr-slate-editor .kr-paragraph[data-indent-level="${indentLevel}"]::before {
           background-image: ${guides.join(', ')};
           width: 100%;
-          opacity: ${config.highlightActiveIndent ? '0.7' : '0.5'};
+          opacity: ${config.indentGuideOpacity || 0.7};
         }
         `;
 
         if (config.highlightActiveIndent) {
+          // Guide of the block containing the caret, drawn over the regular one
           css += `
-        .kr-slate-editor .kr-line[data-indent-level="${indentLevel}"]:hover::before,
-        .kr-slate-editor .kr-paragraph[data-indent-level="${indentLevel}"]:hover::before {
-          opacity: 1;
+        .kr-slate-editor .kr-line[data-coda-active-indent="${indentLevel}"]::after,
+        .kr-slate-editor .kr-paragraph[data-coda-active-indent="${indentLevel}"]::after {
+          content: '';
+          position: absolute;
+          top: 0;
+          bottom: 0;
+          left: calc(${this.getGuidePosition(indentLevel)} - 0.5px);
+          width: ${guideWidth + 1}px;
+          background-color: ${color};
+          pointer-events: none;
+          z-index: 0;
         }
         `;
         }
@@ -401,19 +6720,159 @@
         document.head.appendChild(styleElement);
       }
       styleElement.textContent = css;
+    }
+
+    /**
+     * CSS offset of the guide for an indent level: second character
+     * of the level, shifted left so it sits between the characters
+     */
+    getGuidePosition(level) {
+      const { unit, char } = this.indentMetrics;
+      return `calc(${level - 1} * ${unit} + ${char} - 0.4em)`;
+    }
+
+    /**
+     * Measure the width of a character and of one indent unit in the editor font
+     * @returns {{unit: string, char: string}} CSS lengths (em estimates when nothing can be measured)
+     */
+    measureIndentUnit(config) {
+      const unitText = getIndentUnitText(config.indentUnit);
+      const fallback = { char: '0.6em', unit: `${(unitText === '\t' ? 8 : unitText.length) * 0.6}em` };
+
+      const sample = document.querySelector(`${FORMULA_EDITOR_SELECTOR} .kr-slate-editor`);
+      if (!sample || !document.body) return fallback;
+
+      // Probe outside Slate with the editor's font metrics
+      const style = window.getComputedStyle(sample.querySelector(EDITOR_LINE_SELECTOR) || sample);
+      const probe = document.createElement('span');
+      probe.setAttribute('aria-hidden', 'true');
+      ['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'tabSize'].forEach(prop => {
+        probe.style[prop] = style[prop];
+      });
+      probe.style.position = 'absolute';
+      probe.style.visibility = 'hidden';
+      probe.style.whiteSpace = 'pre';
+      document.body.appendChild(probe);
+
+      const measure = (text) => {
+        probe.textContent = text.repeat(10);
+        return probe.getBoundingClientRect().width / 10;
+      };
+      const charWidth = measure(' ');
+      const unitWidth = measure(unitText);
+      probe.remove();
+
+      if (!charWidth || !unitWidth) return fallback;
+      return { char: `${charWidth}px`, unit: `${unitWidth}px` };
+    }
+
+    /**
+     * Mark the lines of the multi-line bracket block around the caret
+     * with the level of the guide that belongs to that block
+     */
+    updateActiveIndent(models, config) {
+      document.querySelectorAll(`${FORMULA_EDITOR_SELECTOR} [data-coda-active-indent]`).forEach(line => {
+        line.removeAttribute('data-coda-active-indent');
+      });
+
+      models.forEach(model => {
+        const selection = model.getSelection();
+        if (!selection) return;
+
+        // Single-line pairs have no guide: climb to the first block spanning lines
+        const pair = BracketHighlighter.findEnclosingPair(
+          BracketHighlighter.analyze(model.getTokens()).pairs,
+          selection.focus,
+          candidate => model.lineIndexAt(candidate.open.start) !== model.lineIndexAt(candidate.close.start)
+        );
+        if (!pair) return;
+
+        const openLine = model.lineIndexAt(pair.open.start);
+        const closeLine = model.lineIndexAt(pair.close.start);
+        const level = this.getIndentLevel(model, openLine, config) + 1;
+
+        for (let index = openLine + 1; index <= closeLine; index++) {
+          const line = model.lines[index];
+          if (line.element === model.editor || this.getIndentLevel(model, index, config) < level) continue;
+          line.element.setAttribute('data-coda-active-indent', level);
+        }
+      });
+    }
+
+    /**
+     * Indent level of a model line
+     */
+    getIndentLevel(model, lineIndex, config) {
+      const line = model.lines[lineIndex];
+      return countIndentLevels(model.text.slice(line.start, line.end), config.indentUnit);
+    }
+
+    /**
+     * Apply token colors of the active theme
+     */
+    applySyntaxHighlighting(config) {
+      if (!config.syntaxHighlighting || !supportsHighlights()) {
+        this.syntaxHighlighter.clear();
+        return;
+      }
 
-      // Add dynamic indent level detection
-      this.updateIndentLevels();
+      this.syntaxHighlighter.applyColors(this.getTheme(config).tokens);
+      this.syntaxHighlighter.highlight(this.createEditorModels());
+    }
+
+    /**
+     * Apply bracket pair colors and matching-bracket highlight
+     */
+    applyBracketColorization(config) {
+      if (!config.bracketPairColorization || !supportsHighlights()) {
+        this.bracketHighlighter.clear();
+        return;
+      }
+
+      this.bracketHighlighter.applyColors(this.getGuidePalette(config));
+      this.bracketHighlighter.highlight(this.createEditorModels());
+    }
+
+    /**
+     * Lint the formulas (squiggles and problems list)
+     */
+    applyLinting(config) {
+      if (!config.lintFormulas) {
+        this.formulaLinter.clear();
+        return;
+      }
+
+      this.formulaLinter.applyStyles();
+      this.formulaLinter.update(this.createEditorModels(), config);
+    }
+
+    /**
+     * Enable the function docs on hover and the signature help
+     */
+    applyFunctionDocs(config) {
+      if (!config.functionHoverDocs && !config.signatureHelp) {
+        this.functionDocs.clear();
+        return;
+      }
 
-      // Start observing editor changes
-      this.startIndentObserver();
+      this.functionDocs.applyColors(this.getTheme(config));
+      this.functionDocs.attach(config);
+    }
+
+    /**
+     * Snapshot the text of every formula editor
+     */
+    createEditorModels() {
+      return EditorTextModel.findEditors().map(editor => new EditorTextModel(editor));
     }
 
     /**
      * Dynamically detect and mark indent levels on lines
+     * @returns {number} Deepest indent level found
      */
-    updateIndentLevels() {
+    updateIndentLevels(config) {
       const editors = document.querySelectorAll('.kr-slate-editor');
+      let depth = 0;
 
       editors.forEach(editor => {
         const lines = editor.querySelectorAll('.kr-line, .kr-paragraph');
@@ -423,53 +6882,155 @@
           if (!firstSpan) return;
 
           const text = firstSpan.textContent || '';
-          const leadingSpaces = text.match(/^(\s*)/)[0].length;
-          const indentLevel = Math.floor(leadingSpaces / 2);
+          const indentLevel = countIndentLevels(text, config.indentUnit);
 
-          if (indentLevel > 0 && indentLevel <= 8) {
+          if (indentLevel > 0) {
             line.setAttribute('data-indent-level', indentLevel);
             line.setAttribute('data-indent-guides', 'true');
+            depth = Math.max(depth, indentLevel);
           } else {
             line.removeAttribute('data-indent-level');
             line.removeAttribute('data-indent-guides');
           }
         });
       });
+
+      return depth;
     }
 
     /**
-     * Start observing the editor for changes to update indent guides
+     * Start observing the editors so indent guides and highlighting
+     * survive Slate re-rendering
      */
-    startIndentObserver() {
+    startEditorObserver(config) {
       // Stop existing observer if any
-      if (this.indentObserver) {
-        this.indentObserver.disconnect();
-      }
-
-      // Create new observer
-      this.indentObserver = new MutationObserver(() => {
-        this.updateIndentLevels();
-      });
+      this.stopEditorObserver();
+
+      // Batch mutation bursts into a single refresh per frame
+      const scheduleRefresh = () => {
+        if (this.refreshFrame) return;
+        this.refreshFrame = requestAnimationFrame(() => {
+          this.refreshFrame = null;
+          this.refreshEditors(config);
+        });
+      };
+      this.editorObserver = new MutationObserver(scheduleRefresh);
+      this.codeFolder.onChange = scheduleRefresh;
 
-      // Observe all editors
-      const editors = document.querySelectorAll('.kr-slate-editor');
-      editors.forEach(editor => {
-        this.indentObserver.observe(editor, {
+      // Observe all formula editors
+      EditorTextModel.findEditors().forEach(editor => {
+        this.editorObserver.observe(editor, {
           childList: true,
           subtree: true,
           characterData: true,
           characterDataOldValue: false
         });
       });
+
+      // Caret-dependent decorations follow the selection
+      this.selectionListener = () => {
+        if (this.selectionFrame) return;
+        this.selectionFrame = requestAnimationFrame(() => {
+          this.selectionFrame = null;
+          this.refreshSelection(config);
+        });
+      };
+      document.addEventListener('selectionchange', this.selectionListener);
+    }
+
+    /**
+     * Re-apply the text-dependent decorations after an editor change
+     */
+    refreshEditors(config) {
+      if (config.showIndentGuides) {
+        const depth = this.updateIndentLevels(config);
+        if (depth > this.indentGuideDepth) {
+          this.renderIndentGuides(config, depth);
+        }
+      }
+
+      const models = this.createEditorModels();
+      this.updateCurrentLine(models);
+      if (config.showIndentGuides && config.highlightActiveIndent) {
+        this.updateActiveIndent(models, config);
+      }
+      if (config.codeFolding) {
+        this.codeFolder.render(models);
+      }
+      if (config.showLineNumbers) {
+        this.lineNumberGutter.render(models);
+        this.lineNumberGutter.markCurrentLine(models);
+      }
+      if (config.lintFormulas) {
+        this.formulaLinter.update(models, config);
+      }
+      if (config.signatureHelp) {
+        this.functionDocs.updateSignature(models);
+      }
+      if (config.showBreadcrumbs) {
+        this.breadcrumbBar.update(models);
+      }
+      if (!supportsHighlights()) return;
+
+      if (config.syntaxHighlighting) {
+        this.syntaxHighlighter.highlight(models);
+      }
+      if (config.bracketPairColorization) {
+        this.bracketHighlighter.highlight(models);
+      }
+    }
+
+    /**
+     * Re-apply the caret-dependent decorations after a selection change
+     */
+    refreshSelection(config) {
+      const models = this.createEditorModels();
+      if (config.codeFolding) {
+        this.codeFolder.revealSelection(models);
+      }
+      this.updateCurrentLine(models);
+      if (config.showIndentGuides && config.highlightActiveIndent) {
+        this.updateActiveIndent(models, config);
+      }
+      if (config.showLineNumbers) {
+        this.lineNumberGutter.markCurrentLine(models);
+      }
+      if (config.signatureHelp) {
+        this.functionDocs.updateSignature(models);
+      }
+      if (config.showBreadcrumbs) {
+        this.breadcrumbBar.update(models);
+      }
+      if (!supportsHighlights()) return;
+
+      if (config.bracketPairColorization) {
+        this.bracketHighlighter.highlightMatch(models);
+      }
     }
 
     /**
      * Stop observing editor changes
      */
-    stopIndentObserver() {
-      if (this.indentObserver) {
-        this.indentObserver.disconnect();
-        this.indentObserver = null;
+    stopEditorObserver() {
+      this.lineNumberGutter.disconnect();
+      this.codeFolder.disconnect();
+      this.codeFolder.onChange = null;
+      this.functionDocs.disconnect();
+      if (this.editorObserver) {
+        this.editorObserver.disconnect();
+        this.editorObserver = null;
+      }
+      if (this.selectionListener) {
+        document.removeEventListener('selectionchange', this.selectionListener);
+        this.selectionListener = null;
+      }
+      if (this.refreshFrame) {
+        cancelAnimationFrame(this.refreshFrame);
+        this.refreshFrame = null;
+      }
+      if (this.selectionFrame) {
+        cancelAnimationFrame(this.selectionFrame);
+        this.selectionFrame = null;
       }
     }
 
@@ -479,7 +7040,8 @@
     resetStyles(element) {
       const stylesToReset = ['display', 'flex', 'overflow', 'order',
                             'borderLeft', 'borderRight', 'borderTop', 'borderBottom',
-                            'flexDirection', 'height', 'width', 'maxWidth', 'maxHeight'];
+                            'flexDirection', 'height', 'width', 'maxWidth', 'maxHeight',
+                            'backgroundColor', 'color'];
       stylesToReset.forEach(prop => {
         element.style[prop] = '';
       });
@@ -509,6 +7071,26 @@
       return dialog.querySelector('div[data-coda-ui-id="formula-editor"]');
     }
 
+    /**
+     * Describe what a dialog edits (column, control...) from its label or
+     * title, to tell the formulas of a doc apart
+     * @returns {string|null} Null when the dialog has no title element: any
+     * other text may change while the formula is edited
+     */
+    findDialogContext(dialog) {
+      const labelledBy = dialog.getAttribute('aria-labelledby');
+      const label = labelledBy ? document.getElementById(labelledBy) : null;
+      // Headings of the editor and documentation follow the caret
+      const heading = Array.from(dialog.querySelectorAll('[role="heading"], h1, h2, h3'))
+        .find(element => !element.closest(`${FORMULA_EDITOR_SELECTOR}, [data-coda-formula-target]`));
+      const context = [
+        dialog.getAttribute('aria-label'),
+        label && label.textContent,
+        heading && heading.textContent
+      ].find(text => text && text.trim());
+      return context ? context.trim().replace(/\s+/g, ' ').slice(0, 120) : null;
+    }
+
     /**
      * Find root div of dialog
      */
@@ -632,14 +7214,54 @@
       if (kids.length < 2) return;
 
       const mainChild = formulaDiv;
-      const sideChild = kids[kids.length - 1];
+      const docChild = kids[kids.length - 1];
+      const sideChild = this.createSideChild(docChild, formulaDiv, config);
 
       // Always create a new flex wrapper (simpler and more reliable)
       this.createFlexWrapper(kids, mainChild, sideChild, config);
+      this.applyDocPanelTheme(docChild, config);
+
+      // Adjust and observe Coda's documentation
+      this.adjustSideChildLayout(docChild);
+      this.observeSideChild(docChild);
+    }
+
+    /**
+     * Content of the documentation slot: Coda's panel, the reference pane
+     * in its place, or both split along the slot
+     */
+    createSideChild(docChild, formulaDiv, config) {
+      if (config.referencePane !== 'replace' && config.referencePane !== 'alongside') return docChild;
+
+      const pane = new ReferencePane(formulaDiv).create(this.styleManager.getTheme(config), {
+        family: this.styleManager.getFontFamily(config),
+        size: config.editorFontSize || 14
+      });
+      if (config.referencePane === 'replace') {
+        docChild.style.display = 'none';
+        return pane;
+      }
+
+      const slot = document.createElement('div');
+      slot.dataset.codaReferenceSlot = 'true';
+      slot.style.display = 'flex';
+      slot.style.flexDirection = ['left', 'right'].includes(config.documentationPosition) ? 'column' : 'row';
+      slot.style.boxSizing = 'border-box';
+      docChild.parentElement.insertBefore(slot, docChild);
+      slot.append(docChild, pane);
+      docChild.style.flex = '1 1 0';
+      docChild.style.overflow = 'auto';
+      pane.style.flex = '1 1 0';
+      return slot;
+    }
 
-      // Adjust and observe side child
-      this.adjustSideChildLayout(sideChild);
-      this.observeSideChild(sideChild);
+    /**
+     * Color the documentation panel with the active theme
+     */
+    applyDocPanelTheme(sideChild, config) {
+      const { docPanel } = this.styleManager.getTheme(config);
+      sideChild.style.backgroundColor = docPanel.background;
+      sideChild.style.color = docPanel.foreground;
     }
 
     /**
@@ -647,7 +7269,7 @@
      */
     updateFlexWrapper(wrapper, mainChild, sideChild, config) {
       const position = config.documentationPosition;
-      const borderColor = '1px solid rgb(240, 240, 240)';
+      const borderColor = `1px solid ${this.styleManager.getTheme(config).docPanel.border}`;
 
       // Hide all intermediate children (keep only first and last)
       const parent = wrapper.parentElement;
@@ -742,7 +7364,7 @@
 
       // Configure layout based on position
       const position = config.documentationPosition;
-      const borderColor = '1px solid rgb(240, 240, 240)';
+      const borderColor = `1px solid ${this.styleManager.getTheme(config).docPanel.border}`;
 
       if (position === 'left' || position === 'right') {
         flexWrapper.style.flexDirection = 'row';
@@ -831,6 +7453,10 @@
      * Reset layout - remove flex wrappers and restore original state
      */
     resetLayout(target) {
+      // Remove the reference pane, putting Coda's documentation back in its slot
+      target.querySelectorAll(`.${REFERENCE_PANE_CLASS}`).forEach(pane => pane.remove());
+      target.querySelectorAll('[data-coda-reference-slot]').forEach(slot => slot.replaceWith(...slot.children));
+
       // Find and remove all flex wrappers
       const allDivs = Array.from(target.children);
       allDivs.forEach((div) => {
@@ -881,6 +7507,7 @@
       this.styleManager = new StyleManager();
       this.modalSizeManager = new ModalSizeManager();
       this.layoutManager = new LayoutManager();
+      this.editorCommands = new EditorCommands(this.styleManager.codeFolder);
     }
 
     /**
@@ -900,10 +7527,19 @@
         dialog.style.background = '';
       }
 
-      // Apply editor styles
+      // Handle layout
+      this.applyLayout(rootDiv, formulaDiv);
+
+      // Apply editor styles once the editor sits in its final place:
+      // moving it afterwards would collapse the highlight ranges
       this.styleManager.applyEditorStyles(formulaDiv, this.config);
+      this.editorCommands.attach(formulaDiv, this.config);
+    }
 
-      // Handle layout
+    /**
+     * Arrange the editor and documentation inside the dialog
+     */
+    applyLayout(rootDiv, formulaDiv) {
       const target = this.domSelector.findTargetContainer(rootDiv);
       if (!target) return;
 
@@ -917,6 +7553,14 @@
       this.layoutManager.applyLayout(kids, formulaDiv, this.config);
     }
 
+    /**
+     * Stop editor observers and commands owned by this processor
+     */
+    destroy() {
+      this.styleManager.stopEditorObserver();
+      this.editorCommands.detach();
+    }
+
     /**
      * Reset a dialog to original state
      */
@@ -951,6 +7595,154 @@
     }
   }
 
+  // ========================================
+  // Automatic Theme Switching
+  // ========================================
+
+  const AUTO_THEME = 'auto';
+
+  /**
+   * AutoThemeManager - Picks the light or dark theme when editorTheme is "auto"
+   * Single Responsibility: Dark mode detection and theme switching
+   *
+   * Sources: Coda's own dark mode (falls back to the OS preference when it
+   * cannot be detected), the OS preference, or a time-of-day schedule.
+   */
+  class AutoThemeManager {
+    constructor() {
+      this.mediaQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+      this.mediaListener = null;
+      this.pageObserver = null;
+      this.scheduleTimer = null;
+      this.isDarkActive = null;
+    }
+
+    /**
+     * Return a config whose editorTheme is a concrete theme id
+     */
+    resolveConfig(config) {
+      if (config.editorTheme !== AUTO_THEME) return config;
+      return { ...config, editorTheme: this.isDark(config) ? config.autoThemeDark : config.autoThemeLight };
+    }
+
+    /**
+     * Decide whether the dark theme should be active
+     */
+    isDark(config) {
+      if (config.autoThemeSource === 'schedule') {
+        return this.isWithinSchedule(new Date(), config.autoThemeDarkStart, config.autoThemeDarkEnd);
+      }
+      if (config.autoThemeSource === 'coda') {
+        const codaDark = this.detectCodaDarkMode();
+        if (codaDark !== null) return codaDark;
+      }
+      return !!(this.mediaQuery && this.mediaQuery.matches);
+    }
+
+    /**
+     * Check if a time falls in the [start, end) window ("HH:MM"), which may span midnight
+     */
+    isWithinSchedule(date, start, end) {
+      const toMinutes = (value) => {
+        const [hours, minutes] = String(value).split(':').map(Number);
+        return hours * 60 + minutes;
+      };
+      const now = date.getHours() * 60 + date.getMinutes();
+      const from = toMinutes(start);
+      const to = toMinutes(end);
+
+      if (from === to) return false;
+      return from < to ? now >= from && now < to : now >= from || now < to;
+    }
+
+    /**
+     * Detect Coda's dark mode from page markers, then from the page background
+     * @returns {boolean|null} null when the page gives no usable signal
+     */
+    detectCodaDarkMode() {
+      const roots = [document.documentElement, document.body].filter(Boolean);
+      const darkMarker = /(^|[\s_-])dark([\s_-]|$)|dark-?mode|theme-?dark/i;
+
+      for (const root of roots) {
+        const markers = [
+          root.className,
+          root.getAttribute('data-theme'),
+          root.getAttribute('data-color-scheme'),
+          root.getAttribute('data-color-mode')
+        ].filter(value => typeof value === 'string');
+        if (markers.some(value => darkMarker.test(value))) return true;
+      }
+
+      for (const root of roots) {
+        const luminance = this.getBackgroundLuminance(root);
+        if (luminance !== null) return luminance < 0.5;
+      }
+      return null;
+    }
+
+    /**
+     * Relative luminance (0-1) of an element background, null if transparent
+     */
+    getBackgroundLuminance(element) {
+      const match = /rgba?\(([^)]+)\)/.exec(window.getComputedStyle(element).backgroundColor || '');
+      if (!match) return null;
+
+      const [r, g, b, a = 1] = match[1].split(',').map(part => parseFloat(part));
+      if (a === 0) return null;
+      return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+    }
+
+    /**
+     * Watch the configured source and call onChange when light/dark flips
+     */
+    start(config, onChange) {
+      this.stop();
+      if (config.editorTheme !== AUTO_THEME) return;
+
+      this.isDarkActive = this.isDark(config);
+      const check = () => {
+        const dark = this.isDark(config);
+        if (dark === this.isDarkActive) return;
+        this.isDarkActive = dark;
+        onChange();
+      };
+
+      if (this.mediaQuery) {
+        this.mediaListener = check;
+        this.mediaQuery.addEventListener('change', this.mediaListener);
+      }
+
+      if (config.autoThemeSource === 'coda') {
+        this.pageObserver = new MutationObserver(check);
+        [document.documentElement, document.body].filter(Boolean).forEach(root => {
+          this.pageObserver.observe(root, {
+            attributes: true,
+            attributeFilter: ['class', 'style', 'data-theme', 'data-color-scheme', 'data-color-mode']
+          });
+        });
+      }
+
+      if (config.autoThemeSource === 'schedule') {
+        this.scheduleTimer = setInterval(check, 60 * 1000);
+      }
+    }
+
+    stop() {
+      if (this.mediaQuery && this.mediaListener) {
+        this.mediaQuery.removeEventListener('change', this.mediaListener);
+        this.mediaListener = null;
+      }
+      if (this.pageObserver) {
+        this.pageObserver.disconnect();
+        this.pageObserver = null;
+      }
+      if (this.scheduleTimer) {
+        clearInterval(this.scheduleTimer);
+        this.scheduleTimer = null;
+      }
+    }
+  }
+
   // ========================================
   // Modal Customizer (Main Orchestrator)
   // ========================================
@@ -965,7 +7757,9 @@
       this.processedDialogs = new WeakSet();
       this.observer = null;
       this.domSelector = new DOMSelector();
-      this.dialogProcessor = new DialogProcessor(config);
+      this.autoThemeManager = new AutoThemeManager();
+      this.formulaHistory = new FormulaHistory();
+      this.dialogProcessor = new DialogProcessor(this.autoThemeManager.resolveConfig(config));
     }
 
     /**
@@ -974,6 +7768,14 @@
     init() {
       this.processDialogs();
       this.startObserver();
+      this.startAutoTheme();
+    }
+
+    /**
+     * Re-process dialogs whenever the auto theme flips between light and dark
+     */
+    startAutoTheme() {
+      this.autoThemeManager.start(this.config, () => this.updateConfig(this.config));
     }
 
     /**
@@ -981,7 +7783,9 @@
      */
     updateConfig(newConfig) {
       this.config = newConfig;
-      this.dialogProcessor = new DialogProcessor(newConfig);
+      this.dialogProcessor.destroy();
+      this.dialogProcessor = new DialogProcessor(this.autoThemeManager.resolveConfig(newConfig));
+      this.startAutoTheme();
 
       // Reset all existing dialogs
       const dialogs = this.domSelector.findDialogs();
@@ -1007,6 +7811,7 @@
 
         this.processedDialogs.add(dialog);
         this.dialogProcessor.processDialog(dialog, formulaDiv);
+        this.formulaHistory.track(dialog, formulaDiv, this.config);
       });
     }
 
@@ -1016,6 +7821,7 @@
     startObserver() {
       if (!document.body) return;
       this.observer = new MutationObserver(() => {
+        this.formulaHistory.collectClosed();
         this.processDialogs();
       });
       this.observer.observe(document.body, {
@@ -1042,33 +7848,8 @@
       this.init();
     }
 
-    loadGoogleFonts() {
-      // Check if fonts are already loaded
-      if (document.getElementById('coda-formula-fonts')) {
-        return;
-      }
-
-      // Create a link element to load Google Fonts
-      const link = document.createElement('link');
-      link.id = 'coda-formula-fonts';
-      link.rel = 'stylesheet';
-      link.href = 'https://fonts.googleapis.com/css2?family=Fira+Code:wght@400;500;600&family=JetBrains+Mono:wght@400;500;600&family=Source+Code+Pro:wght@400;500;600&display=swap';
-      document.head.appendChild(link);
-
-      // Load OpenDyslexic from CDN
-      const openDyslexicLink = document.createElement('link');
-      openDyslexicLink.id = 'opendyslexic-font';
-      openDyslexicLink.rel = 'stylesheet';
-      openDyslexicLink.href = 'https://cdn.jsdelivr.net/npm/open-dyslexic@1.0.3/open-dyslexic.min.css';
-      document.head.appendChild(openDyslexicLink);
-
-    }
-
     async init() {
       try {
-        // Load Google Fonts first
-        this.loadGoogleFonts();
-
         const config = await StorageManager.getConfig();
 
         this.customizer = new ModalCustomizer(config);
@@ -1116,7 +7897,9 @@
   // Make available globally for popup
   window.CodaFormulaExtension = {
     StorageManager,
-    DEFAULT_CONFIG
+    DEFAULT_CONFIG,
+    FormulaTokenizer,
+    FormulaParser
   };
 
   // Initialize content script
@@ -3,6 +3,203 @@
  * Following SOLID principles - Single Responsibility
  */
 
+// Pastel rainbow colors for indent levels and bracket depths (darker versions)
+const PASTEL_COLORS = [
+  "rgba(255, 120, 130, 0.8)", // Darker pastel red
+  "rgba(255, 180, 120, 0.8)", // Darker pastel orange
+  "rgba(240, 220, 100, 0.8)", // Darker pastel yellow
+  "rgba(120, 220, 150, 0.8)", // Darker pastel green
+  "rgba(120, 180, 255, 0.8)", // Darker pastel blue
+  "rgba(200, 140, 210, 0.8)", // Darker pastel purple
+  "rgba(255, 150, 190, 0.8)", // Darker pastel pink
+  "rgba(180, 130, 130, 0.8)", // Darker pastel brown
+];
+
+/**
+ * Indent guide palettes (also used for bracket depths)
+ * User-defined palettes (config.customPalettes) use the same shape
+ */
+const GUIDE_PALETTES = {
+  rainbow: { name: "Pastel rainbow", colors: PASTEL_COLORS },
+  // Colorblind-safe for all common color vision deficiencies
+  "okabe-ito": {
+    name: "Okabe-Ito (colorblind-safe)",
+    colors: ["#e69f00", "#56b4e9", "#009e73", "#f0e442", "#0072b2", "#d55e00", "#cc79a7", "#999999"],
+  },
+  // Protanopia / deuteranopia: no red-green pairs
+  "blue-orange": {
+    name: "Blue-orange (red-green safe)",
+    colors: ["#0072b2", "#e69f00", "#56b4e9", "#f0e442", "#004488", "#bb7700", "#99ddff", "#777777"],
+  },
+  // Tritanopia: no blue-yellow pairs
+  "red-teal": {
+    name: "Red-teal (blue-yellow safe)",
+    colors: ["#c41e3a", "#009e9e", "#e377c2", "#555555", "#8c1c2c", "#00706e", "#f4a3b5", "#9e9e9e"],
+  },
+  monochrome: {
+    name: "Monochrome",
+    colors: ["#9e9e9e", "#7a7a7a", "#b5b5b5", "#5c5c5c", "#c9c9c9", "#8a8a8a", "#6b6b6b", "#adadad"],
+  },
+  "high-contrast": {
+    name: "High contrast",
+    colors: ["#ffff00", "#00ffff", "#ff00ff", "#00ff00", "#ff8000", "#ffffff", "#80a0ff", "#ff6060"],
+  },
+};
+
+/**
+ * Built-in editor themes
+ * User-defined themes (config.customThemes) use the same shape
+ */
+const BUILT_IN_THEMES = {
+  light: {
+    name: "Light",
+    background: "#ffffff",
+    foreground: "#000000",
+    selection: "#add6ff",
+    currentLine: "#f3f3f3",
+    tokens: {
+      function: "#795e26",
+      method: "#267f99",
+      keyword: "#0000ff",
+      reference: "#001080",
+      string: "#a31515",
+      number: "#098658",
+      operator: "#af00db",
+    },
+    indentGuides: PASTEL_COLORS,
+    docPanel: { background: "#ffffff", foreground: "#000000", border: "#f0f0f0" },
+  },
+  dark: {
+    name: "Dark",
+    background: "#1e1e1e",
+    foreground: "#d4d4d4",
+    selection: "#264f78",
+    currentLine: "#2a2d2e",
+    tokens: {
+      function: "#dcdcaa",
+      method: "#4ec9b0",
+      keyword: "#569cd6",
+      reference: "#9cdcfe",
+      string: "#ce9178",
+      number: "#b5cea8",
+      operator: "#c586c0",
+    },
+    indentGuides: PASTEL_COLORS,
+    docPanel: { background: "#252526", foreground: "#cccccc", border: "#3c3c3c" },
+  },
+  sepia: {
+    name: "Sepia",
+    background: "#f4ecd8",
+    foreground: "#5b4636",
+    selection: "#e0d2b0",
+    currentLine: "#ede3c9",
+    tokens: {
+      function: "#8b4513",
+      method: "#6b5b95",
+      keyword: "#2f4f8f",
+      reference: "#3e5c4a",
+      string: "#9c3d2e",
+      number: "#7a6a00",
+      operator: "#8e3b6e",
+    },
+    indentGuides: PASTEL_COLORS,
+    docPanel: { background: "#f8f1e3", foreground: "#5b4636", border: "#e0d2b0" },
+  },
+  "high-contrast": {
+    name: "High Contrast",
+    background: "#000000",
+    foreground: "#ffffff",
+    selection: "#1a4d8f",
+    currentLine: "#1a1a1a",
+    tokens: {
+      function: "#ffff00",
+      method: "#00ffff",
+      keyword: "#ff9900",
+      reference: "#ffffff",
+      string: "#00ff00",
+      number: "#ff80ff",
+      operator: "#ffffff",
+    },
+    indentGuides: GUIDE_PALETTES["high-contrast"].colors,
+    docPanel: { background: "#000000", foreground: "#ffffff", border: "#6fc3df" },
+  },
+  protanopia: {
+    name: "Protanopia (Colorblind)",
+    background: "#f5f5f0",
+    foreground: "#005a9c",
+    selection: "#cce4f6",
+    currentLine: "#ebebe4",
+    tokens: {
+      function: "#0072b2",
+      method: "#56b4e9",
+      keyword: "#000000",
+      reference: "#004466",
+      string: "#e69f00",
+      number: "#cc79a7",
+      operator: "#555555",
+    },
+    indentGuides: GUIDE_PALETTES["blue-orange"].colors,
+    docPanel: { background: "#fafaf5", foreground: "#005a9c", border: "#dcdcd2" },
+  },
+  deuteranopia: {
+    name: "Deuteranopia (Colorblind)",
+    background: "#f0f0f5",
+    foreground: "#8b4513",
+    selection: "#d6d6ea",
+    currentLine: "#e6e6ee",
+    tokens: {
+      function: "#0072b2",
+      method: "#56b4e9",
+      keyword: "#000000",
+      reference: "#5a3a1a",
+      string: "#e69f00",
+      number: "#cc79a7",
+      operator: "#555555",
+    },
+    indentGuides: GUIDE_PALETTES["blue-orange"].colors,
+    docPanel: { background: "#f7f7fa", foreground: "#8b4513", border: "#d8d8e4" },
+  },
+  tritanopia: {
+    name: "Tritanopia (Colorblind)",
+    background: "#fff5f0",
+    foreground: "#c41e3a",
+    selection: "#f8d5cc",
+    currentLine: "#fbeae2",
+    tokens: {
+      function: "#a50f15",
+      method: "#d6604d",
+      keyword: "#000000",
+      reference: "#67001f",
+      string: "#1b7837",
+      number: "#762a83",
+      operator: "#555555",
+    },
+    indentGuides: GUIDE_PALETTES["red-teal"].colors,
+    docPanel: { background: "#fffaf7", foreground: "#c41e3a", border: "#f0dcd2" },
+  },
+};
+
+// On macOS the page search opens with Cmd+F, which the find bar takes over
+const IS_MAC = /Mac/.test(navigator.platform);
+
+// Default shortcut of each formula editor command (keyBindings overrides them)
+const EDITOR_SHORTCUTS = {
+  format: "Shift+Alt+F",
+  minify: "Shift+Alt+M",
+  duplicateLine: "Shift+Alt+ArrowDown",
+  moveLineUp: "Alt+ArrowUp",
+  moveLineDown: "Alt+ArrowDown",
+  deleteLine: "Ctrl+Shift+K",
+  joinLines: "Ctrl+J",
+  find: IS_MAC ? "Meta+F" : "Ctrl+F",
+  insertSnippet: "Shift+Alt+S",
+  history: "Shift+Alt+H",
+  saveToLibrary: "Shift+Alt+B",
+  insertFromLibrary: "Shift+Alt+L",
+  foldAll: "Shift+Alt+0",
+  unfoldAll: "Shift+Alt+J",
+};
+
 const DEFAULT_CONFIG = {
   // Modal dimensions
   modalWidth: 95, // Percentage (20-98)
@@ -14,6 +211,7 @@ const DEFAULT_CONFIG = {
   // Documentation settings
   showDocumentation: true,
   documentationPosition: "right", // 'left', 'right', 'top', 'bottom', 'none'
+  referencePane: "off", // Function reference pane in the documentation slot: 'off', 'replace' (instead of Coda's panel), 'alongside'
 
   // Layout proportions (when documentation is visible)
   // Values represent the flex ratio
@@ -23,13 +221,93 @@ const DEFAULT_CONFIG = {
   // Editor settings
   editorFontSize: 14, // Font size in pixels (10-24)
   editorLineHeight: 1.5, // Line height (1.0-2.5)
-  editorFontFamily: "monospace", // monospace, fira-code, jetbrains-mono, source-code-pro, opendyslexic
-  editorTheme: "light", // light, dark, sepia, high-contrast, protanopia, deuteranopia, tritanopia
+  editorFontFamily: "monospace", // monospace, fira-code, jetbrains-mono, source-code-pro, opendyslexic, custom
+  customFontFamily: "", // Free-form font stack used when editorFontFamily is "custom"
+  editorFontWeight: 400, // Font weight (100-900)
+  editorLetterSpacing: 0, // Letter spacing in pixels (-1 to 3)
+  editorLigatures: true, // Enable font ligatures (Fira Code, JetBrains Mono...)
+  editorTheme: "light", // Built-in or custom theme id, or "auto"
+
+  // Automatic theme switching (editorTheme: "auto")
+  autoThemeLight: "light", // Theme used in light mode
+  autoThemeDark: "dark", // Theme used in dark mode
+  autoThemeSource: "coda", // What to follow: coda, system, schedule
+  autoThemeDarkStart: "19:00", // Schedule: dark theme from (HH:MM)
+  autoThemeDarkEnd: "07:00", // Schedule: dark theme until (HH:MM)
 
   // Indent guides settings
   showIndentGuides: true, // Show indent guide lines
   indentGuideStyle: "dotted", // Style: solid, dotted, dashed
-  highlightActiveIndent: true, // Highlight current indent scope
+  highlightActiveIndent: true, // Highlight the indent scope containing the caret
+  indentUnit: 2, // Indent unit: 2, 4 (spaces) or "tab"
+  indentGuidePalette: "theme", // Guide palette id, or "theme" for the active theme's palette
+  indentGuideWidth: 1, // Guide thickness in pixels (1-4)
+  indentGuideOpacity: 0.7, // Guide opacity (0.1-1)
+
+  // User-defined guide palettes keyed by id (same shape as GUIDE_PALETTES entries)
+  customPalettes: {},
+
+  // User-defined themes keyed by id (same shape as BUILT_IN_THEMES entries)
+  customThemes: {},
+
+  // Syntax highlighting
+  syntaxHighlighting: true, // Color formula tokens with the theme palette
+  bracketPairColorization: true, // Color brackets by depth and highlight matching pairs
+  showLineNumbers: true, // Show a line number gutter next to the editor
+  codeFolding: true, // Fold markers next to the lines opening a multi-line bracket block
+  functionHoverDocs: true, // Show a function's offline docs when hovering its name
+  signatureHelp: true, // Show the signature of the call around the caret, current argument highlighted
+  showBreadcrumbs: true, // Show the chain of calls enclosing the caret above the editor
+
+  // Auto-closing while typing: ( [ { " insert their closer, typing the
+  // closer steps over it, Backspace in an empty pair deletes both
+  autoCloseBrackets: {
+    parentheses: true,
+    squareBrackets: true,
+    curlyBraces: true,
+    quotes: true,
+  },
+
+  // Smart indentation: Enter inside brackets indents one unit deeper,
+  // Tab/Shift+Tab indent the selected lines, a closer typed on a blank
+  // line snaps back to its opener's line indent
+  smartIndent: true,
+
+  // Shortcut overrides by command id, e.g. { deleteLine: "Ctrl+D" }
+  // (missing commands keep their EDITOR_SHORTCUTS binding)
+  keyBindings: {},
+
+  // Formula snippets keyed by id ({ name, trigger, body }): typing the
+  // trigger then Tab inserts the body; $1, ${1:default} are tab stops, $0 the
+  // final caret position
+  snippets: {
+    "filter-this-row": {
+      name: "Filter rows matching this row",
+      trigger: "filterrow",
+      body: "thisTable.Filter(CurrentValue.${1:Column} = thisRow.${1:Column})$0",
+    },
+    "with-name": {
+      name: "WithName",
+      trigger: "withname",
+      body: "WithName(${1:value}, ${2:Name},\n\t$0\n)",
+    },
+  },
+
+  // Formula version history: a version is saved when a formula dialog
+  // closes; per formula, only the latest versions within the retention
+  // period are kept
+  historyMaxVersions: 20, // 10, 20, 50 or 100
+  historyRetentionDays: 30, // 7, 30, 90 or 365
+
+  // Formula checks (squiggles and problems list below the editor)
+  lintFormulas: true,
+  lintRules: {
+    unbalancedBrackets: true, // ( without ) and the reverse
+    unterminatedStrings: true, // " without closing quote
+    extraCommas: true, // F(a,,b) and F(a, b,)
+    emptyArguments: true, // F(, a) and Sequence(1, 10, by:)
+    ifArgumentCount: true, // If() with an even number of arguments
+  },
 
   // Presets
   presets: {
@@ -68,6 +346,8 @@ function validateConfig(config) {
   // Validate documentation position
   const validPositions = ["left", "right", "top", "bottom", "none"];
   if (!validPositions.includes(config.documentationPosition)) return false;
+  const validReferencePanes = ["off", "replace", "alongside"];
+  if (config.referencePane && !validReferencePanes.includes(config.referencePane)) return false;
 
   // Validate proportions
   if (config.editorProportion < 30 || config.editorProportion > 80)
@@ -94,6 +374,7 @@ function validateConfig(config) {
     "jetbrains-mono",
     "source-code-pro",
     "opendyslexic",
+    "custom",
   ];
   if (
     config.editorFontFamily &&
@@ -101,9 +382,48 @@ function validateConfig(config) {
   )
     return false;
 
-  // Validate theme
-  const validThemes = ["light", "dark", "sepia", "high-contrast", "protanopia", "deuteranopia", "tritanopia"];
-  if (config.editorTheme && !validThemes.includes(config.editorTheme))
+  // Validate custom font stack
+  if (
+    config.editorFontFamily === "custom" &&
+    !isValidFontStack(config.customFontFamily)
+  )
+    return false;
+
+  // Validate font weight and letter spacing
+  if (
+    config.editorFontWeight &&
+    (config.editorFontWeight < 100 || config.editorFontWeight > 900)
+  )
+    return false;
+  if (
+    config.editorLetterSpacing &&
+    (config.editorLetterSpacing < -1 || config.editorLetterSpacing > 3)
+  )
+    return false;
+
+  // Validate theme (built-in or user-defined)
+  const customThemes = config.customThemes || {};
+  if (!Object.values(customThemes).every(isValidTheme)) return false;
+  const validThemes = Object.keys(BUILT_IN_THEMES).concat(Object.keys(customThemes));
+  if (
+    config.editorTheme &&
+    config.editorTheme !== "auto" &&
+    !validThemes.includes(config.editorTheme)
+  )
+    return false;
+
+  // Validate automatic theme switching
+  if (config.autoThemeLight && !validThemes.includes(config.autoThemeLight))
+    return false;
+  if (config.autoThemeDark && !validThemes.includes(config.autoThemeDark))
+    return false;
+  const validAutoSources = ["coda", "system", "schedule"];
+  if (config.autoThemeSource && !validAutoSources.includes(config.autoThemeSource))
+    return false;
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (config.autoThemeDarkStart && !timePattern.test(config.autoThemeDarkStart))
+    return false;
+  if (config.autoThemeDarkEnd && !timePattern.test(config.autoThemeDarkEnd))
     return false;
 
   // Validate indent guide style
@@ -111,9 +431,135 @@ function validateConfig(config) {
   if (config.indentGuideStyle && !validIndentStyles.includes(config.indentGuideStyle))
     return false;
 
+  // Validate indent unit
+  const validIndentUnits = [2, 4, "tab"];
+  if (config.indentUnit !== undefined && !validIndentUnits.includes(config.indentUnit))
+    return false;
+
+  // Validate guide palette and appearance
+  const customPalettes = config.customPalettes || {};
+  if (!Object.values(customPalettes).every(isValidPalette)) return false;
+  const validPalettes = ["theme"].concat(Object.keys(GUIDE_PALETTES), Object.keys(customPalettes));
+  if (config.indentGuidePalette && !validPalettes.includes(config.indentGuidePalette))
+    return false;
+  if (config.indentGuideWidth && (config.indentGuideWidth < 1 || config.indentGuideWidth > 4))
+    return false;
+  if (config.indentGuideOpacity && (config.indentGuideOpacity < 0.1 || config.indentGuideOpacity > 1))
+    return false;
+
+  // Validate lint rule and auto-close switches
+  if (config.lintRules && !Object.values(config.lintRules).every((value) => typeof value === "boolean"))
+    return false;
+  if (config.autoCloseBrackets && !Object.values(config.autoCloseBrackets).every((value) => typeof value === "boolean"))
+    return false;
+
+  // Validate shortcut overrides
+  if (config.keyBindings && !Object.values(config.keyBindings).every(isValidShortcut)) return false;
+
+  // Validate snippets
+  if (config.snippets && !Object.values(config.snippets).every(isValidSnippet)) return false;
+
+  // Validate history retention
+  const validHistoryVersions = [10, 20, 50, 100];
+  if (config.historyMaxVersions !== undefined && !validHistoryVersions.includes(config.historyMaxVersions))
+    return false;
+  const validRetentionDays = [7, 30, 90, 365];
+  if (config.historyRetentionDays !== undefined && !validRetentionDays.includes(config.historyRetentionDays))
+    return false;
+
   return true;
 }
 
+/**
+ * Validate a user-defined theme
+ * @param {Object} theme - Theme definition
+ * @returns {boolean} - True if valid
+ */
+function isValidTheme(theme) {
+  return (
+    !!theme &&
+    typeof theme.name === "string" &&
+    theme.name.trim() !== "" &&
+    typeof theme.background === "string" &&
+    typeof theme.foreground === "string"
+  );
+}
+
+/**
+ * Validate a free-form font stack (it ends up in injected CSS)
+ * @param {string} stack - Comma-separated font families
+ * @returns {boolean} - True if valid
+ */
+function isValidFontStack(stack) {
+  return (
+    typeof stack === "string" &&
+    stack.trim() !== "" &&
+    stack.length <= 200 &&
+    /^[^;{}<>\\\n]+$/.test(stack)
+  );
+}
+
+/**
+ * Validate a shortcut such as "Shift+Alt+F" (at least one modifier and a key)
+ * @param {string} shortcut - Modifiers and key joined with "+"
+ * @returns {boolean} - True if valid
+ */
+function isValidShortcut(shortcut) {
+  return typeof shortcut === "string" && /^((Ctrl|Alt|Shift|Meta)\+)+[^+\s]+$/.test(shortcut);
+}
+
+/**
+ * Validate a formula snippet (an empty trigger means palette only)
+ * @param {Object} snippet - Snippet definition ({ name, trigger, body })
+ * @returns {boolean} - True if valid
+ */
+function isValidSnippet(snippet) {
+  return (
+    !!snippet &&
+    typeof snippet.name === "string" &&
+    snippet.name.trim() !== "" &&
+    typeof snippet.trigger === "string" &&
+    /^([A-Za-z_]\w{0,29})?$/.test(snippet.trigger) &&
+    typeof snippet.body === "string" &&
+    snippet.body !== ""
+  );
+}
+
+/**
+ * Validate a formula library entry (tags, description and source are optional)
+ * @param {Object} entry - Entry ({ name, tags, description, formula, sourceUrl })
+ * @returns {boolean} - True if valid
+ */
+function isValidLibraryFormula(entry) {
+  return (
+    !!entry &&
+    typeof entry.name === "string" &&
+    entry.name.trim() !== "" &&
+    typeof entry.formula === "string" &&
+    entry.formula.trim() !== "" &&
+    (entry.tags === undefined ||
+      (Array.isArray(entry.tags) && entry.tags.every((tag) => typeof tag === "string"))) &&
+    (entry.description === undefined || typeof entry.description === "string") &&
+    (entry.sourceUrl === undefined || typeof entry.sourceUrl === "string")
+  );
+}
+
+/**
+ * Validate a user-defined guide palette
+ * @param {Object} palette - Palette definition ({ name, colors })
+ * @returns {boolean} - True if valid
+ */
+function isValidPalette(palette) {
+  return (
+    !!palette &&
+    typeof palette.name === "string" &&
+    palette.name.trim() !== "" &&
+    Array.isArray(palette.colors) &&
+    palette.colors.length > 0 &&
+    palette.colors.every((color) => typeof color === "string")
+  );
+}
+
 /**
  * Merge user config with defaults
  * @param {Object} userConfig - User configuration
@@ -0,0 +1,504 @@
+/**
+ * Formula Parser - Tokenizer and parser of Coda formulas
+ * Pure text analysis (no DOM access), mirrored in bundle.js
+ */
+
+// ========================================
+// Formula Tokenizer
+// ========================================
+
+const FORMULA_KEYWORDS = [
+  'thisRow', 'thisTable', 'thisDocument', 'thisUser', 'thisPage',
+  'CurrentValue', 'true', 'false'
+];
+const FORMULA_WORD_OPERATORS = ['AND', 'OR', 'NOT'];
+const FORMULA_OPERATORS = ['<=', '>=', '!=', '<>', '==', '&&', '||', '+', '-', '*', '/', '^', '&', '=', '<', '>', '!', '%'];
+const FORMULA_BRACKETS = '()[]{}';
+export const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+const FORMULA_PUNCTUATION = ',.:;';
+
+/**
+ * FormulaTokenizer - Splits Coda formula text into typed tokens
+ * Single Responsibility: Lexical analysis (no DOM access)
+ *
+ * Token types: function, method, keyword, identifier, reference, string,
+ * number, operator, bracket, punctuation, whitespace, unknown.
+ */
+export class FormulaTokenizer {
+  /**
+   * Tokenize formula text
+   * @param {string} text - Formula source
+   * @param {Array<{start: number, end: number}>} atoms - Ranges rendered as Coda objects (chips)
+   * @returns {Array<{type: string, value: string, start: number, end: number}>}
+   */
+  tokenize(text, atoms = []) {
+    const tokens = [];
+    const atomStarts = new Map(atoms.map(atom => [atom.start, atom]));
+    const isBoundary = (index) => atomStarts.has(index);
+    let i = 0;
+
+    while (i < text.length) {
+      const start = i;
+      const char = text[i];
+      const atom = atomStarts.get(i);
+
+      if (atom && atom.end > atom.start) {
+        i = atom.end;
+        tokens.push(this.createToken('reference', text, start, i));
+        continue;
+      }
+
+      if (/\s/.test(char)) {
+        i++;
+        while (i < text.length && /\s/.test(text[i]) && !isBoundary(i)) i++;
+        tokens.push(this.createToken('whitespace', text, start, i));
+        continue;
+      }
+
+      if (char === '"') {
+        const literal = this.readString(text, i, isBoundary);
+        i = literal.end;
+        const token = this.createToken('string', text, start, i);
+        token.terminated = literal.terminated;
+        tokens.push(token);
+        continue;
+      }
+
+      const number = this.matchNumber(text, i);
+      if (number) {
+        i += number.length;
+        tokens.push(this.createToken('number', text, start, i));
+        continue;
+      }
+
+      if (this.isIdentifierStart(char)) {
+        i++;
+        while (i < text.length && this.isIdentifierPart(text[i]) && !isBoundary(i)) i++;
+        tokens.push(this.createToken(this.classifyWord(text, start, i, tokens), text, start, i));
+        continue;
+      }
+
+      const operator = FORMULA_OPERATORS.find(op => text.startsWith(op, i));
+      if (operator) {
+        i += operator.length;
+        tokens.push(this.createToken('operator', text, start, i));
+        continue;
+      }
+
+      i++;
+      let type = 'unknown';
+      if (FORMULA_BRACKETS.includes(char)) type = 'bracket';
+      else if (FORMULA_PUNCTUATION.includes(char)) type = 'punctuation';
+      tokens.push(this.createToken(type, text, start, i));
+    }
+
+    return tokens;
+  }
+
+  createToken(type, text, start, end) {
+    return { type, value: text.slice(start, end), start, end };
+  }
+
+  /**
+   * Read a string literal starting at its opening quote
+   * @returns {{end: number, terminated: boolean}} Index after the literal
+   */
+  readString(text, index, isBoundary) {
+    let i = index + 1;
+    while (i < text.length && !isBoundary(i)) {
+      if (text[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (text[i] === '"') return { end: i + 1, terminated: true };
+      i++;
+    }
+    return { end: Math.min(i, text.length), terminated: false };
+  }
+
+  matchNumber(text, index) {
+    const match = /^(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(index, index + 64));
+    if (!match) return null;
+    // "x.5" is a property access on x, not a number
+    if (text[index] === '.' && index > 0 && this.isIdentifierPart(text[index - 1])) return null;
+    return match[0];
+  }
+
+  isIdentifierStart(char) {
+    return /[A-Za-z_$\u00C0-\uFFEF]/.test(char) && char !== '\uFEFF';
+  }
+
+  isIdentifierPart(char) {
+    return /[\w$\u00C0-\uFFEF]/.test(char) && char !== '\uFEFF';
+  }
+
+  /**
+   * Decide whether a word is a call, a dot-chained call, a keyword or an operator
+   */
+  classifyWord(text, start, end, previousTokens) {
+    const word = text.slice(start, end);
+    let next = end;
+    while (next < text.length && /\s/.test(text[next])) next++;
+    const isCall = text[next] === '(';
+    const previous = this.lastSignificantToken(previousTokens);
+    const isChained = previous && previous.value === '.';
+
+    if (isCall) return isChained ? 'method' : 'function';
+    if (FORMULA_WORD_OPERATORS.includes(word)) return 'operator';
+    if (!isChained && FORMULA_KEYWORDS.includes(word)) return 'keyword';
+    return 'identifier';
+  }
+
+  lastSignificantToken(tokens) {
+    for (let i = tokens.length - 1; i >= 0; i--) {
+      if (tokens[i].type !== 'whitespace') return tokens[i];
+    }
+    return null;
+  }
+}
+
+// ========================================
+// Formula Parser
+// ========================================
+
+const FORMULA_BINARY_PRECEDENCE = {
+  'OR': 1, '||': 1,
+  'AND': 2, '&&': 2,
+  '=': 3, '==': 3, '!=': 3, '<>': 3, '<': 3, '>': 3, '<=': 3, '>=': 3,
+  '&': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6,
+  '^': 7
+};
+const FORMULA_RIGHT_ASSOCIATIVE = ['^'];
+const FORMULA_PREFIX_OPERATORS = ['-', '+', '!', 'NOT'];
+const FORMULA_EXPRESSION_STARTS = ['number', 'string', 'reference', 'keyword', 'identifier', 'function', 'method'];
+
+// Child fields of each node type, in source order
+const FORMULA_NODE_CHILDREN = {
+  Formula: ['body'],
+  Call: ['object', 'callee', 'args'],
+  Member: ['object', 'property'],
+  Binary: ['left', 'right'],
+  Unary: ['argument'],
+  Group: ['expression'],
+  List: ['elements'],
+  NamedArgument: ['name', 'value']
+};
+
+/**
+ * FormulaParser - Builds an AST from formula tokens
+ * Single Responsibility: Syntax analysis (no DOM access)
+ *
+ * Node types: Formula, Call, Member, Binary, Unary, Group, List,
+ * NamedArgument, Identifier, Keyword, Reference, Number, String, Error.
+ * Every node carries the [start, end) offsets of its source text, so
+ * EditorTextModel.createRange(node.start, node.end) maps it to the DOM.
+ * Parsing never throws: problems are collected in `errors`, missing or
+ * unexpected parts become Error nodes and unclosed nodes get `closed: false`.
+ */
+export class FormulaParser {
+  /**
+   * Parse formula text
+   * @param {string} text - Formula source
+   * @param {Array<{start: number, end: number}>} atoms - Ranges rendered as Coda objects (chips)
+   * @returns {{type: string, body: Array<Object>, errors: Array<{message: string, start: number, end: number}>, start: number, end: number}}
+   */
+  parse(text, atoms = []) {
+    return this.parseTokens(new FormulaTokenizer().tokenize(text, atoms), text.length);
+  }
+
+  /**
+   * Parse already tokenized text (whitespace tokens are ignored)
+   */
+  parseTokens(tokens, length) {
+    this.tokens = tokens.filter(token => token.type !== 'whitespace');
+    this.position = 0;
+    this.closers = [];
+    this.errors = [];
+
+    const body = [];
+    while (this.position < this.tokens.length) {
+      const token = this.peek();
+      if (this.isClosingBracket(token)) {
+        this.error(`Unmatched '${token.value}'`, token);
+        this.position++;
+        continue;
+      }
+      if (body.length > 0) {
+        this.error(`Unexpected '${token.value}'`, token);
+        if (!this.canStartExpression(token)) {
+          this.position++;
+          continue;
+        }
+      }
+      body.push(this.parseExpression());
+    }
+
+    return { type: 'Formula', body, errors: this.errors, start: 0, end: length };
+  }
+
+  /**
+   * Binary expression by precedence climbing
+   */
+  parseExpression(minPrecedence = 1) {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const token = this.peek();
+      const precedence = token && token.type === 'operator' ? FORMULA_BINARY_PRECEDENCE[token.value] : undefined;
+      if (!precedence || precedence < minPrecedence) return left;
+
+      this.position++;
+      const nextPrecedence = FORMULA_RIGHT_ASSOCIATIVE.includes(token.value) ? precedence : precedence + 1;
+      const right = this.parseExpression(nextPrecedence);
+      left = { type: 'Binary', operator: token.value, left, right, start: left.start, end: right.end };
+    }
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token && token.type === 'operator' && FORMULA_PREFIX_OPERATORS.includes(token.value)) {
+      this.position++;
+      const argument = this.parseUnary();
+      return { type: 'Unary', operator: token.value, argument, start: token.start, end: argument.end };
+    }
+    return this.parseChain(this.parsePrimary());
+  }
+
+  /**
+   * Dot-chaining: property access (thisRow.Name) and method calls (list.Filter(...))
+   */
+  parseChain(node) {
+    while (this.isToken(this.peek(), '.')) {
+      const dot = this.peek();
+      this.position++;
+      const name = this.peek();
+
+      if (name && (name.type === 'method' || name.type === 'function')) {
+        this.position++;
+        node = this.parseCall(name, node);
+        continue;
+      }
+
+      let property;
+      if (name && ['identifier', 'keyword', 'reference'].includes(name.type)) {
+        this.position++;
+        property = this.leaf(name);
+      } else {
+        property = this.missing(`Expected a name after '.'`, dot.end);
+      }
+      node = { type: 'Member', object: node, property, start: node.start, end: property.end };
+    }
+    return node;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token || this.isClosingBracket(token) || this.isToken(token, ',')) {
+      return this.missing('Expected an expression');
+    }
+
+    this.position++;
+    if (token.type === 'function' || token.type === 'method') return this.parseCall(token, null);
+    if (token.value === '(' && token.type === 'bracket') return this.parseGroup(token);
+    if (BRACKET_PAIRS[token.value] && token.type === 'bracket') {
+      const list = this.parseDelimited(token, BRACKET_PAIRS[token.value], false);
+      return { type: 'List', open: token.value, elements: list.items, closed: list.closed, start: token.start, end: list.end };
+    }
+    if (FORMULA_EXPRESSION_STARTS.includes(token.type)) return this.leaf(token);
+
+    const message = `Unexpected '${token.value}'`;
+    this.error(message, token);
+    return { type: 'Error', message, start: token.start, end: token.end };
+  }
+
+  /**
+   * Call of a function (name token is followed by "("), optionally chained on an object
+   */
+  parseCall(name, object) {
+    const callee = this.leaf(name);
+    const open = this.peek();
+    if (!this.isToken(open, '(')) {
+      return object ? { type: 'Member', object, property: callee, start: object.start, end: callee.end } : callee;
+    }
+
+    this.position++;
+    const args = this.parseDelimited(open, ')', true);
+    return {
+      type: 'Call',
+      object,
+      callee,
+      args: args.items,
+      closed: args.closed,
+      start: object ? object.start : name.start,
+      end: args.end
+    };
+  }
+
+  parseGroup(open) {
+    const group = this.parseDelimited(open, ')', false);
+    group.items.slice(1).forEach(extra => this.error(`Expected ')'`, extra));
+    const expression = group.items[0] || this.missing('Expected an expression', open.end);
+    return { type: 'Group', expression, closed: group.closed, start: open.start, end: group.end };
+  }
+
+  /**
+   * Comma-separated items up to a closing bracket, with recovery on
+   * unexpected tokens and on a missing closing bracket
+   */
+  parseDelimited(open, closer, allowNamed) {
+    const items = [];
+    let closed = false;
+    this.closers.push(closer);
+
+    if (this.isToken(this.peek(), closer)) {
+      this.position++;
+      closed = true;
+    }
+
+    while (!closed) {
+      items.push(allowNamed ? this.parseArgument() : this.parseExpression());
+
+      let token = this.peek();
+      if (token && !this.isToken(token, ',') && !this.isToken(token, closer) && !this.isOuterCloser(token)) {
+        this.error(`Expected ',' or '${closer}'`, token);
+        this.synchronize();
+        token = this.peek();
+      }
+
+      if (this.isToken(token, ',')) {
+        this.position++;
+      } else if (this.isToken(token, closer)) {
+        this.position++;
+        closed = true;
+      } else {
+        break;
+      }
+    }
+
+    this.closers.pop();
+    if (!closed) this.error(`Missing '${closer}' for '${open.value}'`, open);
+    return { items, closed, end: this.previousEnd(open.end) };
+  }
+
+  /**
+   * Call argument, possibly named (Sequence(1, 10, by: 2))
+   */
+  parseArgument() {
+    const token = this.peek();
+    const next = this.tokens[this.position + 1];
+    if (!token || token.type !== 'identifier' || !this.isToken(next, ':')) return this.parseExpression();
+
+    this.position += 2;
+    const name = this.leaf(token);
+    const value = this.parseExpression();
+    return { type: 'NamedArgument', name, value, start: token.start, end: value.end };
+  }
+
+  /**
+   * Skip to the next "," or closing bracket expected by an enclosing construct
+   */
+  synchronize() {
+    let depth = 0;
+    while (this.position < this.tokens.length) {
+      const token = this.peek();
+      if (token.type === 'bracket') {
+        if (BRACKET_PAIRS[token.value]) depth++;
+        else if (depth > 0) depth--;
+        else if (this.closers.includes(token.value)) return;
+      } else if (depth === 0 && this.isToken(token, ',')) {
+        return;
+      }
+      this.position++;
+    }
+  }
+
+  leaf(token) {
+    const node = { start: token.start, end: token.end };
+    switch (token.type) {
+      case 'number':
+        return { type: 'Number', value: Number(token.value), ...node };
+      case 'string':
+        if (!token.terminated) this.error('Unterminated string', token);
+        return { type: 'String', value: this.unquote(token), terminated: token.terminated, ...node };
+      case 'reference':
+        return { type: 'Reference', name: token.value, ...node };
+      case 'keyword':
+        return { type: 'Keyword', name: token.value, ...node };
+      default:
+        return { type: 'Identifier', name: token.value, ...node };
+    }
+  }
+
+  unquote(token) {
+    const inner = token.value.slice(1, token.terminated ? -1 : undefined);
+    return inner.replace(/\\(.)/g, '$1');
+  }
+
+  /**
+   * Zero-width Error node where an expression is missing
+   */
+  missing(message, offset = this.previousEnd(0)) {
+    const node = { type: 'Error', message, start: offset, end: offset };
+    this.error(message, node);
+    return node;
+  }
+
+  error(message, range) {
+    this.errors.push({ message, start: range.start, end: range.end });
+  }
+
+  peek() {
+    return this.tokens[this.position] || null;
+  }
+
+  previousEnd(fallback) {
+    return this.position > 0 ? this.tokens[this.position - 1].end : fallback;
+  }
+
+  isToken(token, value) {
+    return !!token && token.value === value && (token.type === 'bracket' || token.type === 'punctuation');
+  }
+
+  isClosingBracket(token) {
+    return token.type === 'bracket' && !BRACKET_PAIRS[token.value];
+  }
+
+  isOuterCloser(token) {
+    return this.isClosingBracket(token) && this.closers.slice(0, -1).includes(token.value);
+  }
+
+  canStartExpression(token) {
+    return FORMULA_EXPRESSION_STARTS.includes(token.type) ||
+      (token.type === 'bracket' && !!BRACKET_PAIRS[token.value]) ||
+      (token.type === 'operator' && FORMULA_PREFIX_OPERATORS.includes(token.value));
+  }
+
+  /**
+   * Visit a node and its descendants depth-first, in source order
+   * @param {Object} node - Root node
+   * @param {Function} visit - Called with (node, parent)
+   */
+  static walk(node, visit, parent = null) {
+    if (!node) return;
+    visit(node, parent);
+    (FORMULA_NODE_CHILDREN[node.type] || []).forEach(field => {
+      const child = node[field];
+      if (Array.isArray(child)) child.forEach(item => FormulaParser.walk(item, visit, node));
+      else FormulaParser.walk(child, visit, node);
+    });
+  }
+
+  /**
+   * Nodes containing a text offset, outermost first
+   */
+  static pathAt(ast, offset) {
+    const path = [];
+    FormulaParser.walk(ast, (node, parent) => {
+      const inside = node.start <= offset && offset <= node.end;
+      if (inside && parent === (path[path.length - 1] || null)) path.push(node);
+    });
+    return path;
+  }
+}
@@ -10,6 +10,30 @@
 import { DEFAULT_CONFIG, validateConfig, mergeConfig } from '../config/defaults.js';
 
 const STORAGE_KEY = 'codaFormulaConfig';
+const HISTORY_STORAGE_KEY = 'codaFormulaHistory';
+const LIBRARY_STORAGE_KEY = 'codaFormulaLibrary';
+const REFERENCE_FAVORITES_KEY = 'codaFormulaReferenceFavorites';
+
+// Last queued formula version save
+let historySaves = Promise.resolve();
+
+/**
+ * Apply the retention settings to the formula history
+ * @param {Object} history - Versions ({ text, savedAt }) by formula key, oldest first
+ * @param {number} maxVersions - Versions kept per formula
+ * @param {number} retentionDays - Age limit of a version, in days
+ * @param {number} [now] - Current timestamp
+ * @returns {Object} History without expired versions nor empty formulas
+ */
+function pruneHistory(history, maxVersions, retentionDays, now = Date.now()) {
+  const oldest = now - retentionDays * 24 * 60 * 60 * 1000;
+  const pruned = {};
+  Object.entries(history).forEach(([formulaKey, versions]) => {
+    const kept = versions.filter(version => version.savedAt >= oldest).slice(-maxVersions);
+    if (kept.length > 0) pruned[formulaKey] = kept;
+  });
+  return pruned;
+}
 
 /**
  * Storage Manager Class
@@ -95,12 +119,306 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Create or update a user-defined theme and make it the active theme
+   * @param {string} themeId - Theme identifier
+   * @param {Object} theme - Theme definition (same shape as BUILT_IN_THEMES entries)
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveCustomTheme(themeId, theme) {
+    try {
+      const currentConfig = await this.getConfig();
+      const customThemes = { ...currentConfig.customThemes, [themeId]: theme };
+      return await this.saveConfig({ ...currentConfig, customThemes, editorTheme: themeId });
+    } catch (error) {
+      console.error('[Coda Extension] Error saving theme:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a user-defined theme (falls back to the default themes wherever it was in use)
+   * @param {string} themeId - Theme identifier
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteCustomTheme(themeId) {
+    try {
+      const currentConfig = await this.getConfig();
+      const customThemes = { ...currentConfig.customThemes };
+      delete customThemes[themeId];
+      const fallback = (key) => (currentConfig[key] === themeId ? DEFAULT_CONFIG[key] : currentConfig[key]);
+      return await this.saveConfig({
+        ...currentConfig,
+        customThemes,
+        editorTheme: fallback('editorTheme'),
+        autoThemeLight: fallback('autoThemeLight'),
+        autoThemeDark: fallback('autoThemeDark')
+      });
+    } catch (error) {
+      console.error('[Coda Extension] Error deleting theme:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create or update a user-defined guide palette and select it
+   * @param {string} paletteId - Palette identifier
+   * @param {Object} palette - Palette definition ({ name, colors })
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveCustomPalette(paletteId, palette) {
+    try {
+      const currentConfig = await this.getConfig();
+      const customPalettes = { ...currentConfig.customPalettes, [paletteId]: palette };
+      return await this.saveConfig({ ...currentConfig, customPalettes, indentGuidePalette: paletteId });
+    } catch (error) {
+      console.error('[Coda Extension] Error saving palette:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a user-defined guide palette (falls back to the theme palette if it was selected)
+   * @param {string} paletteId - Palette identifier
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteCustomPalette(paletteId) {
+    try {
+      const currentConfig = await this.getConfig();
+      const customPalettes = { ...currentConfig.customPalettes };
+      delete customPalettes[paletteId];
+      const indentGuidePalette = currentConfig.indentGuidePalette === paletteId
+        ? DEFAULT_CONFIG.indentGuidePalette
+        : currentConfig.indentGuidePalette;
+      return await this.saveConfig({ ...currentConfig, customPalettes, indentGuidePalette });
+    } catch (error) {
+      console.error('[Coda Extension] Error deleting palette:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create or update a formula snippet
+   * @param {string} snippetId - Snippet identifier
+   * @param {Object} snippet - Snippet definition ({ name, trigger, body })
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveSnippet(snippetId, snippet) {
+    try {
+      const currentConfig = await this.getConfig();
+      const snippets = { ...currentConfig.snippets, [snippetId]: snippet };
+      return await this.saveConfig({ ...currentConfig, snippets });
+    } catch (error) {
+      console.error('[Coda Extension] Error saving snippet:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a formula snippet
+   * @param {string} snippetId - Snippet identifier
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteSnippet(snippetId) {
+    try {
+      const currentConfig = await this.getConfig();
+      const snippets = { ...currentConfig.snippets };
+      delete snippets[snippetId];
+      return await this.saveConfig({ ...currentConfig, snippets });
+    } catch (error) {
+      console.error('[Coda Extension] Error deleting snippet:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add imported snippets to the library (same ids are replaced)
+   * @param {Object} imported - Snippets keyed by id
+   * @returns {Promise<boolean>} Success status
+   */
+  static async importSnippets(imported) {
+    try {
+      const currentConfig = await this.getConfig();
+      const snippets = { ...currentConfig.snippets, ...imported };
+      return await this.saveConfig({ ...currentConfig, snippets });
+    } catch (error) {
+      console.error('[Coda Extension] Error importing snippets:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the saved formula versions
+   * Kept under their own key: the history is data, not settings
+   * @returns {Promise<Object>} Versions ({ text, savedAt }) by formula key, oldest first
+   */
+  static async getHistory() {
+    try {
+      const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+      return result[HISTORY_STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('[Coda Extension] Error getting history:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Append a formula version (unless it repeats the latest one) and apply the retention
+   * @param {string} formulaKey - Doc URL and dialog context of the formula
+   * @param {string} text - Formula text
+   * @param {Object} config - Configuration (historyMaxVersions, historyRetentionDays)
+   * @returns {Promise<boolean>} Success status
+   */
+  static saveFormulaVersion(formulaKey, text, config) {
+    // Each save rewrites the whole history: run them one after the other,
+    // or concurrent saves overwrite each other's versions
+    const saved = historySaves.then(() => this.writeFormulaVersion(formulaKey, text, config));
+    historySaves = saved;
+    return saved;
+  }
+
+  /**
+   * Read, append to and write back the history (queued by saveFormulaVersion)
+   */
+  static async writeFormulaVersion(formulaKey, text, config) {
+    try {
+      const history = await this.getHistory();
+      const versions = history[formulaKey] || [];
+      const latest = versions[versions.length - 1];
+      if (latest && latest.text === text) return true;
+
+      history[formulaKey] = versions.concat({ text, savedAt: Date.now() });
+      const pruned = pruneHistory(history, config.historyMaxVersions, config.historyRetentionDays);
+      await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: pruned });
+      return true;
+    } catch (error) {
+      console.error('[Coda Extension] Error saving formula version:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete every saved formula version
+   * @returns {Promise<boolean>} Success status
+   */
+  static async clearHistory() {
+    try {
+      await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+      return true;
+    } catch (error) {
+      console.error('[Coda Extension] Error clearing history:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the formula library
+   * Kept under its own key, like the history, and shared across docs
+   * @returns {Promise<Object>} Entries ({ name, tags, description, formula, sourceUrl, savedAt }) by id
+   */
+  static async getLibrary() {
+    try {
+      const result = await chrome.storage.local.get(LIBRARY_STORAGE_KEY);
+      return result[LIBRARY_STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('[Coda Extension] Error getting library:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Create or update a library entry
+   * @param {string} formulaId - Entry identifier
+   * @param {Object} entry - Entry ({ name, tags, description, formula, sourceUrl, savedAt })
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveLibraryFormula(formulaId, entry) {
+    try {
+      const library = await this.getLibrary();
+      await chrome.storage.local.set({ [LIBRARY_STORAGE_KEY]: { ...library, [formulaId]: entry } });
+      return true;
+    } catch (error) {
+      console.error('[Coda Extension] Error saving library formula:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a library entry
+   * @param {string} formulaId - Entry identifier
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteLibraryFormula(formulaId) {
+    try {
+      const library = await this.getLibrary();
+      delete library[formulaId];
+      await chrome.storage.local.set({ [LIBRARY_STORAGE_KEY]: library });
+      return true;
+    } catch (error) {
+      console.error('[Coda Extension] Error deleting library formula:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Merge imported entries into the library (same id = replaced)
+   * @param {Object} imported - Entries by id
+   * @returns {Promise<boolean>} Success status
+   */
+  static async importLibrary(imported) {
+    try {
+      const library = await this.getLibrary();
+      await chrome.storage.local.set({ [LIBRARY_STORAGE_KEY]: { ...library, ...imported } });
+      return true;
+    } catch (error) {
+      console.error('[Coda Extension] Error importing library:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the function names pinned in the reference pane
+   * @returns {Promise<Array<string>>} Names, in pinning order
+   */
+  static async getReferenceFavorites() {
+    try {
+      const result = await chrome.storage.local.get(REFERENCE_FAVORITES_KEY);
+      return result[REFERENCE_FAVORITES_KEY] || [];
+    } catch (error) {
+      console.error('[Coda Extension] Error getting reference favorites:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Replace the pinned function names (kept apart from the config, so
+   * pinning does not re-process the open dialogs)
+   * @param {Array<string>} names - Function names
+   * @returns {Promise<boolean>} Success status
+   */
+  static async saveReferenceFavorites(names) {
+    try {
+      await chrome.storage.local.set({ [REFERENCE_FAVORITES_KEY]: names });
+      return true;
+    } catch (error) {
+      console.error('[Coda Extension] Error saving reference favorites:', error);
+      return false;
+    }
+  }
+
   /**
    * Reset to default configuration
+   * User-defined themes, palettes and snippets are user data, not settings: they are kept
    * @returns {Promise<boolean>} Success status
    */
   static async resetToDefaults() {
-    return await this.saveConfig(DEFAULT_CONFIG);
+    const currentConfig = await this.getConfig();
+    return await this.saveConfig({
+      ...DEFAULT_CONFIG,
+      customThemes: currentConfig.customThemes,
+      customPalettes: currentConfig.customPalettes,
+      snippets: currentConfig.snippets
+    });
   }
 
   /**
@@ -11,6 +11,195 @@
   // ============================================================================
 
   const STORAGE_KEY = "codaFormulaConfig";
+  const HISTORY_STORAGE_KEY = "codaFormulaHistory";
+  const LIBRARY_STORAGE_KEY = "codaFormulaLibrary";
+
+  // Pastel rainbow colors for indent levels and bracket depths (darker versions)
+  const PASTEL_COLORS = [
+    "rgba(255, 120, 130, 0.8)", // Darker pastel red
+    "rgba(255, 180, 120, 0.8)", // Darker pastel orange
+    "rgba(240, 220, 100, 0.8)", // Darker pastel yellow
+    "rgba(120, 220, 150, 0.8)", // Darker pastel green
+    "rgba(120, 180, 255, 0.8)", // Darker pastel blue
+    "rgba(200, 140, 210, 0.8)", // Darker pastel purple
+    "rgba(255, 150, 190, 0.8)", // Darker pastel pink
+    "rgba(180, 130, 130, 0.8)", // Darker pastel brown
+  ];
+
+  // Indent guide palettes (config.customPalettes entries use the same shape)
+  const GUIDE_PALETTES = {
+    rainbow: { name: "Pastel rainbow", colors: PASTEL_COLORS },
+    "okabe-ito": {
+      name: "Okabe-Ito (colorblind-safe)",
+      colors: ["#e69f00", "#56b4e9", "#009e73", "#f0e442", "#0072b2", "#d55e00", "#cc79a7", "#999999"],
+    },
+    "blue-orange": {
+      name: "Blue-orange (red-green safe)",
+      colors: ["#0072b2", "#e69f00", "#56b4e9", "#f0e442", "#004488", "#bb7700", "#99ddff", "#777777"],
+    },
+    "red-teal": {
+      name: "Red-teal (blue-yellow safe)",
+      colors: ["#c41e3a", "#009e9e", "#e377c2", "#555555", "#8c1c2c", "#00706e", "#f4a3b5", "#9e9e9e"],
+    },
+    monochrome: {
+      name: "Monochrome",
+      colors: ["#9e9e9e", "#7a7a7a", "#b5b5b5", "#5c5c5c", "#c9c9c9", "#8a8a8a", "#6b6b6b", "#adadad"],
+    },
+    "high-contrast": {
+      name: "High contrast",
+      colors: ["#ffff00", "#00ffff", "#ff00ff", "#00ff00", "#ff8000", "#ffffff", "#80a0ff", "#ff6060"],
+    },
+  };
+
+  // Built-in editor themes (config.customThemes entries use the same shape)
+  const BUILT_IN_THEMES = {
+    light: {
+      name: "Light",
+      background: "#ffffff",
+      foreground: "#000000",
+      selection: "#add6ff",
+      currentLine: "#f3f3f3",
+      tokens: {
+        function: "#795e26",
+        method: "#267f99",
+        keyword: "#0000ff",
+        reference: "#001080",
+        string: "#a31515",
+        number: "#098658",
+        operator: "#af00db",
+      },
+      indentGuides: PASTEL_COLORS,
+      docPanel: { background: "#ffffff", foreground: "#000000", border: "#f0f0f0" },
+    },
+    dark: {
+      name: "Dark",
+      background: "#1e1e1e",
+      foreground: "#d4d4d4",
+      selection: "#264f78",
+      currentLine: "#2a2d2e",
+      tokens: {
+        function: "#dcdcaa",
+        method: "#4ec9b0",
+        keyword: "#569cd6",
+        reference: "#9cdcfe",
+        string: "#ce9178",
+        number: "#b5cea8",
+        operator: "#c586c0",
+      },
+      indentGuides: PASTEL_COLORS,
+      docPanel: { background: "#252526", foreground: "#cccccc", border: "#3c3c3c" },
+    },
+    sepia: {
+      name: "Sepia",
+      background: "#f4ecd8",
+      foreground: "#5b4636",
+      selection: "#e0d2b0",
+      currentLine: "#ede3c9",
+      tokens: {
+        function: "#8b4513",
+        method: "#6b5b95",
+        keyword: "#2f4f8f",
+        reference: "#3e5c4a",
+        string: "#9c3d2e",
+        number: "#7a6a00",
+        operator: "#8e3b6e",
+      },
+      indentGuides: PASTEL_COLORS,
+      docPanel: { background: "#f8f1e3", foreground: "#5b4636", border: "#e0d2b0" },
+    },
+    "high-contrast": {
+      name: "High Contrast",
+      background: "#000000",
+      foreground: "#ffffff",
+      selection: "#1a4d8f",
+      currentLine: "#1a1a1a",
+      tokens: {
+        function: "#ffff00",
+        method: "#00ffff",
+        keyword: "#ff9900",
+        reference: "#ffffff",
+        string: "#00ff00",
+        number: "#ff80ff",
+        operator: "#ffffff",
+      },
+      indentGuides: GUIDE_PALETTES["high-contrast"].colors,
+      docPanel: { background: "#000000", foreground: "#ffffff", border: "#6fc3df" },
+    },
+    protanopia: {
+      name: "Protanopia (Colorblind)",
+      background: "#f5f5f0",
+      foreground: "#005a9c",
+      selection: "#cce4f6",
+      currentLine: "#ebebe4",
+      tokens: {
+        function: "#0072b2",
+        method: "#56b4e9",
+        keyword: "#000000",
+        reference: "#004466",
+        string: "#e69f00",
+        number: "#cc79a7",
+        operator: "#555555",
+      },
+      indentGuides: GUIDE_PALETTES["blue-orange"].colors,
+      docPanel: { background: "#fafaf5", foreground: "#005a9c", border: "#dcdcd2" },
+    },
+    deuteranopia: {
+      name: "Deuteranopia (Colorblind)",
+      background: "#f0f0f5",
+      foreground: "#8b4513",
+      selection: "#d6d6ea",
+      currentLine: "#e6e6ee",
+      tokens: {
+        function: "#0072b2",
+        method: "#56b4e9",
+        keyword: "#000000",
+        reference: "#5a3a1a",
+        string: "#e69f00",
+        number: "#cc79a7",
+        operator: "#555555",
+      },
+      indentGuides: GUIDE_PALETTES["blue-orange"].colors,
+      docPanel: { background: "#f7f7fa", foreground: "#8b4513", border: "#d8d8e4" },
+    },
+    tritanopia: {
+      name: "Tritanopia (Colorblind)",
+      background: "#fff5f0",
+      foreground: "#c41e3a",
+      selection: "#f8d5cc",
+      currentLine: "#fbeae2",
+      tokens: {
+        function: "#a50f15",
+        method: "#d6604d",
+        keyword: "#000000",
+        reference: "#67001f",
+        string: "#1b7837",
+        number: "#762a83",
+        operator: "#555555",
+      },
+      indentGuides: GUIDE_PALETTES["red-teal"].colors,
+      docPanel: { background: "#fffaf7", foreground: "#c41e3a", border: "#f0dcd2" },
+    },
+  };
+
+  // Same as the content script: the find bar takes over Cmd+F on macOS
+  const IS_MAC = /Mac/.test(navigator.platform);
+
+  const EDITOR_SHORTCUTS = {
+    format: "Shift+Alt+F",
+    minify: "Shift+Alt+M",
+    duplicateLine: "Shift+Alt+ArrowDown",
+    moveLineUp: "Alt+ArrowUp",
+    moveLineDown: "Alt+ArrowDown",
+    deleteLine: "Ctrl+Shift+K",
+    joinLines: "Ctrl+J",
+    find: IS_MAC ? "Meta+F" : "Ctrl+F",
+    insertSnippet: "Shift+Alt+S",
+    history: "Shift+Alt+H",
+    saveToLibrary: "Shift+Alt+B",
+    insertFromLibrary: "Shift+Alt+L",
+    foldAll: "Shift+Alt+0",
+    unfoldAll: "Shift+Alt+J",
+  };
 
   const DEFAULT_CONFIG = {
     modalWidth: 95,
@@ -20,15 +209,68 @@
     transparentBackground: false,
     showDocumentation: true,
     documentationPosition: "right",
+    referencePane: "off",
     editorProportion: 66,
     documentationProportion: 34,
     editorFontSize: 14,
     editorLineHeight: 1.5,
     editorFontFamily: "monospace",
+    customFontFamily: "",
+    editorFontWeight: 400,
+    editorLetterSpacing: 0,
+    editorLigatures: true,
     editorTheme: "light",
     showIndentGuides: true,
     indentGuideStyle: "dotted",
+    indentUnit: 2,
+    indentGuidePalette: "theme",
+    indentGuideWidth: 1,
+    indentGuideOpacity: 0.7,
+    customPalettes: {},
     highlightActiveIndent: true,
+    customThemes: {},
+    autoThemeLight: "light",
+    autoThemeDark: "dark",
+    autoThemeSource: "coda",
+    autoThemeDarkStart: "19:00",
+    autoThemeDarkEnd: "07:00",
+    syntaxHighlighting: true,
+    bracketPairColorization: true,
+    showLineNumbers: true,
+    codeFolding: true,
+    functionHoverDocs: true,
+    signatureHelp: true,
+    showBreadcrumbs: true,
+    autoCloseBrackets: {
+      parentheses: true,
+      squareBrackets: true,
+      curlyBraces: true,
+      quotes: true,
+    },
+    smartIndent: true,
+    keyBindings: {},
+    snippets: {
+      "filter-this-row": {
+        name: "Filter rows matching this row",
+        trigger: "filterrow",
+        body: "thisTable.Filter(CurrentValue.${1:Column} = thisRow.${1:Column})$0",
+      },
+      "with-name": {
+        name: "WithName",
+        trigger: "withname",
+        body: "WithName(${1:value}, ${2:Name},\n\t$0\n)",
+      },
+    },
+    historyMaxVersions: 20,
+    historyRetentionDays: 30,
+    lintFormulas: true,
+    lintRules: {
+      unbalancedBrackets: true,
+      unterminatedStrings: true,
+      extraCommas: true,
+      emptyArguments: true,
+      ifArgumentCount: true,
+    },
     presets: {
       default: { modalWidth: 80, modalHeight: 80, editorProportion: 66 },
       medium: { modalWidth: 90, modalHeight: 90, editorProportion: 60 },
@@ -44,6 +286,12 @@
     if (config.modalTop < 0 || config.modalTop > 100) return false;
     const validPositions = ["left", "right", "top", "bottom", "none"];
     if (!validPositions.includes(config.documentationPosition)) return false;
+    const validReferencePanes = ["off", "replace", "alongside"];
+    if (
+      config.referencePane &&
+      !validReferencePanes.includes(config.referencePane)
+    )
+      return false;
     if (config.editorProportion < 30 || config.editorProportion > 80)
       return false;
     if (
@@ -62,22 +310,56 @@
       "jetbrains-mono",
       "source-code-pro",
       "opendyslexic",
+      "custom",
     ];
     if (
       config.editorFontFamily &&
       !validFonts.includes(config.editorFontFamily)
     )
       return false;
-    const validThemes = [
-      "light",
-      "dark",
-      "sepia",
-      "high-contrast",
-      "protanopia",
-      "deuteranopia",
-      "tritanopia",
-    ];
-    if (config.editorTheme && !validThemes.includes(config.editorTheme))
+    if (
+      config.editorFontFamily === "custom" &&
+      !isValidFontStack(config.customFontFamily)
+    )
+      return false;
+    if (
+      config.editorFontWeight &&
+      (config.editorFontWeight < 100 || config.editorFontWeight > 900)
+    )
+      return false;
+    if (
+      config.editorLetterSpacing &&
+      (config.editorLetterSpacing < -1 || config.editorLetterSpacing > 3)
+    )
+      return false;
+    const customThemes = config.customThemes || {};
+    if (!Object.values(customThemes).every(isValidTheme)) return false;
+    const validThemes = Object.keys(BUILT_IN_THEMES).concat(
+      Object.keys(customThemes)
+    );
+    if (
+      config.editorTheme &&
+      config.editorTheme !== "auto" &&
+      !validThemes.includes(config.editorTheme)
+    )
+      return false;
+    if (config.autoThemeLight && !validThemes.includes(config.autoThemeLight))
+      return false;
+    if (config.autoThemeDark && !validThemes.includes(config.autoThemeDark))
+      return false;
+    const validAutoSources = ["coda", "system", "schedule"];
+    if (
+      config.autoThemeSource &&
+      !validAutoSources.includes(config.autoThemeSource)
+    )
+      return false;
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (
+      config.autoThemeDarkStart &&
+      !timePattern.test(config.autoThemeDarkStart)
+    )
+      return false;
+    if (config.autoThemeDarkEnd && !timePattern.test(config.autoThemeDarkEnd))
       return false;
     const validIndentStyles = ["solid", "dotted", "dashed"];
     if (
@@ -85,9 +367,217 @@
       !validIndentStyles.includes(config.indentGuideStyle)
     )
       return false;
+    const validIndentUnits = [2, 4, "tab"];
+    if (
+      config.indentUnit !== undefined &&
+      !validIndentUnits.includes(config.indentUnit)
+    )
+      return false;
+    const customPalettes = config.customPalettes || {};
+    if (!Object.values(customPalettes).every(isValidPalette)) return false;
+    const validPalettes = ["theme"].concat(
+      Object.keys(GUIDE_PALETTES),
+      Object.keys(customPalettes)
+    );
+    if (
+      config.indentGuidePalette &&
+      !validPalettes.includes(config.indentGuidePalette)
+    )
+      return false;
+    if (
+      config.indentGuideWidth &&
+      (config.indentGuideWidth < 1 || config.indentGuideWidth > 4)
+    )
+      return false;
+    if (
+      config.indentGuideOpacity &&
+      (config.indentGuideOpacity < 0.1 || config.indentGuideOpacity > 1)
+    )
+      return false;
+    if (
+      config.lintRules &&
+      !Object.values(config.lintRules).every((value) => typeof value === "boolean")
+    )
+      return false;
+    if (
+      config.autoCloseBrackets &&
+      !Object.values(config.autoCloseBrackets).every(
+        (value) => typeof value === "boolean"
+      )
+    )
+      return false;
+    if (
+      config.keyBindings &&
+      !Object.values(config.keyBindings).every(isValidShortcut)
+    )
+      return false;
+    if (config.snippets && !Object.values(config.snippets).every(isValidSnippet))
+      return false;
+    const validHistoryVersions = [10, 20, 50, 100];
+    if (
+      config.historyMaxVersions !== undefined &&
+      !validHistoryVersions.includes(config.historyMaxVersions)
+    )
+      return false;
+    const validRetentionDays = [7, 30, 90, 365];
+    if (
+      config.historyRetentionDays !== undefined &&
+      !validRetentionDays.includes(config.historyRetentionDays)
+    )
+      return false;
     return true;
   }
 
+  function isValidTheme(theme) {
+    return (
+      !!theme &&
+      typeof theme.name === "string" &&
+      theme.name.trim() !== "" &&
+      typeof theme.background === "string" &&
+      typeof theme.foreground === "string"
+    );
+  }
+
+  function isValidFontStack(stack) {
+    return (
+      typeof stack === "string" &&
+      stack.trim() !== "" &&
+      stack.length <= 200 &&
+      /^[^;{}<>\\\n]+$/.test(stack)
+    );
+  }
+
+  function isValidShortcut(shortcut) {
+    return (
+      typeof shortcut === "string" &&
+      /^((Ctrl|Alt|Shift|Meta)\+)+[^+\s]+$/.test(shortcut)
+    );
+  }
+
+  function isValidSnippet(snippet) {
+    return (
+      !!snippet &&
+      typeof snippet.name === "string" &&
+      snippet.name.trim() !== "" &&
+      typeof snippet.trigger === "string" &&
+      /^([A-Za-z_]\w{0,29})?$/.test(snippet.trigger) &&
+      typeof snippet.body === "string" &&
+      snippet.body !== ""
+    );
+  }
+
+  function isValidLibraryFormula(entry) {
+    return (
+      !!entry &&
+      typeof entry.name === "string" &&
+      entry.name.trim() !== "" &&
+      typeof entry.formula === "string" &&
+      entry.formula.trim() !== "" &&
+      (entry.tags === undefined ||
+        (Array.isArray(entry.tags) && entry.tags.every((tag) => typeof tag === "string"))) &&
+      (entry.description === undefined || typeof entry.description === "string") &&
+      (entry.sourceUrl === undefined || typeof entry.sourceUrl === "string")
+    );
+  }
+
+  function isValidPalette(palette) {
+    return (
+      !!palette &&
+      typeof palette.name === "string" &&
+      palette.name.trim() !== "" &&
+      Array.isArray(palette.colors) &&
+      palette.colors.length > 0 &&
+      palette.colors.every((color) => typeof color === "string")
+    );
+  }
+
+  function normalizeTheme(theme) {
+    const base = BUILT_IN_THEMES.light;
+    return {
+      ...base,
+      ...theme,
+      tokens: { ...base.tokens, ...theme.tokens },
+      docPanel: { ...base.docPanel, ...theme.docPanel },
+      indentGuides:
+        Array.isArray(theme.indentGuides) && theme.indentGuides.length > 0
+          ? theme.indentGuides
+          : base.indentGuides,
+    };
+  }
+
+  // <input type="color"> only accepts #rrggbb
+  function toHexColor(color) {
+    if (/^#[0-9a-f]{6}$/i.test(color)) return color.toLowerCase();
+    const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+    if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toLowerCase();
+    const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color || "");
+    if (rgb) {
+      return `#${rgb.slice(1, 4).map((c) => Number(c).toString(16).padStart(2, "0")).join("")}`;
+    }
+    return "#000000";
+  }
+
+  function getThemeField(theme, field) {
+    return field.split(".").reduce((value, key) => (value ? value[key] : undefined), theme);
+  }
+
+  function setThemeField(theme, field, value) {
+    const keys = field.split(".");
+    const last = keys.pop();
+    const target = keys.reduce((obj, key) => (obj[key] = { ...obj[key] }), theme);
+    target[last] = value;
+  }
+
+  const GENERIC_FONT_FAMILIES = [
+    "monospace",
+    "serif",
+    "sans-serif",
+    "system-ui",
+    "ui-monospace",
+    "cursive",
+    "fantasy",
+  ];
+
+  function parseFontStack(stack) {
+    return (stack || "")
+      .split(",")
+      .map((family) => family.trim().replace(/^["']|["']$/g, ""))
+      .filter(Boolean);
+  }
+
+  // Shortcut string for a keydown ("Shift+Alt+F"), or null for a bare key
+  // or a modifier on its own
+  function formatShortcut(event) {
+    if (["Control", "Alt", "Shift", "Meta"].includes(event.key)) return null;
+    if (!event.ctrlKey && !event.altKey && !event.metaKey) return null;
+
+    let key = event.key;
+    if (/^Key[A-Z]$/.test(event.code)) key = event.code.slice(3);
+    else if (/^Digit\d$/.test(event.code)) key = event.code.slice(5);
+    if (key === "+" || /\s/.test(key)) return null;
+
+    const modifiers = [
+      event.ctrlKey && "Ctrl",
+      event.shiftKey && "Shift",
+      event.altKey && "Alt",
+      event.metaKey && "Meta",
+    ].filter(Boolean);
+    return [...modifiers, key].join("+");
+  }
+
+  // A font is installed when it renders differently from a generic fallback
+  function isFontAvailable(family) {
+    const context = document.createElement("canvas").getContext("2d");
+    if (!context) return true;
+    const sample = "mmmmmmmmmmlli10O=>";
+    return ["monospace", "serif"].some((fallback) => {
+      context.font = `72px ${fallback}`;
+      const baseline = context.measureText(sample).width;
+      context.font = `72px "${family}", ${fallback}`;
+      return context.measureText(sample).width !== baseline;
+    });
+  }
+
   function mergeConfig(userConfig) {
     return {
       ...DEFAULT_CONFIG,
@@ -97,6 +587,18 @@
     };
   }
 
+  function pruneHistory(history, maxVersions, retentionDays, now = Date.now()) {
+    const oldest = now - retentionDays * 24 * 60 * 60 * 1000;
+    const pruned = {};
+    Object.entries(history).forEach(([formulaKey, versions]) => {
+      const kept = versions
+        .filter((version) => version.savedAt >= oldest)
+        .slice(-maxVersions);
+      if (kept.length > 0) pruned[formulaKey] = kept;
+    });
+    return pruned;
+  }
+
   const StorageManager = {
     async getConfig() {
       try {
@@ -145,8 +647,212 @@
       }
     },
 
+    async saveCustomTheme(themeId, theme) {
+      try {
+        const currentConfig = await this.getConfig();
+        const customThemes = { ...currentConfig.customThemes, [themeId]: theme };
+        return await this.saveConfig({
+          ...currentConfig,
+          customThemes,
+          editorTheme: themeId,
+        });
+      } catch (error) {
+        console.error("[Coda Extension] Error saving theme:", error);
+        return false;
+      }
+    },
+
+    async deleteCustomTheme(themeId) {
+      try {
+        const currentConfig = await this.getConfig();
+        const customThemes = { ...currentConfig.customThemes };
+        delete customThemes[themeId];
+        // Fall back to the defaults wherever the deleted theme was in use
+        const fallback = (key) =>
+          currentConfig[key] === themeId ? DEFAULT_CONFIG[key] : currentConfig[key];
+        return await this.saveConfig({
+          ...currentConfig,
+          customThemes,
+          editorTheme: fallback("editorTheme"),
+          autoThemeLight: fallback("autoThemeLight"),
+          autoThemeDark: fallback("autoThemeDark"),
+        });
+      } catch (error) {
+        console.error("[Coda Extension] Error deleting theme:", error);
+        return false;
+      }
+    },
+
+    async saveCustomPalette(paletteId, palette) {
+      try {
+        const currentConfig = await this.getConfig();
+        const customPalettes = {
+          ...currentConfig.customPalettes,
+          [paletteId]: palette,
+        };
+        return await this.saveConfig({
+          ...currentConfig,
+          customPalettes,
+          indentGuidePalette: paletteId,
+        });
+      } catch (error) {
+        console.error("[Coda Extension] Error saving palette:", error);
+        return false;
+      }
+    },
+
+    async deleteCustomPalette(paletteId) {
+      try {
+        const currentConfig = await this.getConfig();
+        const customPalettes = { ...currentConfig.customPalettes };
+        delete customPalettes[paletteId];
+        const indentGuidePalette =
+          currentConfig.indentGuidePalette === paletteId
+            ? DEFAULT_CONFIG.indentGuidePalette
+            : currentConfig.indentGuidePalette;
+        return await this.saveConfig({
+          ...currentConfig,
+          customPalettes,
+          indentGuidePalette,
+        });
+      } catch (error) {
+        console.error("[Coda Extension] Error deleting palette:", error);
+        return false;
+      }
+    },
+
+    async saveSnippet(snippetId, snippet) {
+      try {
+        const currentConfig = await this.getConfig();
+        const snippets = { ...currentConfig.snippets, [snippetId]: snippet };
+        return await this.saveConfig({ ...currentConfig, snippets });
+      } catch (error) {
+        console.error("[Coda Extension] Error saving snippet:", error);
+        return false;
+      }
+    },
+
+    async deleteSnippet(snippetId) {
+      try {
+        const currentConfig = await this.getConfig();
+        const snippets = { ...currentConfig.snippets };
+        delete snippets[snippetId];
+        return await this.saveConfig({ ...currentConfig, snippets });
+      } catch (error) {
+        console.error("[Coda Extension] Error deleting snippet:", error);
+        return false;
+      }
+    },
+
+    async importSnippets(imported) {
+      try {
+        const currentConfig = await this.getConfig();
+        const snippets = { ...currentConfig.snippets, ...imported };
+        return await this.saveConfig({ ...currentConfig, snippets });
+      } catch (error) {
+        console.error("[Coda Extension] Error importing snippets:", error);
+        return false;
+      }
+    },
+
+    async getHistory() {
+      try {
+        const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+        return result[HISTORY_STORAGE_KEY] || {};
+      } catch (error) {
+        console.error("[Coda Extension] Error getting history:", error);
+        return {};
+      }
+    },
+
+    async saveFormulaVersion(formulaKey, text, config) {
+      try {
+        const history = await this.getHistory();
+        const versions = history[formulaKey] || [];
+        const latest = versions[versions.length - 1];
+        if (latest && latest.text === text) return true;
+
+        history[formulaKey] = versions.concat({ text, savedAt: Date.now() });
+        const pruned = pruneHistory(
+          history,
+          config.historyMaxVersions,
+          config.historyRetentionDays
+        );
+        await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: pruned });
+        return true;
+      } catch (error) {
+        console.error("[Coda Extension] Error saving formula version:", error);
+        return false;
+      }
+    },
+
+    async clearHistory() {
+      try {
+        await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+        return true;
+      } catch (error) {
+        console.error("[Coda Extension] Error clearing history:", error);
+        return false;
+      }
+    },
+
+    async getLibrary() {
+      try {
+        const result = await chrome.storage.local.get(LIBRARY_STORAGE_KEY);
+        return result[LIBRARY_STORAGE_KEY] || {};
+      } catch (error) {
+        console.error("[Coda Extension] Error getting library:", error);
+        return {};
+      }
+    },
+
+    async saveLibraryFormula(formulaId, entry) {
+      try {
+        const library = await this.getLibrary();
+        await chrome.storage.local.set({
+          [LIBRARY_STORAGE_KEY]: { ...library, [formulaId]: entry },
+        });
+        return true;
+      } catch (error) {
+        console.error("[Coda Extension] Error saving library formula:", error);
+        return false;
+      }
+    },
+
+    async deleteLibraryFormula(formulaId) {
+      try {
+        const library = await this.getLibrary();
+        delete library[formulaId];
+        await chrome.storage.local.set({ [LIBRARY_STORAGE_KEY]: library });
+        return true;
+      } catch (error) {
+        console.error("[Coda Extension] Error deleting library formula:", error);
+        return false;
+      }
+    },
+
+    async importLibrary(imported) {
+      try {
+        const library = await this.getLibrary();
+        await chrome.storage.local.set({
+          [LIBRARY_STORAGE_KEY]: { ...library, ...imported },
+        });
+        return true;
+      } catch (error) {
+        console.error("[Coda Extension] Error importing library:", error);
+        return false;
+      }
+    },
+
     async resetToDefaults() {
-      return await this.saveConfig(DEFAULT_CONFIG);
+      // User-defined themes, palettes and snippets are user data, not settings: keep them
+      const currentConfig = await this.getConfig();
+      return await this.saveConfig({
+        ...DEFAULT_CONFIG,
+        customThemes: currentConfig.customThemes,
+        customPalettes: currentConfig.customPalettes,
+        snippets: currentConfig.snippets,
+      });
     },
 
     async notifyConfigChange(config) {
@@ -172,6 +878,10 @@
       this.config = null;
       this.elements = {};
       this.currentTheme = "light";
+      this.editingThemeId = null;
+      this.editingPaletteId = null;
+      this.editingSnippetId = null;
+      this.library = {};
       this.init();
     }
 
@@ -209,18 +919,108 @@
         editorLineHeight: document.getElementById("editorLineHeight"),
         lineHeightValue: document.getElementById("lineHeightValue"),
         editorFontFamily: document.getElementById("editorFontFamily"),
+        customFontOptions: document.getElementById("customFontOptions"),
+        customFontFamily: document.getElementById("customFontFamily"),
+        fontWarning: document.getElementById("fontWarning"),
+        editorFontWeight: document.getElementById("editorFontWeight"),
+        fontWeightValue: document.getElementById("fontWeightValue"),
+        editorLetterSpacing: document.getElementById("editorLetterSpacing"),
+        letterSpacingValue: document.getElementById("letterSpacingValue"),
+        editorLigatures: document.getElementById("editorLigatures"),
         editorTheme: document.getElementById("editorTheme"),
+        newThemeBtn: document.getElementById("newThemeBtn"),
+        duplicateThemeBtn: document.getElementById("duplicateThemeBtn"),
+        editThemeBtn: document.getElementById("editThemeBtn"),
+        deleteThemeBtn: document.getElementById("deleteThemeBtn"),
+        themeEditor: document.getElementById("themeEditor"),
+        themeName: document.getElementById("themeName"),
+        themeFieldInputs: document.querySelectorAll("[data-theme-field]"),
+        themePaletteInputs: document.querySelectorAll(
+          "[data-theme-palette-index]"
+        ),
+        saveThemeBtn: document.getElementById("saveThemeBtn"),
+        cancelThemeBtn: document.getElementById("cancelThemeBtn"),
+        autoThemeOptions: document.getElementById("autoThemeOptions"),
+        autoThemeSource: document.getElementById("autoThemeSource"),
+        autoThemeLight: document.getElementById("autoThemeLight"),
+        autoThemeDark: document.getElementById("autoThemeDark"),
+        autoThemeSchedule: document.getElementById("autoThemeSchedule"),
+        autoThemeDarkStart: document.getElementById("autoThemeDarkStart"),
+        autoThemeDarkEnd: document.getElementById("autoThemeDarkEnd"),
+        syntaxHighlighting: document.getElementById("syntaxHighlighting"),
+        bracketPairColorization: document.getElementById(
+          "bracketPairColorization"
+        ),
+        showLineNumbers: document.getElementById("showLineNumbers"),
+        codeFolding: document.getElementById("codeFolding"),
+        functionHoverDocs: document.getElementById("functionHoverDocs"),
+        signatureHelp: document.getElementById("signatureHelp"),
+        showBreadcrumbs: document.getElementById("showBreadcrumbs"),
+        autoCloseInputs: document.querySelectorAll("[data-auto-close]"),
+        smartIndent: document.getElementById("smartIndent"),
 
         // Indent guides
         showIndentGuides: document.getElementById("showIndentGuides"),
         indentGuidesOptions: document.getElementById("indentGuidesOptions"),
         indentGuideStyle: document.getElementById("indentGuideStyle"),
+        indentUnit: document.getElementById("indentUnit"),
+        indentGuidePalette: document.getElementById("indentGuidePalette"),
+        newPaletteBtn: document.getElementById("newPaletteBtn"),
+        editPaletteBtn: document.getElementById("editPaletteBtn"),
+        deletePaletteBtn: document.getElementById("deletePaletteBtn"),
+        paletteEditor: document.getElementById("paletteEditor"),
+        paletteName: document.getElementById("paletteName"),
+        paletteColorInputs: document.querySelectorAll("[data-palette-index]"),
+        savePaletteBtn: document.getElementById("savePaletteBtn"),
+        cancelPaletteBtn: document.getElementById("cancelPaletteBtn"),
+        indentGuideWidth: document.getElementById("indentGuideWidth"),
+        guideWidthValue: document.getElementById("guideWidthValue"),
+        indentGuideOpacity: document.getElementById("indentGuideOpacity"),
+        guideOpacityValue: document.getElementById("guideOpacityValue"),
         highlightActiveIndent: document.getElementById("highlightActiveIndent"),
 
+        // Formula checks
+        lintFormulas: document.getElementById("lintFormulas"),
+        lintOptions: document.getElementById("lintOptions"),
+        lintRuleInputs: document.querySelectorAll("[data-lint-rule]"),
+
+        // Snippets
+        snippetSelect: document.getElementById("snippetSelect"),
+        newSnippetBtn: document.getElementById("newSnippetBtn"),
+        editSnippetBtn: document.getElementById("editSnippetBtn"),
+        deleteSnippetBtn: document.getElementById("deleteSnippetBtn"),
+        importSnippetsBtn: document.getElementById("importSnippetsBtn"),
+        exportSnippetsBtn: document.getElementById("exportSnippetsBtn"),
+        snippetImportFile: document.getElementById("snippetImportFile"),
+        snippetEditor: document.getElementById("snippetEditor"),
+        snippetName: document.getElementById("snippetName"),
+        snippetTrigger: document.getElementById("snippetTrigger"),
+        snippetBody: document.getElementById("snippetBody"),
+        saveSnippetBtn: document.getElementById("saveSnippetBtn"),
+        cancelSnippetBtn: document.getElementById("cancelSnippetBtn"),
+
+        // Formula library
+        librarySelect: document.getElementById("librarySelect"),
+        libraryDetails: document.getElementById("libraryDetails"),
+        deleteLibraryFormulaBtn: document.getElementById("deleteLibraryFormulaBtn"),
+        importLibraryBtn: document.getElementById("importLibraryBtn"),
+        exportLibraryBtn: document.getElementById("exportLibraryBtn"),
+        libraryImportFile: document.getElementById("libraryImportFile"),
+
+        // Version history
+        historyMaxVersions: document.getElementById("historyMaxVersions"),
+        historyRetentionDays: document.getElementById("historyRetentionDays"),
+        historySummary: document.getElementById("historySummary"),
+        clearHistoryBtn: document.getElementById("clearHistoryBtn"),
+
+        // Shortcuts
+        shortcutInputs: document.querySelectorAll("[data-shortcut]"),
+
         // Documentation
         showDocumentation: document.getElementById("showDocumentation"),
         documentationOptions: document.getElementById("documentationOptions"),
         positionButtons: document.querySelectorAll(".position-btn"),
+        referencePane: document.getElementById("referencePane"),
         editorProportion: document.getElementById("editorProportion"),
         proportionValue: document.getElementById("proportionValue"),
 
@@ -276,11 +1076,148 @@
         this.elements.lineHeightValue.textContent = e.target.value;
       });
 
+      this.elements.editorFontFamily.addEventListener("change", (e) =>
+        this.toggleCustomFontOptions(e.target.value === "custom")
+      );
+      this.elements.customFontFamily.addEventListener("input", () =>
+        this.checkFontAvailability()
+      );
+
+      this.elements.editorFontWeight.addEventListener("input", (e) => {
+        this.elements.fontWeightValue.textContent = e.target.value;
+      });
+
+      this.elements.editorLetterSpacing.addEventListener("input", (e) => {
+        this.elements.letterSpacingValue.textContent = `${e.target.value}px`;
+      });
+
+      // Theme management
+      this.elements.editorTheme.addEventListener("change", () =>
+        this.updateThemeActions()
+      );
+      this.elements.autoThemeSource.addEventListener("change", (e) =>
+        this.toggleAutoThemeSchedule(e.target.value === "schedule")
+      );
+      this.elements.newThemeBtn.addEventListener("click", () => {
+        const base = this.getTheme(this.elements.editorTheme.value);
+        this.openThemeEditor(null, { ...base, name: "My theme" });
+      });
+      this.elements.duplicateThemeBtn.addEventListener("click", () => {
+        const source = this.getTheme(this.elements.editorTheme.value);
+        this.openThemeEditor(null, { ...source, name: `${source.name} (copy)` });
+      });
+      this.elements.editThemeBtn.addEventListener("click", () => {
+        const themeId = this.elements.editorTheme.value;
+        this.openThemeEditor(themeId, this.getTheme(themeId));
+      });
+      this.elements.deleteThemeBtn.addEventListener("click", () =>
+        this.handleThemeDelete()
+      );
+      this.elements.saveThemeBtn.addEventListener("click", () =>
+        this.handleThemeSave()
+      );
+      this.elements.cancelThemeBtn.addEventListener("click", () =>
+        this.closeThemeEditor()
+      );
+
+      // Guide palettes
+      this.elements.indentGuidePalette.addEventListener("change", () =>
+        this.updatePaletteActions()
+      );
+      this.elements.newPaletteBtn.addEventListener("click", () => {
+        const colors = this.getPaletteColors(this.elements.indentGuidePalette.value);
+        this.openPaletteEditor(null, { name: "My palette", colors });
+      });
+      this.elements.editPaletteBtn.addEventListener("click", () => {
+        const paletteId = this.elements.indentGuidePalette.value;
+        this.openPaletteEditor(paletteId, this.config.customPalettes[paletteId]);
+      });
+      this.elements.deletePaletteBtn.addEventListener("click", () =>
+        this.handlePaletteDelete()
+      );
+      this.elements.savePaletteBtn.addEventListener("click", () =>
+        this.handlePaletteSave()
+      );
+      this.elements.cancelPaletteBtn.addEventListener("click", () =>
+        this.closePaletteEditor()
+      );
+      this.elements.indentGuideWidth.addEventListener("input", (e) => {
+        this.elements.guideWidthValue.textContent = `${e.target.value}px`;
+      });
+      this.elements.indentGuideOpacity.addEventListener("input", (e) => {
+        this.elements.guideOpacityValue.textContent = `${e.target.value}%`;
+      });
+
       // Indent guides checkbox
       this.elements.showIndentGuides.addEventListener("change", (e) => {
         this.toggleIndentGuidesOptions(e.target.checked);
       });
 
+      // Formula checks checkbox
+      this.elements.lintFormulas.addEventListener("change", (e) => {
+        this.elements.lintOptions.classList.toggle("hidden", !e.target.checked);
+      });
+
+      // Snippets
+      this.elements.snippetSelect.addEventListener("change", () =>
+        this.updateSnippetActions()
+      );
+      this.elements.newSnippetBtn.addEventListener("click", () => {
+        this.openSnippetEditor(null, { name: "", trigger: "", body: "" });
+      });
+      this.elements.editSnippetBtn.addEventListener("click", () => {
+        const snippetId = this.elements.snippetSelect.value;
+        this.openSnippetEditor(snippetId, this.config.snippets[snippetId]);
+      });
+      this.elements.deleteSnippetBtn.addEventListener("click", () =>
+        this.handleSnippetDelete()
+      );
+      this.elements.saveSnippetBtn.addEventListener("click", () =>
+        this.handleSnippetSave()
+      );
+      this.elements.cancelSnippetBtn.addEventListener("click", () =>
+        this.closeSnippetEditor()
+      );
+      this.elements.snippetBody.addEventListener("keydown", (e) =>
+        this.insertSnippetTab(e)
+      );
+      this.elements.exportSnippetsBtn.addEventListener("click", () =>
+        this.handleSnippetExport()
+      );
+      this.elements.importSnippetsBtn.addEventListener("click", () =>
+        this.elements.snippetImportFile.click()
+      );
+      this.elements.snippetImportFile.addEventListener("change", (e) =>
+        this.handleSnippetImport(e.target.files[0])
+      );
+
+      // Formula library
+      this.elements.librarySelect.addEventListener("change", () =>
+        this.updateLibraryDetails()
+      );
+      this.elements.deleteLibraryFormulaBtn.addEventListener("click", () =>
+        this.handleLibraryDelete()
+      );
+      this.elements.exportLibraryBtn.addEventListener("click", () =>
+        this.handleLibraryExport()
+      );
+      this.elements.importLibraryBtn.addEventListener("click", () =>
+        this.elements.libraryImportFile.click()
+      );
+      this.elements.libraryImportFile.addEventListener("change", (e) =>
+        this.handleLibraryImport(e.target.files[0])
+      );
+
+      // Version history
+      this.elements.clearHistoryBtn.addEventListener("click", () =>
+        this.handleClearHistory()
+      );
+
+      // Shortcut fields record the next key combination
+      this.elements.shortcutInputs.forEach((input) => {
+        input.addEventListener("keydown", (e) => this.recordShortcut(e));
+      });
+
       // Documentation checkbox
       this.elements.showDocumentation.addEventListener("change", (e) => {
         this.toggleDocumentationOptions(e.target.checked);
@@ -376,7 +1313,42 @@
         this.config.editorLineHeight || 1.5;
       this.elements.editorFontFamily.value =
         this.config.editorFontFamily || "monospace";
-      this.elements.editorTheme.value = this.config.editorTheme || "light";
+      this.elements.customFontFamily.value = this.config.customFontFamily || "";
+      this.toggleCustomFontOptions(this.config.editorFontFamily === "custom");
+      this.elements.editorFontWeight.value = this.config.editorFontWeight || 400;
+      this.elements.fontWeightValue.textContent =
+        this.config.editorFontWeight || 400;
+      this.elements.editorLetterSpacing.value =
+        this.config.editorLetterSpacing || 0;
+      this.elements.letterSpacingValue.textContent = `${
+        this.config.editorLetterSpacing || 0
+      }px`;
+      this.elements.editorLigatures.checked =
+        this.config.editorLigatures !== false;
+      this.renderThemeOptions(this.config.editorTheme || "light");
+      this.fillThemeSelect(this.elements.autoThemeLight, this.config.autoThemeLight, false);
+      this.fillThemeSelect(this.elements.autoThemeDark, this.config.autoThemeDark, false);
+      this.elements.autoThemeSource.value = this.config.autoThemeSource || "coda";
+      this.toggleAutoThemeSchedule(this.config.autoThemeSource === "schedule");
+      this.elements.autoThemeDarkStart.value = this.config.autoThemeDarkStart;
+      this.elements.autoThemeDarkEnd.value = this.config.autoThemeDarkEnd;
+      this.elements.syntaxHighlighting.checked =
+        this.config.syntaxHighlighting !== false;
+      this.elements.bracketPairColorization.checked =
+        this.config.bracketPairColorization !== false;
+      this.elements.showLineNumbers.checked =
+        this.config.showLineNumbers !== false;
+      this.elements.codeFolding.checked = this.config.codeFolding !== false;
+      this.elements.functionHoverDocs.checked =
+        this.config.functionHoverDocs !== false;
+      this.elements.signatureHelp.checked = this.config.signatureHelp !== false;
+      this.elements.showBreadcrumbs.checked =
+        this.config.showBreadcrumbs !== false;
+      const autoClose = this.config.autoCloseBrackets || {};
+      this.elements.autoCloseInputs.forEach((input) => {
+        input.checked = autoClose[input.dataset.autoClose] !== false;
+      });
+      this.elements.smartIndent.checked = this.config.smartIndent !== false;
 
       // Indent guides
       this.elements.showIndentGuides.checked =
@@ -384,15 +1356,53 @@
       this.toggleIndentGuidesOptions(this.config.showIndentGuides !== false);
       this.elements.indentGuideStyle.value =
         this.config.indentGuideStyle || "dotted";
+      this.elements.indentUnit.value = String(this.config.indentUnit || 2);
+      this.renderPaletteOptions(this.config.indentGuidePalette || "theme");
+      const guideWidth = this.config.indentGuideWidth || 1;
+      this.elements.indentGuideWidth.value = guideWidth;
+      this.elements.guideWidthValue.textContent = `${guideWidth}px`;
+      const guideOpacity = Math.round((this.config.indentGuideOpacity || 0.7) * 100);
+      this.elements.indentGuideOpacity.value = guideOpacity;
+      this.elements.guideOpacityValue.textContent = `${guideOpacity}%`;
       this.elements.highlightActiveIndent.checked =
         this.config.highlightActiveIndent !== false;
 
+      // Formula checks
+      const lintRules = this.config.lintRules || {};
+      this.elements.lintFormulas.checked = this.config.lintFormulas !== false;
+      this.elements.lintOptions.classList.toggle(
+        "hidden",
+        this.config.lintFormulas === false
+      );
+      this.elements.lintRuleInputs.forEach((input) => {
+        input.checked = lintRules[input.dataset.lintRule] !== false;
+      });
+
+      // Snippets
+      this.renderSnippetOptions(this.elements.snippetSelect.value);
+
+      // Formula library (stored apart from the config)
+      this.renderLibrary(this.elements.librarySelect.value);
+
+      // Version history
+      this.elements.historyMaxVersions.value = this.config.historyMaxVersions;
+      this.elements.historyRetentionDays.value = this.config.historyRetentionDays;
+      this.renderHistorySummary();
+
+      // Shortcuts (an empty field uses the default shown as placeholder)
+      const keyBindings = this.config.keyBindings || {};
+      this.elements.shortcutInputs.forEach((input) => {
+        input.placeholder = EDITOR_SHORTCUTS[input.dataset.shortcut];
+        input.value = keyBindings[input.dataset.shortcut] || "";
+      });
+
       // Documentation
       this.elements.showDocumentation.checked = this.config.showDocumentation;
       this.toggleDocumentationOptions(this.config.showDocumentation);
 
       // Documentation position
       this.updatePositionButtons(this.config.documentationPosition);
+      this.elements.referencePane.value = this.config.referencePane || "off";
 
       // Editor proportion
       this.elements.editorProportion.value = this.config.editorProportion;
@@ -402,6 +1412,563 @@
       this.updatePresetButtons();
     }
 
+    getTheme(themeId) {
+      const themes = { ...BUILT_IN_THEMES, ...this.config.customThemes };
+      return normalizeTheme(themes[themeId] || BUILT_IN_THEMES.light);
+    }
+
+    isCustomTheme(themeId) {
+      return !!(this.config.customThemes && this.config.customThemes[themeId]);
+    }
+
+    renderThemeOptions(selectedId) {
+      this.fillThemeSelect(this.elements.editorTheme, selectedId, true);
+      this.updateThemeActions();
+    }
+
+    fillThemeSelect(select, selectedId, includeAuto) {
+      select.innerHTML = "";
+
+      if (includeAuto) {
+        const option = document.createElement("option");
+        option.value = "auto";
+        option.textContent = "Auto (follow dark mode)";
+        select.appendChild(option);
+      }
+
+      const groups = [
+        ["Built-in", BUILT_IN_THEMES],
+        ["My themes", this.config.customThemes || {}],
+      ];
+      groups.forEach(([label, themes]) => {
+        const ids = Object.keys(themes);
+        if (ids.length === 0) return;
+        const group = document.createElement("optgroup");
+        group.label = label;
+        ids.forEach((id) => {
+          const option = document.createElement("option");
+          option.value = id;
+          option.textContent = themes[id].name;
+          group.appendChild(option);
+        });
+        select.appendChild(group);
+      });
+
+      select.value = selectedId;
+      if (!select.value) select.value = "light";
+    }
+
+    updateThemeActions() {
+      const themeId = this.elements.editorTheme.value;
+      const isCustom = this.isCustomTheme(themeId);
+      this.elements.editThemeBtn.disabled = !isCustom;
+      this.elements.deleteThemeBtn.disabled = !isCustom;
+      this.elements.autoThemeOptions.classList.toggle("hidden", themeId !== "auto");
+    }
+
+    toggleAutoThemeSchedule(show) {
+      this.elements.autoThemeSchedule.classList.toggle("hidden", !show);
+    }
+
+    toggleCustomFontOptions(show) {
+      this.elements.customFontOptions.classList.toggle("hidden", !show);
+      if (show) this.checkFontAvailability();
+    }
+
+    checkFontAvailability() {
+      const missing = parseFontStack(this.elements.customFontFamily.value).filter(
+        (family) =>
+          !GENERIC_FONT_FAMILIES.includes(family.toLowerCase()) &&
+          !isFontAvailable(family)
+      );
+      const warning = this.elements.fontWarning;
+      warning.textContent = missing.length
+        ? `Police non installée : ${missing.join(", ")}. La police suivante de la liste sera utilisée.`
+        : "";
+      warning.classList.toggle("hidden", missing.length === 0);
+    }
+
+    openThemeEditor(themeId, theme) {
+      this.editingThemeId = themeId;
+      this.elements.themeName.value = theme.name;
+      this.elements.themeFieldInputs.forEach((input) => {
+        input.value = toHexColor(getThemeField(theme, input.dataset.themeField));
+      });
+      this.elements.themePaletteInputs.forEach((input) => {
+        const palette = theme.indentGuides;
+        const index = parseInt(input.dataset.themePaletteIndex);
+        input.value = toHexColor(palette[index % palette.length]);
+      });
+      this.elements.themeEditor.classList.remove("hidden");
+      this.elements.themeName.focus();
+    }
+
+    closeThemeEditor() {
+      this.editingThemeId = null;
+      this.elements.themeEditor.classList.add("hidden");
+    }
+
+    readThemeEditor() {
+      const theme = { name: this.elements.themeName.value.trim() };
+      this.elements.themeFieldInputs.forEach((input) => {
+        setThemeField(theme, input.dataset.themeField, input.value);
+      });
+      theme.indentGuides = Array.from(this.elements.themePaletteInputs).map(
+        (input) => input.value
+      );
+      return theme;
+    }
+
+    async handleThemeSave() {
+      const theme = this.readThemeEditor();
+      if (!theme.name) {
+        this.showStatus("Donnez un nom au thème", "error");
+        return;
+      }
+
+      const themeId = this.editingThemeId || `custom-${Date.now().toString(36)}`;
+      const success = await StorageManager.saveCustomTheme(themeId, theme);
+
+      if (success) {
+        this.closeThemeEditor();
+        await this.loadCurrentConfig();
+        this.updateUI();
+        this.showStatus("Thème sauvegardé !", "success");
+      } else {
+        this.showStatus("Erreur lors de la sauvegarde du thème", "error");
+      }
+    }
+
+    async handleThemeDelete() {
+      const themeId = this.elements.editorTheme.value;
+      if (!this.isCustomTheme(themeId)) return;
+      if (!confirm(`Supprimer le thème « ${this.config.customThemes[themeId].name} » ?`)) {
+        return;
+      }
+
+      const success = await StorageManager.deleteCustomTheme(themeId);
+
+      if (success) {
+        this.closeThemeEditor();
+        await this.loadCurrentConfig();
+        this.updateUI();
+        this.showStatus("Thème supprimé", "success");
+      } else {
+        this.showStatus("Erreur lors de la suppression du thème", "error");
+      }
+    }
+
+    isCustomPalette(paletteId) {
+      return !!(this.config.customPalettes && this.config.customPalettes[paletteId]);
+    }
+
+    getPaletteColors(paletteId) {
+      const palettes = { ...GUIDE_PALETTES, ...this.config.customPalettes };
+      if (palettes[paletteId]) return palettes[paletteId].colors;
+      return this.getTheme(this.elements.editorTheme.value).indentGuides;
+    }
+
+    renderPaletteOptions(selectedId) {
+      const select = this.elements.indentGuidePalette;
+      select.innerHTML = "";
+
+      const themeOption = document.createElement("option");
+      themeOption.value = "theme";
+      themeOption.textContent = "Theme default";
+      select.appendChild(themeOption);
+
+      const groups = [
+        ["Built-in", GUIDE_PALETTES],
+        ["My palettes", this.config.customPalettes || {}],
+      ];
+      groups.forEach(([label, palettes]) => {
+        const ids = Object.keys(palettes);
+        if (ids.length === 0) return;
+        const group = document.createElement("optgroup");
+        group.label = label;
+        ids.forEach((id) => {
+          const option = document.createElement("option");
+          option.value = id;
+          option.textContent = palettes[id].name;
+          group.appendChild(option);
+        });
+        select.appendChild(group);
+      });
+
+      select.value = selectedId;
+      if (!select.value) select.value = "theme";
+      this.updatePaletteActions();
+    }
+
+    updatePaletteActions() {
+      const isCustom = this.isCustomPalette(this.elements.indentGuidePalette.value);
+      this.elements.editPaletteBtn.disabled = !isCustom;
+      this.elements.deletePaletteBtn.disabled = !isCustom;
+    }
+
+    openPaletteEditor(paletteId, palette) {
+      this.editingPaletteId = paletteId;
+      this.elements.paletteName.value = palette.name;
+      this.elements.paletteColorInputs.forEach((input) => {
+        const index = parseInt(input.dataset.paletteIndex);
+        input.value = toHexColor(palette.colors[index % palette.colors.length]);
+      });
+      this.elements.paletteEditor.classList.remove("hidden");
+      this.elements.paletteName.focus();
+    }
+
+    closePaletteEditor() {
+      this.editingPaletteId = null;
+      this.elements.paletteEditor.classList.add("hidden");
+    }
+
+    async handlePaletteSave() {
+      const palette = {
+        name: this.elements.paletteName.value.trim(),
+        colors: Array.from(this.elements.paletteColorInputs).map((input) => input.value),
+      };
+      if (!palette.name) {
+        this.showStatus("Donnez un nom à la palette", "error");
+        return;
+      }
+
+      const paletteId = this.editingPaletteId || `palette-${Date.now().toString(36)}`;
+      const success = await StorageManager.saveCustomPalette(paletteId, palette);
+
+      if (success) {
+        this.closePaletteEditor();
+        await this.loadCurrentConfig();
+        this.updateUI();
+        this.showStatus("Palette sauvegardée !", "success");
+      } else {
+        this.showStatus("Erreur lors de la sauvegarde de la palette", "error");
+      }
+    }
+
+    async handlePaletteDelete() {
+      const paletteId = this.elements.indentGuidePalette.value;
+      if (!this.isCustomPalette(paletteId)) return;
+      if (!confirm(`Supprimer la palette « ${this.config.customPalettes[paletteId].name} » ?`)) {
+        return;
+      }
+
+      const success = await StorageManager.deleteCustomPalette(paletteId);
+
+      if (success) {
+        this.closePaletteEditor();
+        await this.loadCurrentConfig();
+        this.updateUI();
+        this.showStatus("Palette supprimée", "success");
+      } else {
+        this.showStatus("Erreur lors de la suppression de la palette", "error");
+      }
+    }
+
+    getSnippets() {
+      return this.config.snippets || {};
+    }
+
+    renderSnippetOptions(selectedId) {
+      const select = this.elements.snippetSelect;
+      const snippets = this.getSnippets();
+      select.innerHTML = "";
+
+      Object.keys(snippets).forEach((id) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = snippets[id].trigger
+          ? `${snippets[id].name} (${snippets[id].trigger})`
+          : snippets[id].name;
+        select.appendChild(option);
+      });
+
+      if (snippets[selectedId]) select.value = selectedId;
+      this.updateSnippetActions();
+    }
+
+    updateSnippetActions() {
+      const snippets = this.getSnippets();
+      const hasSelection = !!snippets[this.elements.snippetSelect.value];
+      this.elements.editSnippetBtn.disabled = !hasSelection;
+      this.elements.deleteSnippetBtn.disabled = !hasSelection;
+      this.elements.exportSnippetsBtn.disabled = Object.keys(snippets).length === 0;
+    }
+
+    openSnippetEditor(snippetId, snippet) {
+      this.editingSnippetId = snippetId;
+      this.elements.snippetName.value = snippet.name;
+      this.elements.snippetTrigger.value = snippet.trigger;
+      this.elements.snippetBody.value = snippet.body;
+      this.elements.snippetEditor.classList.remove("hidden");
+      this.elements.snippetName.focus();
+    }
+
+    closeSnippetEditor() {
+      this.editingSnippetId = null;
+      this.elements.snippetEditor.classList.add("hidden");
+    }
+
+    insertSnippetTab(e) {
+      // Snippet bodies are indented with tabs: keep Tab in the textarea
+      if (e.key !== "Tab" || e.shiftKey || e.ctrlKey || e.altKey || e.metaKey) return;
+      e.preventDefault();
+      const textarea = e.target;
+      textarea.setRangeText("\t", textarea.selectionStart, textarea.selectionEnd, "end");
+    }
+
+    findSnippetByTrigger(trigger, exceptId) {
+      const snippets = this.getSnippets();
+      return Object.keys(snippets).find(
+        (id) => id !== exceptId && snippets[id].trigger === trigger
+      );
+    }
+
+    async handleSnippetSave() {
+      const snippet = {
+        name: this.elements.snippetName.value.trim(),
+        trigger: this.elements.snippetTrigger.value.trim(),
+        body: this.elements.snippetBody.value,
+      };
+      if (!snippet.name || !snippet.body) {
+        this.showStatus("Donnez un nom et un contenu au snippet", "error");
+        return;
+      }
+      if (!isValidSnippet(snippet)) {
+        this.showStatus("Déclencheur invalide (lettres, chiffres et _)", "error");
+        return;
+      }
+      const duplicateId =
+        snippet.trigger && this.findSnippetByTrigger(snippet.trigger, this.editingSnippetId);
+      if (duplicateId) {
+        this.showStatus(
+          `Déclencheur déjà utilisé par « ${this.config.snippets[duplicateId].name} »`,
+          "error"
+        );
+        return;
+      }
+
+      const snippetId = this.editingSnippetId || `snippet-${Date.now().toString(36)}`;
+      const success = await StorageManager.saveSnippet(snippetId, snippet);
+
+      if (success) {
+        this.closeSnippetEditor();
+        await this.loadCurrentConfig();
+        this.updateUI();
+        this.renderSnippetOptions(snippetId);
+        this.showStatus("Snippet sauvegardé !", "success");
+      } else {
+        this.showStatus("Erreur lors de la sauvegarde du snippet", "error");
+      }
+    }
+
+    async handleSnippetDelete() {
+      const snippetId = this.elements.snippetSelect.value;
+      const snippet = this.getSnippets()[snippetId];
+      if (!snippet) return;
+      if (!confirm(`Supprimer le snippet « ${snippet.name} » ?`)) {
+        return;
+      }
+
+      const success = await StorageManager.deleteSnippet(snippetId);
+
+      if (success) {
+        this.closeSnippetEditor();
+        await this.loadCurrentConfig();
+        this.updateUI();
+        this.showStatus("Snippet supprimé", "success");
+      } else {
+        this.showStatus("Erreur lors de la suppression du snippet", "error");
+      }
+    }
+
+    handleSnippetExport() {
+      const snippets = Object.values(this.getSnippets());
+      const blob = new Blob([JSON.stringify({ snippets }, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "coda-formula-snippets.json";
+      link.click();
+      URL.revokeObjectURL(url);
+    }
+
+    async handleSnippetImport(file) {
+      // Reset the input so picking the same file again fires another change
+      this.elements.snippetImportFile.value = "";
+      if (!file) return;
+
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (error) {
+        this.showStatus("Fichier invalide (JSON attendu)", "error");
+        return;
+      }
+
+      const entries = Array.isArray(data) ? data : (data && data.snippets) || [];
+      const valid = Array.isArray(entries) ? entries.filter(isValidSnippet) : [];
+      if (valid.length === 0) {
+        this.showStatus("Aucun snippet valide dans ce fichier", "error");
+        return;
+      }
+
+      // An imported snippet replaces the existing one with the same trigger
+      const stamp = Date.now().toString(36);
+      const imported = {};
+      valid.forEach(({ name, trigger, body }, index) => {
+        const snippetId =
+          (trigger && this.findSnippetByTrigger(trigger)) || `snippet-${stamp}-${index}`;
+        imported[snippetId] = { name: name.trim(), trigger, body };
+      });
+
+      const success = await StorageManager.importSnippets(imported);
+
+      if (success) {
+        await this.loadCurrentConfig();
+        this.updateUI();
+        this.showStatus(`${valid.length} snippet(s) importé(s)`, "success");
+      } else {
+        this.showStatus("Erreur lors de l'import des snippets", "error");
+      }
+    }
+
+    async renderLibrary(selectedId) {
+      this.library = await StorageManager.getLibrary();
+      const select = this.elements.librarySelect;
+      select.innerHTML = "";
+
+      Object.keys(this.library)
+        .sort((a, b) => this.library[a].name.localeCompare(this.library[b].name))
+        .forEach((id) => {
+          const option = document.createElement("option");
+          option.value = id;
+          option.textContent = this.library[id].name;
+          select.appendChild(option);
+        });
+
+      if (this.library[selectedId]) select.value = selectedId;
+      this.updateLibraryDetails();
+    }
+
+    updateLibraryDetails() {
+      const entry = this.library[this.elements.librarySelect.value];
+      this.elements.libraryDetails.textContent = entry
+        ? [
+            (entry.tags || []).map((tag) => `#${tag}`).join(" "),
+            entry.description,
+            entry.sourceUrl,
+          ]
+            .filter(Boolean)
+            .join("\n")
+        : "";
+      this.elements.deleteLibraryFormulaBtn.disabled = !entry;
+      this.elements.exportLibraryBtn.disabled = Object.keys(this.library).length === 0;
+    }
+
+    async handleLibraryDelete() {
+      const formulaId = this.elements.librarySelect.value;
+      const entry = this.library[formulaId];
+      if (!entry) return;
+      if (!confirm(`Supprimer « ${entry.name} » de la bibliothèque ?`)) {
+        return;
+      }
+
+      const success = await StorageManager.deleteLibraryFormula(formulaId);
+
+      if (success) {
+        await this.renderLibrary();
+        this.showStatus("Formule supprimée de la bibliothèque", "success");
+      } else {
+        this.showStatus("Erreur lors de la suppression de la formule", "error");
+      }
+    }
+
+    handleLibraryExport() {
+      const formulas = Object.values(this.library);
+      const blob = new Blob([JSON.stringify({ formulas }, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = "coda-formula-library.json";
+      link.click();
+      URL.revokeObjectURL(url);
+    }
+
+    async handleLibraryImport(file) {
+      // Reset the input so picking the same file again fires another change
+      this.elements.libraryImportFile.value = "";
+      if (!file) return;
+
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (error) {
+        this.showStatus("Fichier invalide (JSON attendu)", "error");
+        return;
+      }
+
+      const entries = Array.isArray(data) ? data : (data && data.formulas) || [];
+      const valid = Array.isArray(entries) ? entries.filter(isValidLibraryFormula) : [];
+      if (valid.length === 0) {
+        this.showStatus("Aucune formule valide dans ce fichier", "error");
+        return;
+      }
+
+      // An imported formula replaces the existing one with the same name
+      const stamp = Date.now().toString(36);
+      const imported = {};
+      valid.forEach(({ name, tags, description, formula, sourceUrl, savedAt }, index) => {
+        const formulaId =
+          Object.keys(this.library).find((id) => this.library[id].name === name.trim()) ||
+          `formula-${stamp}-${index}`;
+        imported[formulaId] = {
+          name: name.trim(),
+          tags: tags || [],
+          description: description || "",
+          formula,
+          sourceUrl: sourceUrl || "",
+          savedAt: typeof savedAt === "number" ? savedAt : Date.now(),
+        };
+      });
+
+      const success = await StorageManager.importLibrary(imported);
+
+      if (success) {
+        await this.renderLibrary();
+        this.showStatus(`${valid.length} formule(s) importée(s)`, "success");
+      } else {
+        this.showStatus("Erreur lors de l'import de la bibliothèque", "error");
+      }
+    }
+
+    async renderHistorySummary() {
+      const history = await StorageManager.getHistory();
+      const formulas = Object.keys(history);
+      const versions = formulas.reduce(
+        (total, formulaKey) => total + history[formulaKey].length,
+        0
+      );
+      this.elements.historySummary.textContent = `${versions} version(s), ${formulas.length} formula(s)`;
+      this.elements.clearHistoryBtn.disabled = versions === 0;
+    }
+
+    async handleClearHistory() {
+      if (!confirm("Supprimer tout l'historique des formules ?")) return;
+
+      const success = await StorageManager.clearHistory();
+
+      if (success) {
+        this.renderHistorySummary();
+        this.showStatus("Historique supprimé", "success");
+      } else {
+        this.showStatus("Erreur lors de la suppression de l'historique", "error");
+      }
+    }
+
     toggleIndentGuidesOptions(show) {
       if (show) {
         this.elements.indentGuidesOptions.classList.remove("hidden");
@@ -482,22 +2049,111 @@
         documentationPosition: selectedPosition
           ? selectedPosition.dataset.position
           : "right",
+        referencePane: this.elements.referencePane.value,
         editorProportion: parseInt(this.elements.editorProportion.value),
         editorFontSize: parseInt(this.elements.editorFontSize.value),
         editorLineHeight: parseFloat(this.elements.editorLineHeight.value),
         editorFontFamily: this.elements.editorFontFamily.value,
+        customFontFamily: this.elements.customFontFamily.value.trim(),
+        editorFontWeight: parseInt(this.elements.editorFontWeight.value),
+        editorLetterSpacing: parseFloat(this.elements.editorLetterSpacing.value),
+        editorLigatures: this.elements.editorLigatures.checked,
         editorTheme: this.elements.editorTheme.value,
+        autoThemeLight: this.elements.autoThemeLight.value,
+        autoThemeDark: this.elements.autoThemeDark.value,
+        autoThemeSource: this.elements.autoThemeSource.value,
+        autoThemeDarkStart: this.elements.autoThemeDarkStart.value,
+        autoThemeDarkEnd: this.elements.autoThemeDarkEnd.value,
+        syntaxHighlighting: this.elements.syntaxHighlighting.checked,
+        bracketPairColorization:
+          this.elements.bracketPairColorization.checked,
+        showLineNumbers: this.elements.showLineNumbers.checked,
+        codeFolding: this.elements.codeFolding.checked,
+        functionHoverDocs: this.elements.functionHoverDocs.checked,
+        signatureHelp: this.elements.signatureHelp.checked,
+        showBreadcrumbs: this.elements.showBreadcrumbs.checked,
+        autoCloseBrackets: Object.fromEntries(
+          Array.from(this.elements.autoCloseInputs).map((input) => [
+            input.dataset.autoClose,
+            input.checked,
+          ])
+        ),
+        smartIndent: this.elements.smartIndent.checked,
         showIndentGuides: this.elements.showIndentGuides.checked,
         indentGuideStyle: this.elements.indentGuideStyle.value,
+        indentGuidePalette: this.elements.indentGuidePalette.value,
+        indentGuideWidth: parseInt(this.elements.indentGuideWidth.value),
+        indentGuideOpacity: parseInt(this.elements.indentGuideOpacity.value) / 100,
+        indentUnit:
+          this.elements.indentUnit.value === "tab"
+            ? "tab"
+            : parseInt(this.elements.indentUnit.value),
         highlightActiveIndent: this.elements.highlightActiveIndent.checked,
+        lintFormulas: this.elements.lintFormulas.checked,
+        lintRules: Object.fromEntries(
+          Array.from(this.elements.lintRuleInputs).map((input) => [
+            input.dataset.lintRule,
+            input.checked,
+          ])
+        ),
+        historyMaxVersions: parseInt(this.elements.historyMaxVersions.value),
+        historyRetentionDays: parseInt(this.elements.historyRetentionDays.value),
+        keyBindings: Object.fromEntries(
+          Array.from(this.elements.shortcutInputs)
+            .filter(
+              (input) =>
+                input.value &&
+                input.value !== EDITOR_SHORTCUTS[input.dataset.shortcut]
+            )
+            .map((input) => [input.dataset.shortcut, input.value])
+        ),
       };
     }
 
+    recordShortcut(e) {
+      if (e.key === "Tab") return;
+      e.preventDefault();
+
+      if (["Backspace", "Delete", "Escape"].includes(e.key)) {
+        e.target.value = "";
+        return;
+      }
+
+      const shortcut = formatShortcut(e);
+      if (shortcut) e.target.value = shortcut;
+    }
+
+    // Commands bound to the same shortcut, by shortcut
+    findShortcutConflicts(keyBindings) {
+      const commands = {};
+      Object.keys(EDITOR_SHORTCUTS).forEach((command) => {
+        const shortcut = keyBindings[command] || EDITOR_SHORTCUTS[command];
+        commands[shortcut] = (commands[shortcut] || []).concat(command);
+      });
+      return Object.keys(commands).filter((shortcut) => commands[shortcut].length > 1);
+    }
+
     async handleSave() {
-      const newConfig = this.getConfigFromUI();
+      // Keep settings that have no form control (e.g. custom themes)
+      const newConfig = { ...this.config, ...this.getConfigFromUI() };
+
+      if (
+        newConfig.editorFontFamily === "custom" &&
+        !isValidFontStack(newConfig.customFontFamily)
+      ) {
+        this.showStatus("Saisissez une liste de polices valide (sans ; { } < >)", "error");
+        return;
+      }
+
+      const conflicts = this.findShortcutConflicts(newConfig.keyBindings);
+      if (conflicts.length > 0) {
+        this.showStatus(`Raccourci utilisé par plusieurs commandes : ${conflicts.join(", ")}`, "error");
+        return;
+      }
 
-      // Check if documentation position changed
-      const positionChanged = this.config && this.config.documentationPosition !== newConfig.documentationPosition;
+      // Check if documentation position or reference pane changed
+      const positionChanged = this.config && (this.config.documentationPosition !== newConfig.documentationPosition ||
+        this.config.referencePane !== newConfig.referencePane);
 
       const success = await StorageManager.saveConfig(newConfig);
 
@@ -506,7 +2162,7 @@
         this.updatePresetButtons();
 
         if (positionChanged) {
-          this.showStatus("Configuration sauvegardée ! Fermez et rouvrez l'éditeur de formule pour appliquer la nouvelle position.", "success");
+          this.showStatus("Configuration sauvegardée ! Fermez et rouvrez l'éditeur de formule pour appliquer la nouvelle disposition.", "success");
         } else {
           this.showStatus("Configuration sauvegardée avec succès !", "success");
         }
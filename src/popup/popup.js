@@ -4,13 +4,122 @@
  */
 
 import { StorageManager } from '../core/storage.js';
-import { DEFAULT_CONFIG } from '../config/defaults.js';
+import { DEFAULT_CONFIG, BUILT_IN_THEMES, GUIDE_PALETTES, EDITOR_SHORTCUTS, isValidFontStack, isValidSnippet, isValidLibraryFormula } from '../config/defaults.js';
+
+/**
+ * Fill missing fields of a (possibly partial) user theme from the light theme
+ * @param {Object} theme - Theme definition
+ * @returns {Object} Complete theme definition
+ */
+function normalizeTheme(theme) {
+  const base = BUILT_IN_THEMES.light;
+  return {
+    ...base,
+    ...theme,
+    tokens: { ...base.tokens, ...theme.tokens },
+    docPanel: { ...base.docPanel, ...theme.docPanel },
+    indentGuides: Array.isArray(theme.indentGuides) && theme.indentGuides.length > 0
+      ? theme.indentGuides
+      : base.indentGuides
+  };
+}
+
+/**
+ * Convert a CSS color to #rrggbb (the only format <input type="color"> accepts)
+ * @param {string} color - Hex or rgb()/rgba() color
+ * @returns {string} Hex color
+ */
+function toHexColor(color) {
+  if (/^#[0-9a-f]{6}$/i.test(color)) return color.toLowerCase();
+  const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+  if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toLowerCase();
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color || '');
+  if (rgb) {
+    return `#${rgb.slice(1, 4).map(c => Number(c).toString(16).padStart(2, '0')).join('')}`;
+  }
+  return '#000000';
+}
+
+/**
+ * Read a dotted field (e.g. "tokens.string") from a theme
+ */
+function getThemeField(theme, field) {
+  return field.split('.').reduce((value, key) => (value ? value[key] : undefined), theme);
+}
+
+/**
+ * Write a dotted field (e.g. "tokens.string") on a theme
+ */
+function setThemeField(theme, field, value) {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => (obj[key] = { ...obj[key] }), theme);
+  target[last] = value;
+}
+
+const GENERIC_FONT_FAMILIES = ['monospace', 'serif', 'sans-serif', 'system-ui', 'ui-monospace', 'cursive', 'fantasy'];
+
+/**
+ * Split a CSS font stack into unquoted family names
+ * @param {string} stack - Comma-separated font families
+ * @returns {string[]} Family names
+ */
+function parseFontStack(stack) {
+  return (stack || '')
+    .split(',')
+    .map(family => family.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Build a shortcut string such as "Shift+Alt+F" from a keydown
+ * @param {KeyboardEvent} event - Keydown in a shortcut field
+ * @returns {string|null} Shortcut, or null for a bare key or a modifier on its own
+ */
+function formatShortcut(event) {
+  if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return null;
+  if (!event.ctrlKey && !event.altKey && !event.metaKey) return null;
+
+  let key = event.key;
+  if (/^Key[A-Z]$/.test(event.code)) key = event.code.slice(3);
+  else if (/^Digit\d$/.test(event.code)) key = event.code.slice(5);
+  if (key === '+' || /\s/.test(key)) return null;
+
+  const modifiers = [
+    event.ctrlKey && 'Ctrl',
+    event.shiftKey && 'Shift',
+    event.altKey && 'Alt',
+    event.metaKey && 'Meta'
+  ].filter(Boolean);
+  return [...modifiers, key].join('+');
+}
+
+/**
+ * Check whether a font is installed: it must render differently from a generic fallback
+ * @param {string} family - Font family name
+ * @returns {boolean} True if the font is available (or cannot be measured)
+ */
+function isFontAvailable(family) {
+  const context = document.createElement('canvas').getContext('2d');
+  if (!context) return true;
+  const sample = 'mmmmmmmmmmlli10O=>';
+  return ['monospace', 'serif'].some(fallback => {
+    context.font = `72px ${fallback}`;
+    const baseline = context.measureText(sample).width;
+    context.font = `72px "${family}", ${fallback}`;
+    return context.measureText(sample).width !== baseline;
+  });
+}
 
 class PopupController {
   constructor() {
     this.config = null;
     this.elements = {};
     this.currentTheme = 'light';
+    this.editingThemeId = null;
+    this.editingPaletteId = null;
+    this.editingSnippetId = null;
+    this.library = {};
     this.init();
   }
 
@@ -54,18 +163,104 @@ class PopupController {
       editorLineHeight: document.getElementById('editorLineHeight'),
       lineHeightValue: document.getElementById('lineHeightValue'),
       editorFontFamily: document.getElementById('editorFontFamily'),
+      customFontOptions: document.getElementById('customFontOptions'),
+      customFontFamily: document.getElementById('customFontFamily'),
+      fontWarning: document.getElementById('fontWarning'),
+      editorFontWeight: document.getElementById('editorFontWeight'),
+      fontWeightValue: document.getElementById('fontWeightValue'),
+      editorLetterSpacing: document.getElementById('editorLetterSpacing'),
+      letterSpacingValue: document.getElementById('letterSpacingValue'),
+      editorLigatures: document.getElementById('editorLigatures'),
       editorTheme: document.getElementById('editorTheme'),
+      newThemeBtn: document.getElementById('newThemeBtn'),
+      duplicateThemeBtn: document.getElementById('duplicateThemeBtn'),
+      editThemeBtn: document.getElementById('editThemeBtn'),
+      deleteThemeBtn: document.getElementById('deleteThemeBtn'),
+      themeEditor: document.getElementById('themeEditor'),
+      themeName: document.getElementById('themeName'),
+      themeFieldInputs: document.querySelectorAll('[data-theme-field]'),
+      themePaletteInputs: document.querySelectorAll('[data-theme-palette-index]'),
+      saveThemeBtn: document.getElementById('saveThemeBtn'),
+      cancelThemeBtn: document.getElementById('cancelThemeBtn'),
+      autoThemeOptions: document.getElementById('autoThemeOptions'),
+      autoThemeSource: document.getElementById('autoThemeSource'),
+      autoThemeLight: document.getElementById('autoThemeLight'),
+      autoThemeDark: document.getElementById('autoThemeDark'),
+      autoThemeSchedule: document.getElementById('autoThemeSchedule'),
+      autoThemeDarkStart: document.getElementById('autoThemeDarkStart'),
+      autoThemeDarkEnd: document.getElementById('autoThemeDarkEnd'),
+      syntaxHighlighting: document.getElementById('syntaxHighlighting'),
+      bracketPairColorization: document.getElementById('bracketPairColorization'),
+      showLineNumbers: document.getElementById('showLineNumbers'),
+      codeFolding: document.getElementById('codeFolding'),
+      functionHoverDocs: document.getElementById('functionHoverDocs'),
+      signatureHelp: document.getElementById('signatureHelp'),
+      showBreadcrumbs: document.getElementById('showBreadcrumbs'),
+      autoCloseInputs: document.querySelectorAll('[data-auto-close]'),
+      smartIndent: document.getElementById('smartIndent'),
 
       // Indent guides
       showIndentGuides: document.getElementById('showIndentGuides'),
       indentGuidesOptions: document.getElementById('indentGuidesOptions'),
       indentGuideStyle: document.getElementById('indentGuideStyle'),
+      indentUnit: document.getElementById('indentUnit'),
+      indentGuidePalette: document.getElementById('indentGuidePalette'),
+      newPaletteBtn: document.getElementById('newPaletteBtn'),
+      editPaletteBtn: document.getElementById('editPaletteBtn'),
+      deletePaletteBtn: document.getElementById('deletePaletteBtn'),
+      paletteEditor: document.getElementById('paletteEditor'),
+      paletteName: document.getElementById('paletteName'),
+      paletteColorInputs: document.querySelectorAll('[data-palette-index]'),
+      savePaletteBtn: document.getElementById('savePaletteBtn'),
+      cancelPaletteBtn: document.getElementById('cancelPaletteBtn'),
+      indentGuideWidth: document.getElementById('indentGuideWidth'),
+      guideWidthValue: document.getElementById('guideWidthValue'),
+      indentGuideOpacity: document.getElementById('indentGuideOpacity'),
+      guideOpacityValue: document.getElementById('guideOpacityValue'),
       highlightActiveIndent: document.getElementById('highlightActiveIndent'),
 
+      // Formula checks
+      lintFormulas: document.getElementById('lintFormulas'),
+      lintOptions: document.getElementById('lintOptions'),
+      lintRuleInputs: document.querySelectorAll('[data-lint-rule]'),
+
+      // Snippets
+      snippetSelect: document.getElementById('snippetSelect'),
+      newSnippetBtn: document.getElementById('newSnippetBtn'),
+      editSnippetBtn: document.getElementById('editSnippetBtn'),
+      deleteSnippetBtn: document.getElementById('deleteSnippetBtn'),
+      importSnippetsBtn: document.getElementById('importSnippetsBtn'),
+      exportSnippetsBtn: document.getElementById('exportSnippetsBtn'),
+      snippetImportFile: document.getElementById('snippetImportFile'),
+      snippetEditor: document.getElementById('snippetEditor'),
+      snippetName: document.getElementById('snippetName'),
+      snippetTrigger: document.getElementById('snippetTrigger'),
+      snippetBody: document.getElementById('snippetBody'),
+      saveSnippetBtn: document.getElementById('saveSnippetBtn'),
+      cancelSnippetBtn: document.getElementById('cancelSnippetBtn'),
+
+      // Formula library
+      librarySelect: document.getElementById('librarySelect'),
+      libraryDetails: document.getElementById('libraryDetails'),
+      deleteLibraryFormulaBtn: document.getElementById('deleteLibraryFormulaBtn'),
+      importLibraryBtn: document.getElementById('importLibraryBtn'),
+      exportLibraryBtn: document.getElementById('exportLibraryBtn'),
+      libraryImportFile: document.getElementById('libraryImportFile'),
+
+      // Version history
+      historyMaxVersions: document.getElementById('historyMaxVersions'),
+      historyRetentionDays: document.getElementById('historyRetentionDays'),
+      historySummary: document.getElementById('historySummary'),
+      clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+
+      // Shortcuts
+      shortcutInputs: document.querySelectorAll('[data-shortcut]'),
+
       // Documentation
       showDocumentation: document.getElementById('showDocumentation'),
       documentationOptions: document.getElementById('documentationOptions'),
       positionButtons: document.querySelectorAll('.position-btn'),
+      referencePane: document.getElementById('referencePane'),
       editorProportion: document.getElementById('editorProportion'),
       proportionValue: document.getElementById('proportionValue'),
 
@@ -122,11 +317,100 @@ class PopupController {
       this.elements.lineHeightValue.textContent = e.target.value;
     });
 
+    this.elements.editorFontFamily.addEventListener('change', (e) => this.toggleCustomFontOptions(e.target.value === 'custom'));
+    this.elements.customFontFamily.addEventListener('input', () => this.checkFontAvailability());
+
+    this.elements.editorFontWeight.addEventListener('input', (e) => {
+      this.elements.fontWeightValue.textContent = e.target.value;
+    });
+
+    this.elements.editorLetterSpacing.addEventListener('input', (e) => {
+      this.elements.letterSpacingValue.textContent = `${e.target.value}px`;
+    });
+
+    // Theme management
+    this.elements.editorTheme.addEventListener('change', () => this.updateThemeActions());
+    this.elements.autoThemeSource.addEventListener('change', (e) => {
+      this.toggleAutoThemeSchedule(e.target.value === 'schedule');
+    });
+    this.elements.newThemeBtn.addEventListener('click', () => {
+      const base = this.getTheme(this.elements.editorTheme.value);
+      this.openThemeEditor(null, { ...base, name: 'My theme' });
+    });
+    this.elements.duplicateThemeBtn.addEventListener('click', () => {
+      const source = this.getTheme(this.elements.editorTheme.value);
+      this.openThemeEditor(null, { ...source, name: `${source.name} (copy)` });
+    });
+    this.elements.editThemeBtn.addEventListener('click', () => {
+      const themeId = this.elements.editorTheme.value;
+      this.openThemeEditor(themeId, this.getTheme(themeId));
+    });
+    this.elements.deleteThemeBtn.addEventListener('click', () => this.handleThemeDelete());
+    this.elements.saveThemeBtn.addEventListener('click', () => this.handleThemeSave());
+    this.elements.cancelThemeBtn.addEventListener('click', () => this.closeThemeEditor());
+
+    // Guide palettes
+    this.elements.indentGuidePalette.addEventListener('change', () => this.updatePaletteActions());
+    this.elements.newPaletteBtn.addEventListener('click', () => {
+      const colors = this.getPaletteColors(this.elements.indentGuidePalette.value);
+      this.openPaletteEditor(null, { name: 'My palette', colors });
+    });
+    this.elements.editPaletteBtn.addEventListener('click', () => {
+      const paletteId = this.elements.indentGuidePalette.value;
+      this.openPaletteEditor(paletteId, this.config.customPalettes[paletteId]);
+    });
+    this.elements.deletePaletteBtn.addEventListener('click', () => this.handlePaletteDelete());
+    this.elements.savePaletteBtn.addEventListener('click', () => this.handlePaletteSave());
+    this.elements.cancelPaletteBtn.addEventListener('click', () => this.closePaletteEditor());
+    this.elements.indentGuideWidth.addEventListener('input', (e) => {
+      this.elements.guideWidthValue.textContent = `${e.target.value}px`;
+    });
+    this.elements.indentGuideOpacity.addEventListener('input', (e) => {
+      this.elements.guideOpacityValue.textContent = `${e.target.value}%`;
+    });
+
     // Indent guides checkbox
     this.elements.showIndentGuides.addEventListener('change', (e) => {
       this.toggleIndentGuidesOptions(e.target.checked);
     });
 
+    // Formula checks checkbox
+    this.elements.lintFormulas.addEventListener('change', (e) => {
+      this.elements.lintOptions.classList.toggle('hidden', !e.target.checked);
+    });
+
+    // Snippets
+    this.elements.snippetSelect.addEventListener('change', () => this.updateSnippetActions());
+    this.elements.newSnippetBtn.addEventListener('click', () => {
+      this.openSnippetEditor(null, { name: '', trigger: '', body: '' });
+    });
+    this.elements.editSnippetBtn.addEventListener('click', () => {
+      const snippetId = this.elements.snippetSelect.value;
+      this.openSnippetEditor(snippetId, this.config.snippets[snippetId]);
+    });
+    this.elements.deleteSnippetBtn.addEventListener('click', () => this.handleSnippetDelete());
+    this.elements.saveSnippetBtn.addEventListener('click', () => this.handleSnippetSave());
+    this.elements.cancelSnippetBtn.addEventListener('click', () => this.closeSnippetEditor());
+    this.elements.snippetBody.addEventListener('keydown', (e) => this.insertSnippetTab(e));
+    this.elements.exportSnippetsBtn.addEventListener('click', () => this.handleSnippetExport());
+    this.elements.importSnippetsBtn.addEventListener('click', () => this.elements.snippetImportFile.click());
+    this.elements.snippetImportFile.addEventListener('change', (e) => this.handleSnippetImport(e.target.files[0]));
+
+    // Formula library
+    this.elements.librarySelect.addEventListener('change', () => this.updateLibraryDetails());
+    this.elements.deleteLibraryFormulaBtn.addEventListener('click', () => this.handleLibraryDelete());
+    this.elements.exportLibraryBtn.addEventListener('click', () => this.handleLibraryExport());
+    this.elements.importLibraryBtn.addEventListener('click', () => this.elements.libraryImportFile.click());
+    this.elements.libraryImportFile.addEventListener('change', (e) => this.handleLibraryImport(e.target.files[0]));
+
+    // Version history
+    this.elements.clearHistoryBtn.addEventListener('click', () => this.handleClearHistory());
+
+    // Shortcut fields record the next key combination
+    this.elements.shortcutInputs.forEach(input => {
+      input.addEventListener('keydown', (e) => this.recordShortcut(e));
+    });
+
     // Documentation checkbox
     this.elements.showDocumentation.addEventListener('change', (e) => {
       this.toggleDocumentationOptions(e.target.checked);
@@ -223,20 +507,80 @@ class PopupController {
     this.elements.editorLineHeight.value = this.config.editorLineHeight || 1.5;
     this.elements.lineHeightValue.textContent = this.config.editorLineHeight || 1.5;
     this.elements.editorFontFamily.value = this.config.editorFontFamily || 'monospace';
-    this.elements.editorTheme.value = this.config.editorTheme || 'light';
+    this.elements.customFontFamily.value = this.config.customFontFamily || '';
+    this.toggleCustomFontOptions(this.config.editorFontFamily === 'custom');
+    this.elements.editorFontWeight.value = this.config.editorFontWeight || 400;
+    this.elements.fontWeightValue.textContent = this.config.editorFontWeight || 400;
+    this.elements.editorLetterSpacing.value = this.config.editorLetterSpacing || 0;
+    this.elements.letterSpacingValue.textContent = `${this.config.editorLetterSpacing || 0}px`;
+    this.elements.editorLigatures.checked = this.config.editorLigatures !== false;
+    this.renderThemeOptions(this.config.editorTheme || 'light');
+    this.fillThemeSelect(this.elements.autoThemeLight, this.config.autoThemeLight, false);
+    this.fillThemeSelect(this.elements.autoThemeDark, this.config.autoThemeDark, false);
+    this.elements.autoThemeSource.value = this.config.autoThemeSource || 'coda';
+    this.toggleAutoThemeSchedule(this.config.autoThemeSource === 'schedule');
+    this.elements.autoThemeDarkStart.value = this.config.autoThemeDarkStart;
+    this.elements.autoThemeDarkEnd.value = this.config.autoThemeDarkEnd;
+    this.elements.syntaxHighlighting.checked = this.config.syntaxHighlighting !== false;
+    this.elements.bracketPairColorization.checked = this.config.bracketPairColorization !== false;
+    this.elements.showLineNumbers.checked = this.config.showLineNumbers !== false;
+    this.elements.codeFolding.checked = this.config.codeFolding !== false;
+    this.elements.functionHoverDocs.checked = this.config.functionHoverDocs !== false;
+    this.elements.signatureHelp.checked = this.config.signatureHelp !== false;
+    this.elements.showBreadcrumbs.checked = this.config.showBreadcrumbs !== false;
+    const autoClose = this.config.autoCloseBrackets || {};
+    this.elements.autoCloseInputs.forEach(input => {
+      input.checked = autoClose[input.dataset.autoClose] !== false;
+    });
+    this.elements.smartIndent.checked = this.config.smartIndent !== false;
 
     // Indent guides
     this.elements.showIndentGuides.checked = this.config.showIndentGuides !== false;
     this.toggleIndentGuidesOptions(this.config.showIndentGuides !== false);
     this.elements.indentGuideStyle.value = this.config.indentGuideStyle || 'dotted';
+    this.elements.indentUnit.value = String(this.config.indentUnit || 2);
+    this.renderPaletteOptions(this.config.indentGuidePalette || 'theme');
+    const guideWidth = this.config.indentGuideWidth || 1;
+    this.elements.indentGuideWidth.value = guideWidth;
+    this.elements.guideWidthValue.textContent = `${guideWidth}px`;
+    const guideOpacity = Math.round((this.config.indentGuideOpacity || 0.7) * 100);
+    this.elements.indentGuideOpacity.value = guideOpacity;
+    this.elements.guideOpacityValue.textContent = `${guideOpacity}%`;
     this.elements.highlightActiveIndent.checked = this.config.highlightActiveIndent !== false;
 
+    // Formula checks
+    const lintRules = this.config.lintRules || {};
+    this.elements.lintFormulas.checked = this.config.lintFormulas !== false;
+    this.elements.lintOptions.classList.toggle('hidden', this.config.lintFormulas === false);
+    this.elements.lintRuleInputs.forEach(input => {
+      input.checked = lintRules[input.dataset.lintRule] !== false;
+    });
+
+    // Snippets
+    this.renderSnippetOptions(this.elements.snippetSelect.value);
+
+    // Formula library (stored apart from the config)
+    this.renderLibrary(this.elements.librarySelect.value);
+
+    // Version history
+    this.elements.historyMaxVersions.value = this.config.historyMaxVersions;
+    this.elements.historyRetentionDays.value = this.config.historyRetentionDays;
+    this.renderHistorySummary();
+
+    // Shortcuts (an empty field uses the default shown as placeholder)
+    const keyBindings = this.config.keyBindings || {};
+    this.elements.shortcutInputs.forEach(input => {
+      input.placeholder = EDITOR_SHORTCUTS[input.dataset.shortcut];
+      input.value = keyBindings[input.dataset.shortcut] || '';
+    });
+
     // Documentation
     this.elements.showDocumentation.checked = this.config.showDocumentation;
     this.toggleDocumentationOptions(this.config.showDocumentation);
 
     // Documentation position
     this.updatePositionButtons(this.config.documentationPosition);
+    this.elements.referencePane.value = this.config.referencePane || 'off';
 
     // Editor proportion
     this.elements.editorProportion.value = this.config.editorProportion;
@@ -246,6 +590,687 @@ class PopupController {
     this.updatePresetButtons();
   }
 
+  /**
+   * Get a complete theme definition (built-in or user-defined)
+   * @param {string} themeId - Theme identifier
+   * @returns {Object} Theme definition
+   */
+  getTheme(themeId) {
+    const themes = { ...BUILT_IN_THEMES, ...this.config.customThemes };
+    return normalizeTheme(themes[themeId] || BUILT_IN_THEMES.light);
+  }
+
+  /**
+   * Check if a theme was created by the user
+   * @param {string} themeId - Theme identifier
+   * @returns {boolean}
+   */
+  isCustomTheme(themeId) {
+    return !!(this.config.customThemes && this.config.customThemes[themeId]);
+  }
+
+  /**
+   * Fill the editor theme select and refresh the theme actions
+   * @param {string} selectedId - Theme to select
+   */
+  renderThemeOptions(selectedId) {
+    this.fillThemeSelect(this.elements.editorTheme, selectedId, true);
+    this.updateThemeActions();
+  }
+
+  /**
+   * Fill a select with built-in and user-defined themes
+   * @param {HTMLSelectElement} select - Select to fill
+   * @param {string} selectedId - Theme to select
+   * @param {boolean} includeAuto - Add the "auto" option
+   */
+  fillThemeSelect(select, selectedId, includeAuto) {
+    select.innerHTML = '';
+
+    if (includeAuto) {
+      const option = document.createElement('option');
+      option.value = 'auto';
+      option.textContent = 'Auto (follow dark mode)';
+      select.appendChild(option);
+    }
+
+    const groups = [
+      ['Built-in', BUILT_IN_THEMES],
+      ['My themes', this.config.customThemes || {}]
+    ];
+    groups.forEach(([label, themes]) => {
+      const ids = Object.keys(themes);
+      if (ids.length === 0) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      ids.forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = themes[id].name;
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    });
+
+    select.value = selectedId;
+    if (!select.value) select.value = 'light';
+  }
+
+  /**
+   * Only user-defined themes can be edited or deleted;
+   * the auto options only apply to the "auto" theme
+   */
+  updateThemeActions() {
+    const themeId = this.elements.editorTheme.value;
+    const isCustom = this.isCustomTheme(themeId);
+    this.elements.editThemeBtn.disabled = !isCustom;
+    this.elements.deleteThemeBtn.disabled = !isCustom;
+    this.elements.autoThemeOptions.classList.toggle('hidden', themeId !== 'auto');
+  }
+
+  /**
+   * Toggle the time-of-day schedule fields
+   * @param {boolean} show - Whether to show the fields
+   */
+  toggleAutoThemeSchedule(show) {
+    this.elements.autoThemeSchedule.classList.toggle('hidden', !show);
+  }
+
+  /**
+   * Toggle the custom font stack field
+   * @param {boolean} show - Whether to show the field
+   */
+  toggleCustomFontOptions(show) {
+    this.elements.customFontOptions.classList.toggle('hidden', !show);
+    if (show) this.checkFontAvailability();
+  }
+
+  /**
+   * Warn about families of the custom stack that are not installed
+   */
+  checkFontAvailability() {
+    const missing = parseFontStack(this.elements.customFontFamily.value).filter(
+      family => !GENERIC_FONT_FAMILIES.includes(family.toLowerCase()) && !isFontAvailable(family)
+    );
+    const warning = this.elements.fontWarning;
+    warning.textContent = missing.length
+      ? `Police non installée : ${missing.join(', ')}. La police suivante de la liste sera utilisée.`
+      : '';
+    warning.classList.toggle('hidden', missing.length === 0);
+  }
+
+  /**
+   * Show the theme editor filled with a theme
+   * @param {string|null} themeId - Theme being edited, null for a new theme
+   * @param {Object} theme - Initial values
+   */
+  openThemeEditor(themeId, theme) {
+    this.editingThemeId = themeId;
+    this.elements.themeName.value = theme.name;
+    this.elements.themeFieldInputs.forEach(input => {
+      input.value = toHexColor(getThemeField(theme, input.dataset.themeField));
+    });
+    this.elements.themePaletteInputs.forEach(input => {
+      const palette = theme.indentGuides;
+      const index = parseInt(input.dataset.themePaletteIndex);
+      input.value = toHexColor(palette[index % palette.length]);
+    });
+    this.elements.themeEditor.classList.remove('hidden');
+    this.elements.themeName.focus();
+  }
+
+  /**
+   * Hide the theme editor
+   */
+  closeThemeEditor() {
+    this.editingThemeId = null;
+    this.elements.themeEditor.classList.add('hidden');
+  }
+
+  /**
+   * Build a theme definition from the theme editor fields
+   * @returns {Object} Theme definition
+   */
+  readThemeEditor() {
+    const theme = { name: this.elements.themeName.value.trim() };
+    this.elements.themeFieldInputs.forEach(input => {
+      setThemeField(theme, input.dataset.themeField, input.value);
+    });
+    theme.indentGuides = Array.from(this.elements.themePaletteInputs).map(input => input.value);
+    return theme;
+  }
+
+  /**
+   * Save the theme being edited
+   */
+  async handleThemeSave() {
+    const theme = this.readThemeEditor();
+    if (!theme.name) {
+      this.showStatus('Donnez un nom au thème', 'error');
+      return;
+    }
+
+    const themeId = this.editingThemeId || `custom-${Date.now().toString(36)}`;
+    const success = await StorageManager.saveCustomTheme(themeId, theme);
+
+    if (success) {
+      this.closeThemeEditor();
+      await this.loadCurrentConfig();
+      this.updateUI();
+      this.showStatus('Thème sauvegardé !', 'success');
+    } else {
+      this.showStatus('Erreur lors de la sauvegarde du thème', 'error');
+    }
+  }
+
+  /**
+   * Delete the selected user-defined theme
+   */
+  async handleThemeDelete() {
+    const themeId = this.elements.editorTheme.value;
+    if (!this.isCustomTheme(themeId)) return;
+    if (!confirm(`Supprimer le thème « ${this.config.customThemes[themeId].name} » ?`)) {
+      return;
+    }
+
+    const success = await StorageManager.deleteCustomTheme(themeId);
+
+    if (success) {
+      this.closeThemeEditor();
+      await this.loadCurrentConfig();
+      this.updateUI();
+      this.showStatus('Thème supprimé', 'success');
+    } else {
+      this.showStatus('Erreur lors de la suppression du thème', 'error');
+    }
+  }
+
+  /**
+   * Check if a palette is user-defined
+   * @param {string} paletteId - Palette identifier
+   * @returns {boolean}
+   */
+  isCustomPalette(paletteId) {
+    return !!(this.config.customPalettes && this.config.customPalettes[paletteId]);
+  }
+
+  /**
+   * Get the colors of a palette ("theme" resolves to the selected theme's palette)
+   * @param {string} paletteId - Palette identifier
+   * @returns {string[]} Colors
+   */
+  getPaletteColors(paletteId) {
+    const palettes = { ...GUIDE_PALETTES, ...this.config.customPalettes };
+    if (palettes[paletteId]) return palettes[paletteId].colors;
+    return this.getTheme(this.elements.editorTheme.value).indentGuides;
+  }
+
+  /**
+   * Fill the guide palette select with built-in and user-defined palettes
+   * @param {string} selectedId - Palette to select
+   */
+  renderPaletteOptions(selectedId) {
+    const select = this.elements.indentGuidePalette;
+    select.innerHTML = '';
+
+    const themeOption = document.createElement('option');
+    themeOption.value = 'theme';
+    themeOption.textContent = 'Theme default';
+    select.appendChild(themeOption);
+
+    const groups = [
+      ['Built-in', GUIDE_PALETTES],
+      ['My palettes', this.config.customPalettes || {}]
+    ];
+    groups.forEach(([label, palettes]) => {
+      const ids = Object.keys(palettes);
+      if (ids.length === 0) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      ids.forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = palettes[id].name;
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    });
+
+    select.value = selectedId;
+    if (!select.value) select.value = 'theme';
+    this.updatePaletteActions();
+  }
+
+  /**
+   * Only user-defined palettes can be edited or deleted
+   */
+  updatePaletteActions() {
+    const isCustom = this.isCustomPalette(this.elements.indentGuidePalette.value);
+    this.elements.editPaletteBtn.disabled = !isCustom;
+    this.elements.deletePaletteBtn.disabled = !isCustom;
+  }
+
+  /**
+   * Show the palette editor filled with a palette
+   * @param {string|null} paletteId - Palette being edited, null for a new palette
+   * @param {Object} palette - Initial values ({ name, colors })
+   */
+  openPaletteEditor(paletteId, palette) {
+    this.editingPaletteId = paletteId;
+    this.elements.paletteName.value = palette.name;
+    this.elements.paletteColorInputs.forEach(input => {
+      const index = parseInt(input.dataset.paletteIndex);
+      input.value = toHexColor(palette.colors[index % palette.colors.length]);
+    });
+    this.elements.paletteEditor.classList.remove('hidden');
+    this.elements.paletteName.focus();
+  }
+
+  /**
+   * Hide the palette editor
+   */
+  closePaletteEditor() {
+    this.editingPaletteId = null;
+    this.elements.paletteEditor.classList.add('hidden');
+  }
+
+  /**
+   * Save the palette being edited (a new id is generated for new palettes)
+   */
+  async handlePaletteSave() {
+    const palette = {
+      name: this.elements.paletteName.value.trim(),
+      colors: Array.from(this.elements.paletteColorInputs).map(input => input.value)
+    };
+    if (!palette.name) {
+      this.showStatus('Donnez un nom à la palette', 'error');
+      return;
+    }
+
+    const paletteId = this.editingPaletteId || `palette-${Date.now().toString(36)}`;
+    const success = await StorageManager.saveCustomPalette(paletteId, palette);
+
+    if (success) {
+      this.closePaletteEditor();
+      await this.loadCurrentConfig();
+      this.updateUI();
+      this.showStatus('Palette sauvegardée !', 'success');
+    } else {
+      this.showStatus('Erreur lors de la sauvegarde de la palette', 'error');
+    }
+  }
+
+  /**
+   * Delete the selected user-defined palette
+   */
+  async handlePaletteDelete() {
+    const paletteId = this.elements.indentGuidePalette.value;
+    if (!this.isCustomPalette(paletteId)) return;
+    if (!confirm(`Supprimer la palette « ${this.config.customPalettes[paletteId].name} » ?`)) {
+      return;
+    }
+
+    const success = await StorageManager.deleteCustomPalette(paletteId);
+
+    if (success) {
+      this.closePaletteEditor();
+      await this.loadCurrentConfig();
+      this.updateUI();
+      this.showStatus('Palette supprimée', 'success');
+    } else {
+      this.showStatus('Erreur lors de la suppression de la palette', 'error');
+    }
+  }
+
+  /**
+   * User snippets keyed by id
+   * @returns {Object} Snippet library
+   */
+  getSnippets() {
+    return this.config.snippets || {};
+  }
+
+  /**
+   * Fill the snippet select with the library (trigger shown next to the name)
+   * @param {string} selectedId - Snippet to select, if it still exists
+   */
+  renderSnippetOptions(selectedId) {
+    const select = this.elements.snippetSelect;
+    const snippets = this.getSnippets();
+    select.innerHTML = '';
+
+    Object.keys(snippets).forEach(id => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = snippets[id].trigger
+        ? `${snippets[id].name} (${snippets[id].trigger})`
+        : snippets[id].name;
+      select.appendChild(option);
+    });
+
+    if (snippets[selectedId]) select.value = selectedId;
+    this.updateSnippetActions();
+  }
+
+  /**
+   * Edit/delete need a selected snippet, export a non-empty library
+   */
+  updateSnippetActions() {
+    const snippets = this.getSnippets();
+    const hasSelection = !!snippets[this.elements.snippetSelect.value];
+    this.elements.editSnippetBtn.disabled = !hasSelection;
+    this.elements.deleteSnippetBtn.disabled = !hasSelection;
+    this.elements.exportSnippetsBtn.disabled = Object.keys(snippets).length === 0;
+  }
+
+  /**
+   * Show the snippet editor filled with a snippet
+   * @param {string|null} snippetId - Snippet being edited, null for a new snippet
+   * @param {Object} snippet - Initial values ({ name, trigger, body })
+   */
+  openSnippetEditor(snippetId, snippet) {
+    this.editingSnippetId = snippetId;
+    this.elements.snippetName.value = snippet.name;
+    this.elements.snippetTrigger.value = snippet.trigger;
+    this.elements.snippetBody.value = snippet.body;
+    this.elements.snippetEditor.classList.remove('hidden');
+    this.elements.snippetName.focus();
+  }
+
+  /**
+   * Hide the snippet editor
+   */
+  closeSnippetEditor() {
+    this.editingSnippetId = null;
+    this.elements.snippetEditor.classList.add('hidden');
+  }
+
+  /**
+   * Insert a tab in the snippet body instead of moving the focus
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  insertSnippetTab(e) {
+    // Snippet bodies are indented with tabs: keep Tab in the textarea
+    if (e.key !== 'Tab' || e.shiftKey || e.ctrlKey || e.altKey || e.metaKey) return;
+    e.preventDefault();
+    const textarea = e.target;
+    textarea.setRangeText('\t', textarea.selectionStart, textarea.selectionEnd, 'end');
+  }
+
+  /**
+   * Find the snippet using a trigger word
+   * @param {string} trigger - Trigger word
+   * @param {string} [exceptId] - Snippet to ignore (the one being edited)
+   * @returns {string|undefined} Snippet id
+   */
+  findSnippetByTrigger(trigger, exceptId) {
+    const snippets = this.getSnippets();
+    return Object.keys(snippets).find(id => id !== exceptId && snippets[id].trigger === trigger);
+  }
+
+  /**
+   * Save the snippet being edited (a new id is generated for new snippets)
+   */
+  async handleSnippetSave() {
+    const snippet = {
+      name: this.elements.snippetName.value.trim(),
+      trigger: this.elements.snippetTrigger.value.trim(),
+      body: this.elements.snippetBody.value
+    };
+    if (!snippet.name || !snippet.body) {
+      this.showStatus('Donnez un nom et un contenu au snippet', 'error');
+      return;
+    }
+    if (!isValidSnippet(snippet)) {
+      this.showStatus('Déclencheur invalide (lettres, chiffres et _)', 'error');
+      return;
+    }
+    const duplicateId = snippet.trigger && this.findSnippetByTrigger(snippet.trigger, this.editingSnippetId);
+    if (duplicateId) {
+      this.showStatus(`Déclencheur déjà utilisé par « ${this.config.snippets[duplicateId].name} »`, 'error');
+      return;
+    }
+
+    const snippetId = this.editingSnippetId || `snippet-${Date.now().toString(36)}`;
+    const success = await StorageManager.saveSnippet(snippetId, snippet);
+
+    if (success) {
+      this.closeSnippetEditor();
+      await this.loadCurrentConfig();
+      this.updateUI();
+      this.renderSnippetOptions(snippetId);
+      this.showStatus('Snippet sauvegardé !', 'success');
+    } else {
+      this.showStatus('Erreur lors de la sauvegarde du snippet', 'error');
+    }
+  }
+
+  /**
+   * Delete the selected snippet
+   */
+  async handleSnippetDelete() {
+    const snippetId = this.elements.snippetSelect.value;
+    const snippet = this.getSnippets()[snippetId];
+    if (!snippet) return;
+    if (!confirm(`Supprimer le snippet « ${snippet.name} » ?`)) {
+      return;
+    }
+
+    const success = await StorageManager.deleteSnippet(snippetId);
+
+    if (success) {
+      this.closeSnippetEditor();
+      await this.loadCurrentConfig();
+      this.updateUI();
+      this.showStatus('Snippet supprimé', 'success');
+    } else {
+      this.showStatus('Erreur lors de la suppression du snippet', 'error');
+    }
+  }
+
+  /**
+   * Download the library as { snippets: [...] } JSON
+   */
+  handleSnippetExport() {
+    const snippets = Object.values(this.getSnippets());
+    const blob = new Blob([JSON.stringify({ snippets }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'coda-formula-snippets.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Merge snippets from an exported file (an array or { snippets: [...] })
+   * @param {File} file - JSON file picked by the user
+   */
+  async handleSnippetImport(file) {
+    // Reset the input so picking the same file again fires another change
+    this.elements.snippetImportFile.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      this.showStatus('Fichier invalide (JSON attendu)', 'error');
+      return;
+    }
+
+    const entries = Array.isArray(data) ? data : (data && data.snippets) || [];
+    const valid = Array.isArray(entries) ? entries.filter(isValidSnippet) : [];
+    if (valid.length === 0) {
+      this.showStatus('Aucun snippet valide dans ce fichier', 'error');
+      return;
+    }
+
+    // An imported snippet replaces the existing one with the same trigger
+    const stamp = Date.now().toString(36);
+    const imported = {};
+    valid.forEach(({ name, trigger, body }, index) => {
+      const snippetId = (trigger && this.findSnippetByTrigger(trigger)) || `snippet-${stamp}-${index}`;
+      imported[snippetId] = { name: name.trim(), trigger, body };
+    });
+
+    const success = await StorageManager.importSnippets(imported);
+
+    if (success) {
+      await this.loadCurrentConfig();
+      this.updateUI();
+      this.showStatus(`${valid.length} snippet(s) importé(s)`, 'success');
+    } else {
+      this.showStatus('Erreur lors de l\'import des snippets', 'error');
+    }
+  }
+
+  /**
+   * Load the formula library and fill its select, sorted by name
+   * @param {string} selectedId - Entry to select, if it still exists
+   */
+  async renderLibrary(selectedId) {
+    this.library = await StorageManager.getLibrary();
+    const select = this.elements.librarySelect;
+    select.innerHTML = '';
+
+    Object.keys(this.library)
+      .sort((a, b) => this.library[a].name.localeCompare(this.library[b].name))
+      .forEach(id => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = this.library[id].name;
+        select.appendChild(option);
+      });
+
+    if (this.library[selectedId]) select.value = selectedId;
+    this.updateLibraryDetails();
+  }
+
+  /**
+   * Show the tags, description and source doc of the selected entry
+   */
+  updateLibraryDetails() {
+    const entry = this.library[this.elements.librarySelect.value];
+    this.elements.libraryDetails.textContent = entry
+      ? [(entry.tags || []).map(tag => `#${tag}`).join(' '), entry.description, entry.sourceUrl].filter(Boolean).join('\n')
+      : '';
+    this.elements.deleteLibraryFormulaBtn.disabled = !entry;
+    this.elements.exportLibraryBtn.disabled = Object.keys(this.library).length === 0;
+  }
+
+  /**
+   * Delete the selected library entry after confirmation
+   */
+  async handleLibraryDelete() {
+    const formulaId = this.elements.librarySelect.value;
+    const entry = this.library[formulaId];
+    if (!entry) return;
+    if (!confirm(`Supprimer « ${entry.name} » de la bibliothèque ?`)) {
+      return;
+    }
+
+    const success = await StorageManager.deleteLibraryFormula(formulaId);
+
+    if (success) {
+      await this.renderLibrary();
+      this.showStatus('Formule supprimée de la bibliothèque', 'success');
+    } else {
+      this.showStatus('Erreur lors de la suppression de la formule', 'error');
+    }
+  }
+
+  /**
+   * Download the library as { formulas: [...] } JSON
+   */
+  handleLibraryExport() {
+    const formulas = Object.values(this.library);
+    const blob = new Blob([JSON.stringify({ formulas }, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'coda-formula-library.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Merge formulas from an exported file (an array or { formulas: [...] })
+   * @param {File} file - JSON file picked by the user
+   */
+  async handleLibraryImport(file) {
+    // Reset the input so picking the same file again fires another change
+    this.elements.libraryImportFile.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      this.showStatus('Fichier invalide (JSON attendu)', 'error');
+      return;
+    }
+
+    const entries = Array.isArray(data) ? data : (data && data.formulas) || [];
+    const valid = Array.isArray(entries) ? entries.filter(isValidLibraryFormula) : [];
+    if (valid.length === 0) {
+      this.showStatus('Aucune formule valide dans ce fichier', 'error');
+      return;
+    }
+
+    // An imported formula replaces the existing one with the same name
+    const stamp = Date.now().toString(36);
+    const imported = {};
+    valid.forEach(({ name, tags, description, formula, sourceUrl, savedAt }, index) => {
+      const formulaId = Object.keys(this.library).find(id => this.library[id].name === name.trim()) ||
+        `formula-${stamp}-${index}`;
+      imported[formulaId] = {
+        name: name.trim(),
+        tags: tags || [],
+        description: description || '',
+        formula,
+        sourceUrl: sourceUrl || '',
+        savedAt: typeof savedAt === 'number' ? savedAt : Date.now()
+      };
+    });
+
+    const success = await StorageManager.importLibrary(imported);
+
+    if (success) {
+      await this.renderLibrary();
+      this.showStatus(`${valid.length} formule(s) importée(s)`, 'success');
+    } else {
+      this.showStatus('Erreur lors de l\'import de la bibliothèque', 'error');
+    }
+  }
+
+  /**
+   * Show how many formula versions are stored
+   */
+  async renderHistorySummary() {
+    const history = await StorageManager.getHistory();
+    const formulas = Object.keys(history);
+    const versions = formulas.reduce((total, formulaKey) => total + history[formulaKey].length, 0);
+    this.elements.historySummary.textContent = `${versions} version(s), ${formulas.length} formula(s)`;
+    this.elements.clearHistoryBtn.disabled = versions === 0;
+  }
+
+  /**
+   * Delete every stored formula version after confirmation
+   */
+  async handleClearHistory() {
+    if (!confirm('Supprimer tout l\'historique des formules ?')) return;
+
+    const success = await StorageManager.clearHistory();
+
+    if (success) {
+      this.renderHistorySummary();
+      this.showStatus('Historique supprimé', 'success');
+    } else {
+      this.showStatus('Erreur lors de la suppression de l\'historique', 'error');
+    }
+  }
+
   /**
    * Toggle indent guides options visibility
    * @param {boolean} show - Whether to show the options
@@ -349,25 +1374,106 @@ class PopupController {
       transparentBackground: this.elements.transparentBackground.checked,
       showDocumentation: this.elements.showDocumentation.checked,
       documentationPosition: selectedPosition ? selectedPosition.dataset.position : 'right',
+      referencePane: this.elements.referencePane.value,
       editorProportion: parseInt(this.elements.editorProportion.value),
       editorFontSize: parseInt(this.elements.editorFontSize.value),
       editorLineHeight: parseFloat(this.elements.editorLineHeight.value),
       editorFontFamily: this.elements.editorFontFamily.value,
+      customFontFamily: this.elements.customFontFamily.value.trim(),
+      editorFontWeight: parseInt(this.elements.editorFontWeight.value),
+      editorLetterSpacing: parseFloat(this.elements.editorLetterSpacing.value),
+      editorLigatures: this.elements.editorLigatures.checked,
       editorTheme: this.elements.editorTheme.value,
+      autoThemeLight: this.elements.autoThemeLight.value,
+      autoThemeDark: this.elements.autoThemeDark.value,
+      autoThemeSource: this.elements.autoThemeSource.value,
+      autoThemeDarkStart: this.elements.autoThemeDarkStart.value,
+      autoThemeDarkEnd: this.elements.autoThemeDarkEnd.value,
+      syntaxHighlighting: this.elements.syntaxHighlighting.checked,
+      bracketPairColorization: this.elements.bracketPairColorization.checked,
+      showLineNumbers: this.elements.showLineNumbers.checked,
+      codeFolding: this.elements.codeFolding.checked,
+      functionHoverDocs: this.elements.functionHoverDocs.checked,
+      signatureHelp: this.elements.signatureHelp.checked,
+      showBreadcrumbs: this.elements.showBreadcrumbs.checked,
+      autoCloseBrackets: Object.fromEntries(
+        Array.from(this.elements.autoCloseInputs).map(input => [input.dataset.autoClose, input.checked])
+      ),
+      smartIndent: this.elements.smartIndent.checked,
       showIndentGuides: this.elements.showIndentGuides.checked,
       indentGuideStyle: this.elements.indentGuideStyle.value,
-      highlightActiveIndent: this.elements.highlightActiveIndent.checked
+      indentGuidePalette: this.elements.indentGuidePalette.value,
+      indentGuideWidth: parseInt(this.elements.indentGuideWidth.value),
+      indentGuideOpacity: parseInt(this.elements.indentGuideOpacity.value) / 100,
+      indentUnit: this.elements.indentUnit.value === 'tab' ? 'tab' : parseInt(this.elements.indentUnit.value),
+      highlightActiveIndent: this.elements.highlightActiveIndent.checked,
+      lintFormulas: this.elements.lintFormulas.checked,
+      lintRules: Object.fromEntries(
+        Array.from(this.elements.lintRuleInputs).map(input => [input.dataset.lintRule, input.checked])
+      ),
+      historyMaxVersions: parseInt(this.elements.historyMaxVersions.value),
+      historyRetentionDays: parseInt(this.elements.historyRetentionDays.value),
+      keyBindings: Object.fromEntries(
+        Array.from(this.elements.shortcutInputs)
+          .filter(input => input.value && input.value !== EDITOR_SHORTCUTS[input.dataset.shortcut])
+          .map(input => [input.dataset.shortcut, input.value])
+      )
     };
   }
 
+  /**
+   * Record a key combination in a shortcut field (Backspace, Delete or
+   * Escape restore the default, Tab keeps moving the focus)
+   * @param {KeyboardEvent} e - Keydown in the field
+   */
+  recordShortcut(e) {
+    if (e.key === 'Tab') return;
+    e.preventDefault();
+
+    if (['Backspace', 'Delete', 'Escape'].includes(e.key)) {
+      e.target.value = '';
+      return;
+    }
+
+    const shortcut = formatShortcut(e);
+    if (shortcut) e.target.value = shortcut;
+  }
+
+  /**
+   * Find shortcuts bound to more than one command
+   * @param {Object} keyBindings - Overrides by command id
+   * @returns {string[]} Conflicting shortcuts
+   */
+  findShortcutConflicts(keyBindings) {
+    const commands = {};
+    Object.keys(EDITOR_SHORTCUTS).forEach(command => {
+      const shortcut = keyBindings[command] || EDITOR_SHORTCUTS[command];
+      commands[shortcut] = (commands[shortcut] || []).concat(command);
+    });
+    return Object.keys(commands).filter(shortcut => commands[shortcut].length > 1);
+  }
+
   /**
    * Handle save button click
    */
   async handleSave() {
-    const newConfig = this.getConfigFromUI();
+    // Keep settings that have no form control (e.g. custom themes)
+    const newConfig = { ...this.config, ...this.getConfigFromUI() };
+
+    if (newConfig.editorFontFamily === 'custom' && !isValidFontStack(newConfig.customFontFamily)) {
+      this.showStatus('Saisissez une liste de polices valide (sans ; { } < >)', 'error');
+      return;
+    }
+
+    const conflicts = this.findShortcutConflicts(newConfig.keyBindings);
+    if (conflicts.length > 0) {
+      this.showStatus(`Raccourci utilisé par plusieurs commandes : ${conflicts.join(', ')}`, 'error');
+      return;
+    }
 
-    // Check if documentation position changed
-    const positionChanged = this.config && this.config.documentationPosition !== newConfig.documentationPosition;
+    // Check if documentation position or reference pane changed
+    const positionChanged = this.config && (this.config.documentationPosition !== newConfig.documentationPosition ||
+      this.config.referencePane !== newConfig.referencePane);
 
     const success = await StorageManager.saveConfig(newConfig);
 
@@ -376,7 +1482,7 @@ class PopupController {
       this.updatePresetButtons();
 
       if (positionChanged) {
-        this.showStatus('Configuration sauvegardée ! Fermez et rouvrez l\'éditeur de formule pour appliquer la nouvelle position.', 'success');
+        this.showStatus('Configuration sauvegardée ! Fermez et rouvrez l\'éditeur de formule pour appliquer la nouvelle disposition.', 'success');
       } else {
         this.showStatus('Configuration sauvegardée avec succès !', 'success');
       }
@@ -0,0 +1,110 @@
+/**
+ * Formula Formatter tests - Layout of formatted and minified formulas
+ * and the whitespace-only edits that apply it to the editor
+ * Fixtures live in fixtures/formatting.json
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { FormulaTokenizer } from '../src/core/formulaParser.js';
+import { loadFromBundle } from './helpers/bundle.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/formatting.json', import.meta.url), 'utf8'));
+const formulas = JSON.parse(readFileSync(new URL('./fixtures/formulas.json', import.meta.url), 'utf8'));
+const { FormulaFormatter, whitespaceEdits } = loadFromBundle('FORMAT_LINE_LENGTH', 'FormulaFormatter', 'whitespaceEdits');
+
+/**
+ * The parts of EditorTextModel that whitespaceEdits reads
+ */
+function textModel(text, atoms = []) {
+  return { text, atoms, getTokens: () => new FormulaTokenizer().tokenize(text, atoms) };
+}
+
+/**
+ * Non-whitespace tokens of a formula, as "type value"
+ */
+function significantTokens(text, atoms = []) {
+  return new FormulaTokenizer().tokenize(text, atoms)
+    .filter(token => token.type !== 'whitespace')
+    .map(token => `${token.type} ${token.value}`);
+}
+
+/**
+ * Apply edits ({start, end, text}, in document order) to a text
+ */
+function applyEdits(text, edits) {
+  return edits.slice().reverse().reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text);
+}
+
+fixtures.formatted.forEach(fixture => {
+  test(`format: ${fixture.name}`, () => {
+    const formatter = new FormulaFormatter(fixture.indent || '  ');
+    assert.equal(formatter.format(fixture.formula, fixture.atoms), fixture.formatted);
+  });
+});
+
+test('format leaves formulas with syntax errors alone', () => {
+  formulas.recovered.forEach(fixture => {
+    assert.equal(new FormulaFormatter('  ').format(fixture.formula, fixture.atoms), null, fixture.name);
+  });
+});
+
+test('formatting twice changes nothing', () => {
+  // Chip offsets would have moved in the formatted text
+  fixtures.formatted.filter(fixture => !fixture.atoms).forEach(fixture => {
+    const formatter = new FormulaFormatter(fixture.indent || '  ');
+    assert.equal(formatter.format(fixture.formatted, []), fixture.formatted, fixture.name);
+  });
+});
+
+fixtures.minified.forEach(fixture => {
+  test(`minify: ${fixture.name}`, () => {
+    assert.equal(new FormulaFormatter('').minify(fixture.formula, fixture.atoms), fixture.minified);
+  });
+});
+
+test('minifying then formatting keeps every token and string literal', () => {
+  const cases = [...formulas.valid, ...fixtures.formatted, ...fixtures.minified]
+    .filter(fixture => !fixture.atoms && new FormulaFormatter('  ').format(fixture.formula) !== null);
+  cases.forEach(fixture => {
+    const tokens = significantTokens(fixture.formula);
+    const minified = new FormulaFormatter('').minify(fixture.formula);
+    assert.deepEqual(significantTokens(minified), tokens, `${fixture.name}: minified`);
+
+    const formatted = new FormulaFormatter('  ').format(minified);
+    assert.deepEqual(significantTokens(formatted), tokens, `${fixture.name}: formatted`);
+    assert.equal(formatted, new FormulaFormatter('  ').format(fixture.formula), `${fixture.name}: same layout`);
+  });
+});
+
+test('minifying keeps the chips and the text of unfinished formulas', () => {
+  [...formulas.tokens, ...formulas.recovered, ...fixtures.minified].forEach(fixture => {
+    const minified = new FormulaFormatter('').minify(fixture.formula, fixture.atoms);
+    const edits = whitespaceEdits(textModel(fixture.formula, fixture.atoms), minified);
+    assert.ok(edits, `${fixture.name}: only whitespace changes`);
+    (fixture.atoms || []).forEach(atom => {
+      assert.ok(edits.every(edit => edit.end <= atom.start || edit.start >= atom.end), `${fixture.name}: chip kept`);
+    });
+  });
+});
+
+test('whitespace edits turn a formula into its formatted text', () => {
+  fixtures.formatted.forEach(fixture => {
+    const edits = whitespaceEdits(textModel(fixture.formula, fixture.atoms), fixture.formatted);
+    assert.equal(applyEdits(fixture.formula, edits), fixture.formatted, fixture.name);
+  });
+});
+
+test('whitespace edits keep clear of reference chips', () => {
+  const formula = 'Sum(Project Name,1)';
+  const atoms = [{ start: 4, end: 16 }];
+  const edits = whitespaceEdits(textModel(formula, atoms), 'Sum(Project Name, 1)');
+  assert.deepEqual(edits, [{ start: 17, end: 17, text: ' ' }]);
+});
+
+test('whitespace edits refuse a target with other tokens', () => {
+  assert.equal(whitespaceEdits(textModel('If(a, 1, 2)'), 'If(a, 1, 3)'), null);
+  assert.equal(whitespaceEdits(textModel('If(a, 1, 2)'), 'If(a, 1, 2) + 1'), null);
+  assert.equal(whitespaceEdits(textModel('"a b"'), '"a  b"'), null);
+});
@@ -0,0 +1,52 @@
+/**
+ * Formula History tests - Line diff, restore edit and retention of versions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFromBundle } from './helpers/bundle.js';
+
+const { diffLines, changedTextEdit, pruneHistory } = loadFromBundle('DIFF_CELL_LIMIT', 'diffLines', 'changedTextEdit', 'pruneHistory');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function diffText(before, after) {
+  return diffLines(before, after).map(line => `${{ same: ' ', removed: '-', added: '+' }[line.type]}${line.text}`);
+}
+
+test('diff keeps the common lines and lists the changes', () => {
+  assert.deepEqual(diffText('If(\n  a,\n  b\n)', 'If(\n  a,\n  c,\n  d\n)'), [' If(', '   a,', '-  b', '+  c,', '+  d', ' )']);
+  assert.deepEqual(diffText('x', 'x'), [' x']);
+  assert.deepEqual(diffText('', 'a'), ['-', '+a']);
+});
+
+test('diff replaces every line above the size limit', () => {
+  const before = Array.from({ length: 600 }, (_, index) => `line ${index}`).join('\n');
+  const after = `${before}\nmore`;
+  const diff = diffLines(before, after);
+  assert.equal(diff.filter(line => line.type === 'removed').length, 600);
+  assert.equal(diff.filter(line => line.type === 'added').length, 601);
+});
+
+test('the restore edit covers only the changed part', () => {
+  const model = { text: 'If(a, 1, 2)', atoms: [] };
+  assert.deepEqual(changedTextEdit(model, 'If(a, 10, 2)'), { start: 7, end: 7, text: '0' });
+  assert.deepEqual(changedTextEdit(model, 'Sum(1)'), { start: 0, end: 10, text: 'Sum(1' });
+});
+
+test('the restore edit keeps the chips around the changed part, and replaces a cut one whole', () => {
+  const model = { text: 'Sum(Project Name, 1)', atoms: [{ start: 4, end: 16 }] };
+  assert.deepEqual(changedTextEdit(model, 'Sum(Project Name, 2)'), { start: 18, end: 19, text: '2' });
+  assert.deepEqual(changedTextEdit(model, 'Sum(Project Game, 1)'), { start: 4, end: 16, text: 'Project Game' });
+});
+
+test('retention drops old versions, extra versions and empty formulas', () => {
+  const now = 100 * DAY;
+  const history = {
+    a: [{ text: '1', savedAt: now - 40 * DAY }, { text: '2', savedAt: now - 2 * DAY }, { text: '3', savedAt: now - DAY }, { text: '4', savedAt: now }],
+    b: [{ text: 'old', savedAt: now - 31 * DAY }]
+  };
+  assert.deepEqual(pruneHistory(history, 2, 30, now), {
+    a: [{ text: '3', savedAt: now - DAY }, { text: '4', savedAt: now }]
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Formula Library tests - Fuzzy matching and ranking of library entries
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFromBundle } from './helpers/bundle.js';
+
+const { fuzzyMatch, searchLibrary, parseLibraryTags } = loadFromBundle('LIBRARY_SEARCH_FIELDS', 'fuzzyMatch', 'searchLibrary', 'parseLibraryTags');
+
+/**
+ * Matched characters of a text, offsets being code points
+ */
+function matched(text, match) {
+  const chars = Array.from(text);
+  return match.indices.map(index => chars[index]).join('');
+}
+
+test('a substring ranks above scattered characters', () => {
+  const substring = fuzzyMatch('tax', 'Tax total');
+  const scattered = fuzzyMatch('tax', 'Total amount x');
+  assert.deepEqual(substring.indices, [0, 1, 2]);
+  assert.ok(substring.score > scattered.score);
+  assert.equal(matched('Total amount x', scattered), 'Tax');
+  assert.equal(fuzzyMatch('zz', 'Tax total'), null);
+});
+
+test('characters starting words score higher', () => {
+  assert.ok(fuzzyMatch('st', 'Sum total').score > fuzzyMatch('st', 'Sunset').score);
+  assert.ok(fuzzyMatch('st', 'SumTotal').score > fuzzyMatch('st', 'Sunset').score);
+});
+
+test('offsets count code points, whatever the lowercase length', () => {
+  assert.equal(matched('🎉 Tax total', fuzzyMatch('tax', '🎉 Tax total')), 'Tax');
+  assert.equal(matched('🎉 Tax 🎉 total', fuzzyMatch('tt', '🎉 Tax 🎉 total')), 'Tt');
+  assert.equal(matched('İstanbul tax', fuzzyMatch('tax', 'İstanbul tax')), 'tax');
+});
+
+test('every query word must match a field, name matches first', () => {
+  const entries = [
+    { name: 'Sum of prices', tags: ['money'], description: '', formula: 'Sum(Price)', savedAt: 1 },
+    { name: 'Overdue tasks', tags: ['tasks'], description: 'Tasks past their price date', formula: 'Filter()', savedAt: 2 },
+    { name: 'Tax total', tags: [], description: '', formula: 'Sum(Tax)', savedAt: 3 }
+  ];
+  assert.deepEqual(searchLibrary(entries, 'price').map(result => result.entry.name), ['Sum of prices', 'Overdue tasks']);
+  assert.deepEqual(searchLibrary(entries, 'sum money').map(result => result.entry.name), ['Sum of prices']);
+  assert.deepEqual(searchLibrary(entries, '').map(result => result.entry.name), ['Tax total', 'Overdue tasks', 'Sum of prices']);
+  assert.deepEqual(searchLibrary(entries, 'tax').find(result => result.entry.name === 'Tax total').nameIndices, [0, 1, 2]);
+});
+
+test('tags are trimmed, without blanks nor duplicates', () => {
+  assert.deepEqual(parseLibraryTags(' money, tasks,,money , '), ['money', 'tasks']);
+});
@@ -0,0 +1,49 @@
+/**
+ * Formula Linter tests - Problems reported by each rule and the rule switches
+ * Fixtures live in fixtures/lint.json; problems are "rule start-end message"
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { FormulaTokenizer, FormulaParser } from '../src/core/formulaParser.js';
+import { loadFromBundle } from './helpers/bundle.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/lint.json', import.meta.url), 'utf8'));
+const { FormulaLinter, LINT_RULES } = loadFromBundle('BracketHighlighter', 'LINT_RULES', 'FormulaLinter');
+
+/**
+ * The parts of EditorTextModel that FormulaLinter.check reads
+ */
+function textModel(text, atoms = []) {
+  return {
+    text,
+    atoms,
+    getTokens: () => new FormulaTokenizer().tokenize(text, atoms),
+    getAst: () => new FormulaParser().parse(text, atoms)
+  };
+}
+
+function check(formula, rules) {
+  return FormulaLinter.check(textModel(formula), rules)
+    .map(problem => `${problem.rule} ${problem.start}-${problem.end} ${problem.message}`);
+}
+
+fixtures.cases.forEach(fixture => {
+  test(`lint: ${fixture.name}`, () => {
+    assert.deepEqual(check(fixture.formula, fixture.rules), fixture.problems);
+  });
+});
+
+test('switching a rule off keeps the problems of the others', () => {
+  fixtures.cases.forEach(fixture => {
+    const all = check(fixture.formula);
+    Object.keys(LINT_RULES).forEach(rule => {
+      const remaining = check(fixture.formula, { [rule]: false });
+      assert.ok(remaining.every(problem => !problem.startsWith(`${rule} `)), `${fixture.name}: ${rule} off`);
+      all.filter(problem => !problem.startsWith(`${rule} `)).forEach(problem => {
+        assert.ok(remaining.includes(problem), `${fixture.name}: ${problem} kept with ${rule} off`);
+      });
+    });
+  });
+});
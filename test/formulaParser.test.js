@@ -0,0 +1,99 @@
+/**
+ * Formula Parser tests - Fixture-based checks of the tokenizer and parser
+ * Fixtures live in fixtures/formulas.json; ASTs are compared as s-expressions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { FormulaTokenizer, FormulaParser } from '../src/core/formulaParser.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/formulas.json', import.meta.url), 'utf8'));
+
+/**
+ * Compact form of an AST: "(Name args…)" for calls, "(op left right)" for
+ * operators, "…" marks an unclosed bracket and "<error>" an Error node
+ */
+function toSExpression(node) {
+  switch (node.type) {
+    case 'Formula':
+      return node.body.map(toSExpression).join(' ');
+    case 'Call': {
+      const head = node.object ? `.${node.callee.name} ${toSExpression(node.object)}` : node.callee.name;
+      return `(${[head, ...node.args.map(toSExpression)].join(' ')}${node.closed ? '' : ' …'})`;
+    }
+    case 'Member':
+      return `(. ${toSExpression(node.object)} ${toSExpression(node.property)})`;
+    case 'Binary':
+      return `(${node.operator} ${toSExpression(node.left)} ${toSExpression(node.right)})`;
+    case 'Unary':
+      return `(${node.operator} ${toSExpression(node.argument)})`;
+    case 'Group':
+      return `(group ${toSExpression(node.expression)}${node.closed ? '' : ' …'})`;
+    case 'List':
+      return `(${[node.open, ...node.elements.map(toSExpression)].join(' ')}${node.closed ? '' : ' …'})`;
+    case 'NamedArgument':
+      return `${node.name.name}: ${toSExpression(node.value)}`;
+    case 'Number':
+      return String(node.value);
+    case 'String':
+      return JSON.stringify(node.value);
+    case 'Reference':
+      return `@${node.name}`;
+    case 'Error':
+      return '<error>';
+    default:
+      return node.name;
+  }
+}
+
+fixtures.tokens.forEach(fixture => {
+  test(`tokenizer: ${fixture.name}`, () => {
+    const tokens = new FormulaTokenizer().tokenize(fixture.formula, fixture.atoms)
+      .filter(token => token.type !== 'whitespace')
+      .map(token => `${token.type} ${token.value}`);
+    assert.deepEqual(tokens, fixture.tokens);
+  });
+});
+
+fixtures.valid.forEach(fixture => {
+  test(`valid: ${fixture.name}`, () => {
+    const ast = new FormulaParser().parse(fixture.formula, fixture.atoms);
+    assert.equal(toSExpression(ast), fixture.ast);
+    assert.deepEqual(ast.errors, []);
+  });
+});
+
+fixtures.recovered.forEach(fixture => {
+  test(`recovered: ${fixture.name}`, () => {
+    const ast = new FormulaParser().parse(fixture.formula, fixture.atoms);
+    assert.equal(toSExpression(ast), fixture.ast);
+    assert.deepEqual(ast.errors, fixture.errors);
+  });
+});
+
+test('every node lies within its parent', () => {
+  [...fixtures.valid, ...fixtures.recovered].forEach(fixture => {
+    const ast = new FormulaParser().parse(fixture.formula, fixture.atoms);
+    FormulaParser.walk(ast, (node, parent) => {
+      assert.ok(node.start <= node.end, `${fixture.name}: ${node.type} range`);
+      if (parent) assert.ok(parent.start <= node.start && node.end <= parent.end, `${fixture.name}: ${node.type} in ${parent.type}`);
+    });
+  });
+});
+
+test('pathAt lists the nodes around an offset, outermost first', () => {
+  const ast = new FormulaParser().parse('If(a, Sum(1, 2))');
+  const path = FormulaParser.pathAt(ast, 13).map(node => node.type);
+  assert.deepEqual(path, ['Formula', 'Call', 'Call', 'Number']);
+});
+
+test('bundle.js mirrors the module', () => {
+  const module = readFileSync(new URL('../src/core/formulaParser.js', import.meta.url), 'utf8');
+  const bundle = readFileSync(new URL('../src/bundle.js', import.meta.url), 'utf8');
+  const bundled = bundle.slice(bundle.indexOf('const FORMULA_KEYWORDS'), bundle.indexOf('// Formula Formatting'))
+    .replace(/^ {2}/gm, '')
+    .replace(/\s*\/\/ =+\s*$/, '');
+  const mirrored = module.slice(module.indexOf('const FORMULA_KEYWORDS')).replace(/^export /gm, '').trimEnd();
+  assert.equal(bundled, mirrored);
+});
@@ -0,0 +1,37 @@
+/**
+ * Bundle loader - Evaluates top-level declarations of src/bundle.js
+ * The content script is a single IIFE: tests pick its pure helpers by
+ * name and run the shipped code, the parser coming from its core module
+ */
+
+import { readFileSync } from 'node:fs';
+import * as formulaParser from '../../src/core/formulaParser.js';
+
+const source = readFileSync(new URL('../../src/bundle.js', import.meta.url), 'utf8');
+
+/**
+ * Source of a declaration at the top level of the IIFE (two-space indent)
+ */
+function declaration(name) {
+  const start = source.search(new RegExp(`^  (?:async function|function|class|const|let) ${name}\\b`, 'm'));
+  if (start === -1) throw new Error(`${name} is not declared in bundle.js`);
+
+  const rest = source.slice(start);
+  const firstLine = rest.slice(0, rest.indexOf('\n'));
+  if (/;\s*(\/\/.*)?$/.test(firstLine)) return firstLine;
+  // A block ends on the first line back at the declaration's indent
+  const close = rest.match(/\n  [}\]][^\n]*/);
+  return rest.slice(0, close.index + close[0].length);
+}
+
+/**
+ * Evaluate declarations of bundle.js, in the given order
+ * @param {...string} names - Declarations to load, dependencies first
+ * @returns {Object} The declarations by name
+ */
+export function loadFromBundle(...names) {
+  const scope = Object.keys(formulaParser);
+  const body = names.map(declaration).join('\n\n');
+  const factory = new Function(...scope, `'use strict';\n${body}\nreturn { ${names.join(', ')} };`);
+  return factory(...Object.values(formulaParser));
+}
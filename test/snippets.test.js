@@ -0,0 +1,45 @@
+/**
+ * Snippet tests - Expansion of snippet bodies into text and tab stops
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFromBundle } from './helpers/bundle.js';
+
+const { expandSnippetBody } = loadFromBundle('expandSnippetBody');
+
+test('tab stops, defaults and the final caret', () => {
+  assert.deepEqual(expandSnippetBody('If($1, ${2:value}, $0)'), {
+    text: 'If(, value, )',
+    stops: [{ index: 1, start: 3, end: 3 }, { index: 2, start: 5, end: 10 }, { index: 0, start: 12, end: 12 }]
+  });
+  assert.equal(expandSnippetBody('Sum(${1}, $2)').text, 'Sum(, )');
+});
+
+test('a repeated number mirrors the first default', () => {
+  assert.deepEqual(expandSnippetBody('WithName(${1:x}, $1 * 2)'), {
+    text: 'WithName(x, x * 2)',
+    stops: [{ index: 1, start: 9, end: 10 }, { index: 1, start: 12, end: 13 }]
+  });
+  assert.equal(expandSnippetBody('${1:a} ${1:b} $1').text, 'a a a');
+});
+
+test('a mirror placed before its default shows it', () => {
+  assert.deepEqual(expandSnippetBody('$1 = ${1:x}'), {
+    text: 'x = x',
+    stops: [{ index: 1, start: 0, end: 1 }, { index: 1, start: 4, end: 5 }]
+  });
+});
+
+test('an escaped dollar sign is literal', () => {
+  assert.deepEqual(expandSnippetBody('Price: \\$${1:10}'), {
+    text: 'Price: $10',
+    stops: [{ index: 1, start: 8, end: 10 }]
+  });
+});
+
+test('later lines take the insertion indent and leading tabs become indent units', () => {
+  const { text, stops } = expandSnippetBody('If(\n\t$1,\n\t$2\n)', '  ', '    ');
+  assert.equal(text, 'If(\n      ,\n      \n  )');
+  assert.deepEqual(stops.map(stop => stop.start), [10, 18]);
+});